@@ -1,14 +1,53 @@
 /// <reference types="@figma/plugin-typings" />
 
 // Constants
-const SERVER_URL = 'http://localhost:3000';
 const EXPORT_FORMAT_SVG = 'SVG';
 const EXPORT_FORMAT_PNG = 'PNG';
-const BASE64_PREFIX_SVG = 'data:image/svg+xml;base64,';
 const BASE64_PREFIX_PNG = 'data:image/png;base64,';
+const RASTER_SCALES = [1, 2, 3];
+// Payload format version, in step with server/schema/payload.schema.json
+const PAYLOAD_VERSION = 2;
+
+// Extraction options chosen in the UI
+interface ExtractOptions {
+  // Export raster fills as PNGs at 1x, 2x and 3x instead of shipping the original image
+  rasterScales: boolean;
+}
+
+let extractOptions: ExtractOptions = { rasterScales: false };
+
+// Generation settings chosen in the UI's settings panel. Each user's settings are kept in
+// clientStorage; a file can carry defaults in its plugin data for whatever a user hasn't set.
+interface GenerateSettings {
+  serverUrl: string;
+  target: string;
+  styles: string;
+  // SVG artwork: 'img' files or 'component' icon components
+  icons: string;
+  rasterScales: boolean;
+  // Components directory relative to the app; empty for the server's default
+  componentDir: string;
+  // Name of the selected node's component; empty for its layer name
+  componentName: string;
+}
+
+const SETTINGS_KEY = 'generateSettings';
+const DEFAULT_SETTINGS: GenerateSettings = {
+  serverUrl: 'http://localhost:3000',
+  target: 'react',
+  styles: 'inline',
+  icons: 'img',
+  rasterScales: false,
+  componentDir: '',
+  componentName: ''
+};
+const SETTING_KEYS = Object.keys(DEFAULT_SETTINGS) as (keyof GenerateSettings)[];
+// What a file's defaults can set; the server URL belongs to each user's machine
+const FILE_SETTING_KEYS = SETTING_KEYS.filter(key => key !== 'serverUrl');
 
 // Types
 interface ExtractedData {
+  id: string;
   name: string;
   type: string;
   width: number;
@@ -27,8 +66,8 @@ interface ExtractedData {
   opacity: number;
   visible: boolean;
   svg?: string;
-  svgBase64?: string;
   image?: string;
+  imageScales?: ImageScale[];
   children?: ExtractedData[];
   textContent?: string;
   fontSize?: number;
@@ -41,7 +80,23 @@ interface ExtractedData {
   letterSpacing?: ExtractedLetterSpacing;
   lineHeight?: ExtractedLineHeight;
   textAlign?: string;
+  textAlignVertical?: string;
+  textCase?: string;
+  textDecoration?: string;
+  textAutoResize?: string;
+  textTruncation?: string;
+  maxLines?: number | null;
+  paragraphSpacing?: number;
+  paragraphIndent?: number;
+  listSpacing?: number;
+  // Runs of characters styled differently from each other (bold words, links, lists)
+  textSegments?: TextSegment[];
   cornerRadius?: number;
+  cornerRadii?: CornerRadii;
+  strokeAlign?: string;
+  strokeWeights?: StrokeWeights;
+  dashPattern?: number[];
+  blendMode?: string;
   layoutMode?: string;
   primaryAxisAlignItems?: string;
   counterAxisAlignItems?: string;
@@ -50,34 +105,167 @@ interface ExtractedData {
   paddingTop?: number;
   paddingBottom?: number;
   gap?: number;
+  layoutWrap?: string;
+  counterAxisSpacing?: number;
+  layoutPositioning?: string;
+  // Responsive behaviour: constraints inside frames, sizing inside Auto Layout
+  constraints?: { horizontal: string; vertical: string };
+  layoutSizingHorizontal?: string;
+  layoutSizingVertical?: string;
+  layoutGrow?: number;
+  layoutAlign?: string;
+  minWidth?: number;
+  maxWidth?: number;
+  minHeight?: number;
+  maxHeight?: number;
   rotation?: number;
+  styleNames?: StyleNames;
+  variables?: { [field: string]: string };
+  componentPropertyDefinitions?: { [property: string]: ComponentPropertyDefinition };
+  variantProperties?: { [axis: string]: string };
+  componentProperties?: { [property: string]: ComponentPropertyValue };
+  componentPropertyReferences?: { [field: string]: string };
+  mainComponent?: MainComponentReference;
+  // Main components pulled in because an instance in the selection uses them
+  library?: boolean;
+  // Explicit element / ARIA hint for the generated markup
+  semantics?: SemanticHint;
+}
+
+// What the UI shows, copies and sends to the server
+interface Payload {
+  version: number;
+  data: ExtractedData[];
+  source: PayloadSource;
+}
+
+// Where the selection came from, kept with each run in the server's generation history.
+// fileKey is only set for private plugins; the file name identifies the file otherwise.
+interface PayloadSource {
+  fileKey?: string;
+  fileName: string;
+  pageId: string;
+  pageName: string;
+  nodeIds: string[];
+}
+
+// Props of a component set or standalone component
+interface ComponentPropertyDefinition {
+  type: string;
+  defaultValue: string | boolean;
+  variantOptions?: string[];
+}
+
+// A property value set on an instance (component id for instance swaps)
+interface ComponentPropertyValue {
+  type: string;
+  value: string | boolean;
+}
+
+// The main component an instance was created from
+interface MainComponentReference {
+  id: string;
+  name: string;
+  componentSetId?: string;
+  componentSetName?: string;
+}
+
+// Element and accessibility hint: the tag to render ('button', 'h2', 'nav', 'decorative'),
+// an accessible name, link target, role or image alt text
+interface SemanticHint {
+  tag?: string;
+  label?: string;
+  href?: string;
+  role?: string;
+  alt?: string;
+  decorative?: boolean;
+}
+
+// Names of the Figma styles applied to a node, used to name design tokens
+interface StyleNames {
+  fill?: string;
+  stroke?: string;
+  text?: string;
+  effect?: string;
+}
+
+// Extra PNG renditions of an exported node (`image` is always the 1x one)
+interface ImageScale {
+  scale: number;
+  image: string;
 }
 
 interface FillData {
   type: string;
+  visible?: boolean;
   color?: RGB;
   opacity?: number;
+  blendMode?: string;
   gradientStops?: GradientStop[];
+  gradientTransform?: Transform;
+  imageHash?: string;
+  scaleMode?: string;
+  imageTransform?: Transform;
+  scalingFactor?: number;
+  imageWidth?: number;
+  imageHeight?: number;
+  imageBase64?: string;
+  variable?: string;
 }
 
 interface StrokeData {
   type: string;
+  visible?: boolean;
   color?: RGB;
   opacity?: number;
   weight?: number;
+  variable?: string;
+}
+
+interface StrokeWeights {
+  top: number;
+  right: number;
+  bottom: number;
+  left: number;
+}
+
+interface CornerRadii {
+  topLeft: number;
+  topRight: number;
+  bottomRight: number;
+  bottomLeft: number;
 }
 
 interface EffectData {
   type: string;
-  color?: RGB;
+  color?: RGBA;
   offset?: { x: number; y: number };
   radius?: number;
+  spread?: number;
+  blendMode?: string;
   visible?: boolean;
 }
 
+interface TextSegment {
+  characters: string;
+  start: number;
+  end: number;
+  fontSize: number;
+  fontName: { family: string; style: string };
+  fontWeight: number;
+  fills: FillData[];
+  textDecoration: string;
+  textCase: string;
+  letterSpacing: ExtractedLetterSpacing;
+  lineHeight: ExtractedLineHeight;
+  hyperlink: { type: string; value: string } | null;
+  listOptions: { type: string };
+  indentation: number;
+}
+
 interface GradientStop {
   position: number;
-  color: RGB;
+  color: RGBA;
 }
 
 interface ExtractedLetterSpacing {
@@ -146,51 +334,183 @@ function bytesToString(bytes: Uint8Array): string {
   return out;
 }
 
+// Style and variable names are looked up by id; a document reuses few of them, so cache per id
+const styleNameCache = new Map<string, Promise<string | undefined>>();
+const variableNameCache = new Map<string, Promise<string | undefined>>();
+
+function getStyleName(styleId: string | PluginAPI['mixed'] | undefined): Promise<string | undefined> {
+  // Mixed styles (text with several styles) have no single name
+  if (typeof styleId !== 'string' || styleId === '') {
+    return Promise.resolve(undefined);
+  }
+  if (!styleNameCache.has(styleId)) {
+    styleNameCache.set(styleId, figma.getStyleByIdAsync(styleId)
+      .then(style => (style ? style.name : undefined))
+      .catch(() => undefined));
+  }
+  return styleNameCache.get(styleId) as Promise<string | undefined>;
+}
+
+function getVariableName(alias: VariableAlias | undefined): Promise<string | undefined> {
+  if (!alias || !alias.id) {
+    return Promise.resolve(undefined);
+  }
+  if (!variableNameCache.has(alias.id)) {
+    variableNameCache.set(alias.id, figma.variables.getVariableByIdAsync(alias.id)
+      .then(variable => (variable ? variable.name : undefined))
+      .catch(() => undefined));
+  }
+  return variableNameCache.get(alias.id) as Promise<string | undefined>;
+}
+
+// Extract the names of the styles and variables bound to a node
+async function extractTokenNames(node: SceneNode): Promise<Partial<ExtractedData>> {
+  const result: Partial<ExtractedData> = {};
+
+  const styleNames: StyleNames = {
+    fill: 'fillStyleId' in node ? await getStyleName(node.fillStyleId) : undefined,
+    stroke: 'strokeStyleId' in node ? await getStyleName(node.strokeStyleId) : undefined,
+    text: node.type === 'TEXT' ? await getStyleName(node.textStyleId) : undefined,
+    effect: 'effectStyleId' in node ? await getStyleName(node.effectStyleId) : undefined
+  };
+  (Object.keys(styleNames) as (keyof StyleNames)[]).forEach(key => {
+    if (styleNames[key] === undefined) delete styleNames[key];
+  });
+  if (Object.keys(styleNames).length > 0) {
+    result.styleNames = styleNames;
+  }
+
+  // Node-level bindings (corner radii, spacing, ...); paint bindings are read per paint
+  const variables: { [field: string]: string } = {};
+  const bound = ('boundVariables' in node && node.boundVariables ? node.boundVariables : {}) as { [field: string]: unknown };
+  for (const field of Object.keys(bound)) {
+    const alias = bound[field] as VariableAlias;
+    if (alias && !Array.isArray(alias) && alias.type === 'VARIABLE_ALIAS') {
+      const name = await getVariableName(alias);
+      if (name) variables[field] = name;
+    }
+  }
+  if (Object.keys(variables).length > 0) {
+    result.variables = variables;
+  }
+
+  return result;
+}
+
 // Extract fill data
-function extractFills(node: SceneNode): FillData[] {
+const GRADIENT_TYPES = ['GRADIENT_LINEAR', 'GRADIENT_RADIAL', 'GRADIENT_ANGULAR', 'GRADIENT_DIAMOND'];
+
+async function extractFills(node: SceneNode, includeImageBytes: boolean = true): Promise<FillData[]> {
   if (!('fills' in node) || !Array.isArray(node.fills)) {
     return [];
   }
 
-  return node.fills.map((fill: Paint) => {
-    const fillData: FillData = { type: fill.type };
+  return extractPaints(node.fills, node.name, includeImageBytes);
+}
+
+// Paints of a node or of a styled text segment
+async function extractPaints(paints: readonly Paint[], layerName: string, includeImageBytes: boolean): Promise<FillData[]> {
+  return Promise.all(paints.map(async (fill: Paint) => {
+    const fillData: FillData = {
+      type: fill.type,
+      visible: fill.visible !== false,
+      opacity: fill.opacity !== undefined ? fill.opacity : 1,
+      blendMode: fill.blendMode
+    };
 
     if (fill.type === 'SOLID' && fill.color) {
       fillData.color = fill.color;
-      fillData.opacity = fill.opacity !== undefined ? fill.opacity : 1;
+      fillData.variable = await getVariableName(fill.boundVariables && fill.boundVariables.color);
     }
 
-    if (fill.type === 'GRADIENT_LINEAR' && 'gradientStops' in fill) {
+    if (GRADIENT_TYPES.includes(fill.type) && 'gradientStops' in fill) {
       fillData.gradientStops = fill.gradientStops.map((stop: ColorStop) => ({
         position: stop.position,
         color: stop.color
       }));
+      fillData.gradientTransform = fill.gradientTransform;
+    }
+
+    if (fill.type === 'IMAGE') {
+      fillData.scaleMode = fill.scaleMode;
+      fillData.imageTransform = fill.imageTransform;
+      fillData.scalingFactor = fill.scalingFactor;
+
+      // Ship the original image bytes so the server can write them out as an asset
+      const image = fill.imageHash && includeImageBytes ? figma.getImageByHash(fill.imageHash) : null;
+      if (image) {
+        try {
+          const size = await image.getSizeAsync();
+          fillData.imageHash = fill.imageHash as string;
+          fillData.imageWidth = size.width;
+          fillData.imageHeight = size.height;
+          fillData.imageBase64 = arrayBufferToBase64(await image.getBytesAsync());
+        } catch (error) {
+          console.error(`Error reading image fill for ${layerName}:`, error);
+        }
+      }
     }
 
     return fillData;
-  });
+  }));
+}
+
+// Check if a node paints a bitmap through a visible IMAGE fill
+function hasImageFill(node: SceneNode): boolean {
+  return 'fills' in node && Array.isArray(node.fills) &&
+    node.fills.some((fill: Paint) => fill.type === 'IMAGE' && fill.visible !== false);
 }
 
 // Extract stroke data
-function extractStrokes(node: SceneNode): StrokeData[] {
+async function extractStrokes(node: SceneNode): Promise<StrokeData[]> {
   if (!('strokes' in node) || !Array.isArray(node.strokes)) {
     return [];
   }
 
-  return node.strokes.map((stroke: Paint) => {
+  return Promise.all(node.strokes.map(async (stroke: Paint) => {
     const strokeWeight = 'strokeWeight' in node && typeof node.strokeWeight === 'number' ? node.strokeWeight : 1;
     const strokeData: StrokeData = {
       type: stroke.type,
+      visible: stroke.visible !== false,
       weight: strokeWeight
     };
 
     if (stroke.type === 'SOLID' && stroke.color) {
       strokeData.color = stroke.color;
       strokeData.opacity = stroke.opacity !== undefined ? stroke.opacity : 1;
+      strokeData.variable = await getVariableName(stroke.boundVariables && stroke.boundVariables.color);
     }
 
     return strokeData;
-  });
+  }));
+}
+
+// Extract node-level stroke geometry: alignment, per-side weights and dashes
+function extractStrokeGeometry(node: SceneNode): Partial<ExtractedData> {
+  const strokeData: Partial<ExtractedData> = {};
+
+  if ('strokeAlign' in node) {
+    strokeData.strokeAlign = node.strokeAlign;
+  }
+
+  // Frames and rectangles can weigh each side independently
+  if ('strokeTopWeight' in node) {
+    const weights = {
+      top: node.strokeTopWeight,
+      right: node.strokeRightWeight,
+      bottom: node.strokeBottomWeight,
+      left: node.strokeLeftWeight
+    };
+    if (weights.top !== weights.right || weights.top !== weights.bottom || weights.top !== weights.left) {
+      strokeData.strokeWeights = weights;
+    }
+  }
+
+  if ('dashPattern' in node && node.dashPattern.length > 0) {
+    strokeData.dashPattern = node.dashPattern.slice();
+  }
+
+  return strokeData;
 }
 
 // Extract effects data
@@ -205,10 +525,16 @@ function extractEffects(node: SceneNode): EffectData[] {
       visible: effect.visible
     };
 
-    if (effect.type === 'DROP_SHADOW' && 'color' in effect) {
+    if ((effect.type === 'DROP_SHADOW' || effect.type === 'INNER_SHADOW') && 'color' in effect) {
       effectData.color = effect.color;
       effectData.offset = effect.offset;
       effectData.radius = effect.radius;
+      effectData.spread = effect.spread || 0;
+      effectData.blendMode = effect.blendMode;
+    }
+
+    if (effect.type === 'LAYER_BLUR' || effect.type === 'BACKGROUND_BLUR') {
+      effectData.radius = effect.radius;
     }
 
     return effectData;
@@ -226,24 +552,67 @@ function convertFontWeight(style: string): number {
   if (!isNaN(numeric)) return numeric;
   
   // Map common font style names to font-weight values
-  if (styleLower.includes('thin') || styleLower.includes('100')) return 100;
-  if (styleLower.includes('extralight') || styleLower.includes('ultralight') || styleLower.includes('200')) return 200;
-  if (styleLower.includes('light') || styleLower.includes('300')) return 300;
-  if (styleLower.includes('regular') || styleLower.includes('normal') || styleLower.includes('400')) return 400;
-  if (styleLower.includes('medium') || styleLower.includes('500')) return 500;
-  if (styleLower.includes('semibold') || styleLower.includes('demi') || styleLower.includes('600')) return 600;
-  if (styleLower.includes('bold') || styleLower.includes('700')) return 700;
-  if (styleLower.includes('extrabold') || styleLower.includes('ultrabold') || styleLower.includes('800')) return 800;
-  if (styleLower.includes('black') || styleLower.includes('heavy') || styleLower.includes('900')) return 900;
+  // Compound names first: "Extra Bold" must not match "bold", "Extra Light" not "light"
+  const compact = styleLower.replace(/[\s_-]+/g, '');
+  if (compact.includes('extralight') || compact.includes('ultralight') || compact.includes('200')) return 200;
+  if (compact.includes('extrabold') || compact.includes('ultrabold') || compact.includes('800')) return 800;
+  if (compact.includes('semibold') || compact.includes('demibold') || compact.includes('600')) return 600;
+  if (compact.includes('thin') || compact.includes('hairline') || compact.includes('100')) return 100;
+  if (compact.includes('light') || compact.includes('300')) return 300;
+  if (compact.includes('regular') || compact.includes('normal') || compact.includes('400')) return 400;
+  if (compact.includes('medium') || compact.includes('500')) return 500;
+  if (compact.includes('bold') || compact.includes('700')) return 700;
+  if (compact.includes('black') || compact.includes('heavy') || compact.includes('900')) return 900;
   
   // Default to 400 if unknown
   return 400;
 }
 
 // Extract text properties
-function extractTextProperties(node: TextNode): Partial<ExtractedData> {
+// Line height - AUTO is resolved on the server side
+function toExtractedLineHeight(lineHeight: LineHeight): ExtractedLineHeight {
+  if (lineHeight.unit === 'AUTO') {
+    return { value: 0, unit: 'AUTO' };
+  }
+  return { value: lineHeight.value, unit: lineHeight.unit };
+}
+
+function toExtractedLetterSpacing(letterSpacing: LetterSpacing): ExtractedLetterSpacing {
+  return { value: letterSpacing.value, unit: letterSpacing.unit };
+}
+
+const TEXT_SEGMENT_FIELDS: (
+  'fontName' | 'fontSize' | 'fontWeight' | 'fills' | 'textDecoration' | 'textCase' |
+  'letterSpacing' | 'lineHeight' | 'hyperlink' | 'listOptions' | 'indentation'
+)[] = [
+  'fontName', 'fontSize', 'fontWeight', 'fills', 'textDecoration', 'textCase',
+  'letterSpacing', 'lineHeight', 'hyperlink', 'listOptions', 'indentation'
+];
+
+async function extractTextProperties(node: TextNode): Promise<Partial<ExtractedData>> {
+  const segments: TextSegment[] = await Promise.all(node.getStyledTextSegments(TEXT_SEGMENT_FIELDS).map(async (segment) => ({
+    characters: segment.characters,
+    start: segment.start,
+    end: segment.end,
+    fontSize: segment.fontSize,
+    fontName: { family: segment.fontName.family, style: segment.fontName.style },
+    fontWeight: segment.fontWeight,
+    fills: await extractPaints(segment.fills, node.name, false),
+    textDecoration: segment.textDecoration,
+    textCase: segment.textCase,
+    letterSpacing: toExtractedLetterSpacing(segment.letterSpacing),
+    lineHeight: toExtractedLineHeight(segment.lineHeight),
+    hyperlink: segment.hyperlink ? { type: segment.hyperlink.type, value: segment.hyperlink.value } : null,
+    listOptions: { type: segment.listOptions.type },
+    indentation: segment.indentation
+  })));
+
+  // Mixed node-level values fall back to the segment covering the most characters
+  const dominant = segments.reduce<TextSegment | undefined>((best, segment) =>
+    !best || segment.characters.length > best.characters.length ? segment : best, undefined);
+
   // Extract font weight from fontName.style
-  let fontWeight: number | undefined = undefined;
+  let fontWeight: number | undefined = dominant ? dominant.fontWeight : undefined;
   if (node.fontName !== figma.mixed) {
     if (typeof node.fontName.style === 'string') {
       fontWeight = convertFontWeight(node.fontName.style);
@@ -253,41 +622,19 @@ function extractTextProperties(node: TextNode): Partial<ExtractedData> {
   }
   
   // Extract line height - handle AUTO case
-  let lineHeight: ExtractedLineHeight | undefined = undefined;
+  let lineHeight: ExtractedLineHeight | undefined = dominant ? dominant.lineHeight : undefined;
   if (node.lineHeight !== figma.mixed) {
-    if (typeof node.lineHeight === 'object') {
-      // Check if it's AUTO
-      if ('unit' in node.lineHeight && node.lineHeight.unit === 'AUTO') {
-        lineHeight = {
-          value: 0, // Will be calculated on server side
-          unit: 'AUTO'
-        };
-      } else if ('value' in node.lineHeight) {
-        lineHeight = {
-          value: node.lineHeight.value,
-          unit: 'unit' in node.lineHeight ? node.lineHeight.unit : 'PIXELS'
-        };
-      }
-    } else if (typeof node.lineHeight === 'number') {
-      lineHeight = {
-        value: node.lineHeight,
-        unit: 'PIXELS'
-      };
-    }
+    lineHeight = toExtractedLineHeight(node.lineHeight);
   }
   
   // Extract text alignment - handle both horizontal and vertical
   let textAlign: string | undefined = undefined;
-  // textAlignHorizontal is a property of TextNode
-  const textAlignValue = (node as any).textAlignHorizontal;
-  if (textAlignValue && textAlignValue !== figma.mixed) {
-    textAlign = textAlignValue as string;
+  if (node.textAlignHorizontal) {
+    textAlign = node.textAlignHorizontal;
   }
-  // For vertical text alignment, we might need textAlignVertical
-  // But Figma API doesn't have textAlignVertical directly, so we use textAlignHorizontal
   
   // Extract full fontName object
-  let fontName: { family: string; style: string } | undefined = undefined;
+  let fontName: { family: string; style: string } | undefined = dominant ? dominant.fontName : undefined;
   if (node.fontName !== figma.mixed) {
     fontName = {
       family: node.fontName.family,
@@ -297,18 +644,38 @@ function extractTextProperties(node: TextNode): Partial<ExtractedData> {
 
   const textData: Partial<ExtractedData> = {
     textContent: node.characters,
-    fontSize: node.fontSize !== figma.mixed ? node.fontSize : undefined,
-    fontFamily: node.fontName !== figma.mixed ? node.fontName.family : undefined, // Keep for backward compatibility
+    fontSize: node.fontSize !== figma.mixed ? node.fontSize : (dominant && dominant.fontSize),
+    fontFamily: fontName ? fontName.family : undefined, // Keep for backward compatibility
     fontName: fontName, // Full fontName object
     fontWeight: fontWeight,
-    letterSpacing: node.letterSpacing !== figma.mixed ? {
-      value: typeof node.letterSpacing === 'object' && 'value' in node.letterSpacing ? node.letterSpacing.value : (typeof node.letterSpacing === 'number' ? node.letterSpacing : 0),
-      unit: typeof node.letterSpacing === 'object' && 'unit' in node.letterSpacing ? node.letterSpacing.unit : 'PIXELS'
-    } : undefined,
+    letterSpacing: node.letterSpacing !== figma.mixed
+      ? toExtractedLetterSpacing(node.letterSpacing)
+      : (dominant && dominant.letterSpacing),
     lineHeight: lineHeight,
-    textAlign: textAlign
+    textAlign: textAlign,
+    textAlignVertical: node.textAlignVertical,
+    textCase: node.textCase !== figma.mixed ? node.textCase : (dominant && dominant.textCase),
+    textDecoration: node.textDecoration !== figma.mixed ? node.textDecoration : (dominant && dominant.textDecoration),
+    textAutoResize: node.textAutoResize,
+    textTruncation: node.textTruncation,
+    maxLines: node.maxLines,
+    paragraphSpacing: node.paragraphSpacing,
+    paragraphIndent: node.paragraphIndent,
+    listSpacing: node.listSpacing
   };
 
+  // Mixed fills (a colored word) leave the node without fills of its own
+  if (node.fills === figma.mixed && dominant) {
+    textData.fills = dominant.fills;
+  }
+
+  // Plain text is described by the node-level fields alone
+  const isRich = segments.length > 1 ||
+    segments.some((segment) => segment.hyperlink !== null || segment.listOptions.type !== 'NONE');
+  if (isRich) {
+    textData.textSegments = segments;
+  }
+
   return textData;
 }
 
@@ -340,9 +707,54 @@ function extractLayoutProperties(node: SceneNode): Partial<ExtractedData> {
     layoutData.gap = node.itemSpacing;
   }
 
+  // Wrapping Auto Layout frames space their rows/columns with counterAxisSpacing
+  if ('layoutWrap' in node) {
+    layoutData.layoutWrap = node.layoutWrap;
+    if (node.layoutWrap === 'WRAP' && node.counterAxisSpacing !== null) {
+      layoutData.counterAxisSpacing = node.counterAxisSpacing;
+    }
+  }
+
+  // Children of Auto Layout frames can opt out of the flow ("Absolute position")
+  if ('layoutPositioning' in node) {
+    layoutData.layoutPositioning = node.layoutPositioning;
+  }
+
+  // How the layer responds when its parent resizes: constraints (MIN, MAX, CENTER,
+  // STRETCH, SCALE) for freely placed layers, hug/fill/fixed sizing for Auto Layout
+  if ('constraints' in node) {
+    layoutData.constraints = { horizontal: node.constraints.horizontal, vertical: node.constraints.vertical };
+  }
+
+  if ('layoutSizingHorizontal' in node) {
+    layoutData.layoutSizingHorizontal = node.layoutSizingHorizontal;
+    layoutData.layoutSizingVertical = node.layoutSizingVertical;
+  }
+
+  if ('layoutGrow' in node) {
+    layoutData.layoutGrow = node.layoutGrow;
+    layoutData.layoutAlign = node.layoutAlign;
+  }
+
+  // Min/max sizes are null unless set
+  if ('minWidth' in node) {
+    if (node.minWidth !== null) layoutData.minWidth = node.minWidth;
+    if (node.maxWidth !== null) layoutData.maxWidth = node.maxWidth;
+    if (node.minHeight !== null) layoutData.minHeight = node.minHeight;
+    if (node.maxHeight !== null) layoutData.maxHeight = node.maxHeight;
+  }
+
   if ('cornerRadius' in node) {
     if (typeof node.cornerRadius === 'number') {
       layoutData.cornerRadius = node.cornerRadius;
+    } else if ('topLeftRadius' in node) {
+      // Mixed radius: capture each corner independently
+      layoutData.cornerRadii = {
+        topLeft: node.topLeftRadius,
+        topRight: node.topRightRadius,
+        bottomRight: node.bottomRightRadius,
+        bottomLeft: node.bottomLeftRadius
+      };
     }
   }
 
@@ -360,6 +772,29 @@ function extractLayoutProperties(node: SceneNode): Partial<ExtractedData> {
   return layoutData;
 }
 
+// Semantic hints live in the "semantics" plugin data of a layer, either as a tag name
+// ("button") or as JSON ({ "tag": "a", "href": "/pricing" }). Other plugins and scripts
+// can set the same key as shared plugin data in the "figma_generator" namespace.
+const SEMANTICS_KEY = 'semantics';
+const SHARED_PLUGIN_DATA_NAMESPACE = 'figma_generator';
+
+function extractSemanticHint(node: SceneNode): Partial<ExtractedData> {
+  const value = (node.getPluginData(SEMANTICS_KEY) ||
+    node.getSharedPluginData(SHARED_PLUGIN_DATA_NAMESPACE, SEMANTICS_KEY)).trim();
+  if (!value) {
+    return {};
+  }
+  if (!value.startsWith('{')) {
+    return { semantics: { tag: value } };
+  }
+  try {
+    return { semantics: JSON.parse(value) as SemanticHint };
+  } catch (error) {
+    console.warn(`Ignoring unreadable semantics hint on "${node.name}"`);
+    return {};
+  }
+}
+
 // Helper to check if a node has any TEXT descendants
 function hasTextDescendant(node: SceneNode): boolean {
   if (node.type === 'TEXT') {
@@ -373,6 +808,77 @@ function hasTextDescendant(node: SceneNode): boolean {
   return false;
 }
 
+// Component properties, variants and main component references, so the server can
+// generate one prop-driven component per component set and render instances as usages
+async function extractComponentData(node: SceneNode): Promise<Partial<ExtractedData>> {
+  const result: Partial<ExtractedData> = {};
+
+  // Variants share the definitions of their set; reading them on a variant throws
+  const isVariant = node.type === 'COMPONENT' && node.parent !== null && node.parent.type === 'COMPONENT_SET';
+  if (node.type === 'COMPONENT_SET' || (node.type === 'COMPONENT' && !isVariant)) {
+    const definitions: { [property: string]: ComponentPropertyDefinition } = {};
+    Object.entries(node.componentPropertyDefinitions).forEach(([key, definition]) => {
+      definitions[key] = { type: definition.type, defaultValue: definition.defaultValue };
+      if (definition.variantOptions) {
+        definitions[key].variantOptions = definition.variantOptions;
+      }
+    });
+    result.componentPropertyDefinitions = definitions;
+  }
+
+  if ((node.type === 'COMPONENT' || node.type === 'INSTANCE') && node.variantProperties) {
+    result.variantProperties = { ...node.variantProperties };
+  }
+
+  if (node.type === 'INSTANCE') {
+    const properties: { [property: string]: ComponentPropertyValue } = {};
+    Object.entries(node.componentProperties).forEach(([key, property]) => {
+      properties[key] = { type: property.type, value: property.value };
+    });
+    result.componentProperties = properties;
+
+    const mainComponent = await node.getMainComponentAsync();
+    if (mainComponent) {
+      result.mainComponent = { id: mainComponent.id, name: mainComponent.name };
+      if (mainComponent.parent && mainComponent.parent.type === 'COMPONENT_SET') {
+        result.mainComponent.componentSetId = mainComponent.parent.id;
+        result.mainComponent.componentSetName = mainComponent.parent.name;
+      }
+    }
+  }
+
+  // Layers bound to a boolean, text or instance-swap property
+  if ('componentPropertyReferences' in node && node.componentPropertyReferences) {
+    const references: { [field: string]: string } = {};
+    Object.entries(node.componentPropertyReferences).forEach(([field, property]) => {
+      if (property) {
+        references[field] = property;
+      }
+    });
+    if (Object.keys(references).length > 0) {
+      result.componentPropertyReferences = references;
+    }
+  }
+
+  return result;
+}
+
+// Export a node as PNG: `image` at 1x plus `imageScales` for higher densities
+async function exportPng(node: SceneNode, scales: number[]): Promise<Partial<ExtractedData>> {
+  const renditions = await Promise.all(scales.map(async scale => ({
+    scale,
+    image: BASE64_PREFIX_PNG + arrayBufferToBase64(await node.exportAsync({
+      format: EXPORT_FORMAT_PNG,
+      constraint: { type: 'SCALE', value: scale }
+    }))
+  })));
+  const result: Partial<ExtractedData> = { image: renditions[0].image };
+  if (renditions.length > 1) {
+    result.imageScales = renditions.slice(1);
+  }
+  return result;
+}
+
 // Main extraction function
 async function extractNodeData(node: SceneNode, parentX: number = 0, parentY: number = 0): Promise<ExtractedData> {
   // Extract absolute position - Figma's x/y are relative to parent, so we track parent offset
@@ -390,7 +896,11 @@ async function extractNodeData(node: SceneNode, parentX: number = 0, parentY: nu
     };
   }
 
+  const isScaledRaster = extractOptions.rasterScales &&
+    (node.type === 'RECTANGLE' || node.type === 'ELLIPSE') && hasImageFill(node);
+
   const baseData: ExtractedData = {
+    id: node.id,
     name: node.name,
     type: node.type,
     width: 'width' in node ? node.width : 0,
@@ -398,19 +908,36 @@ async function extractNodeData(node: SceneNode, parentX: number = 0, parentY: nu
     x: nodeX, // Keep relative to parent for absolute positioning in CSS
     y: nodeY, // Keep relative to parent for absolute positioning in CSS
     absoluteBoundingBox: absoluteBoundingBox,
-    fills: extractFills(node),
-    strokes: extractStrokes(node),
+    // Raster leaves exported as PNGs don't need the original image bytes
+    fills: await extractFills(node, !isScaledRaster),
+    strokes: await extractStrokes(node),
     effects: extractEffects(node),
     opacity: 'opacity' in node ? node.opacity : 1,
     visible: node.visible
   };
 
+  if ('blendMode' in node) {
+    baseData.blendMode = node.blendMode;
+  }
+
+  // Extract stroke alignment, per-side weights and dash pattern
+  Object.assign(baseData, extractStrokeGeometry(node));
+
+  // Extract style and variable names for design tokens
+  Object.assign(baseData, await extractTokenNames(node));
+
+  // Extract the element / accessibility hint set on the layer
+  Object.assign(baseData, extractSemanticHint(node));
+
+  // Extract component properties, variants and main component references
+  Object.assign(baseData, await extractComponentData(node));
+
   // Extract layout and rotation properties
   Object.assign(baseData, extractLayoutProperties(node));
 
   // Extract text properties if text node
   if (node.type === 'TEXT') {
-    Object.assign(baseData, extractTextProperties(node as TextNode));
+    Object.assign(baseData, await extractTextProperties(node as TextNode));
   }
 
   // Extract layout properties
@@ -428,7 +955,10 @@ async function extractNodeData(node: SceneNode, parentX: number = 0, parentY: nu
 
   let shouldExportSVG = false;
 
-  if (vectorTypes.includes(node.type)) {
+  if (isScaledRaster || (node.type === 'RECTANGLE' && hasImageFill(node))) {
+    // Photos render as PNG renditions, or rectangles as CSS backgrounds from the image fill
+    shouldExportSVG = false;
+  } else if (vectorTypes.includes(node.type)) {
     shouldExportSVG = true;
   } else if (
     node.type === 'FRAME' ||
@@ -449,17 +979,14 @@ async function extractNodeData(node: SceneNode, parentX: number = 0, parentY: nu
     try {
       const svgBytes = await node.exportAsync({ format: EXPORT_FORMAT_SVG });
 
-      const svgString = bytesToString(svgBytes);
-      // Store both raw SVG string and Base64 for flexibility
-      baseData.svg = svgString; // Raw SVG string for direct rendering
-      baseData.svgBase64 = BASE64_PREFIX_SVG + arrayBufferToBase64(svgBytes); // Base64 for img src fallback
+      // The server writes the SVG to a file or icon component, so ship it once, as text
+      baseData.svg = bytesToString(svgBytes);
     } catch (error) {
       console.error(`Error exporting SVG for ${node.type} (${node.name}):`, error);
       // Try PNG as fallback for vector nodes
       if (vectorTypes.includes(node.type)) {
         try {
-          const pngBytes = await node.exportAsync({ format: EXPORT_FORMAT_PNG });
-          baseData.image = BASE64_PREFIX_PNG + arrayBufferToBase64(pngBytes);
+          Object.assign(baseData, await exportPng(node, [1]));
         } catch (pngError) {
           console.error('Error exporting PNG fallback:', pngError);
         }
@@ -467,12 +994,10 @@ async function extractNodeData(node: SceneNode, parentX: number = 0, parentY: nu
     }
   }
 
-  // Export PNG for images (as additional format) - only for RECTANGLE/ELLIPSE if no SVG
-  // VECTOR nodes should always use SVG, not PNG
-  if ((node.type === 'RECTANGLE' || node.type === 'ELLIPSE') && !baseData.svg) {
+  // Raster fills exported at 1x, 2x and 3x when the option is on
+  if (isScaledRaster) {
     try {
-      const pngBytes = await node.exportAsync({ format: EXPORT_FORMAT_PNG });
-      baseData.image = BASE64_PREFIX_PNG + arrayBufferToBase64(pngBytes);
+      Object.assign(baseData, await exportPng(node, RASTER_SCALES));
     } catch (error) {
       console.error('Error exporting PNG:', error);
     }
@@ -490,6 +1015,107 @@ async function extractNodeData(node: SceneNode, parentX: number = 0, parentY: nu
   return baseData;
 }
 
+// Extract the selection, followed by the main components its instances use (and the
+// ones those use), so every instance renders as a usage of a generated component
+async function extractSelection(selection: readonly SceneNode[]): Promise<ExtractedData[]> {
+  const extractedData = await Promise.all(selection.map((node) => extractNodeData(node)));
+
+  const extractedIds = new Set<string>();
+  const pending: string[] = [];
+  const visit = (data: ExtractedData) => {
+    extractedIds.add(data.id);
+    if (data.mainComponent) {
+      pending.push(data.mainComponent.componentSetId || data.mainComponent.id);
+    }
+    Object.values(data.componentProperties || {}).forEach((property) => {
+      if (property.type === 'INSTANCE_SWAP' && typeof property.value === 'string') {
+        pending.push(property.value);
+      }
+    });
+    (data.children || []).forEach(visit);
+  };
+  extractedData.forEach(visit);
+
+  while (pending.length > 0) {
+    const id = pending.shift() as string;
+    if (extractedIds.has(id)) {
+      continue;
+    }
+    extractedIds.add(id);
+
+    let node = await figma.getNodeByIdAsync(id);
+    // Swapped-in variants are generated as part of their set
+    if (node && node.type === 'COMPONENT' && node.parent && node.parent.type === 'COMPONENT_SET') {
+      node = node.parent;
+      if (extractedIds.has(node.id)) {
+        continue;
+      }
+    }
+    if (!node || (node.type !== 'COMPONENT' && node.type !== 'COMPONENT_SET')) {
+      continue;
+    }
+
+    const data = await extractNodeData(node);
+    data.library = true;
+    extractedData.push(data);
+    visit(data);
+  }
+
+  return extractedData;
+}
+
+function createPayload(data: ExtractedData[], selection: readonly SceneNode[]): Payload {
+  return {
+    version: PAYLOAD_VERSION,
+    data,
+    source: {
+      fileKey: figma.fileKey,
+      fileName: figma.root.name,
+      pageId: figma.currentPage.id,
+      pageName: figma.currentPage.name,
+      nodeIds: selection.map(node => node.id)
+    }
+  };
+}
+
+// Known settings of the expected type from stored or posted data; anything else is dropped
+function pickSettings(value: unknown, keys: (keyof GenerateSettings)[]): Partial<GenerateSettings> {
+  const picked: { [key: string]: unknown } = {};
+  if (value && typeof value === 'object') {
+    const source = value as { [key: string]: unknown };
+    keys.forEach(key => {
+      if (typeof source[key] === typeof DEFAULT_SETTINGS[key]) {
+        picked[key] = source[key];
+      }
+    });
+  }
+  return picked as Partial<GenerateSettings>;
+}
+
+function readFileDefaults(): Partial<GenerateSettings> | null {
+  const raw = figma.root.getPluginData(SETTINGS_KEY);
+  if (!raw) {
+    return null;
+  }
+  try {
+    return pickSettings(JSON.parse(raw), FILE_SETTING_KEYS);
+  } catch (error) {
+    console.warn('Ignoring unreadable file defaults');
+    return null;
+  }
+}
+
+// The file's defaults with the user's saved settings on top, per setting: clientStorage
+// only holds the settings a user changed, so the file's conventions fill in the rest
+async function loadSettings(): Promise<{ settings: GenerateSettings; hasFileDefaults: boolean }> {
+  const saved = pickSettings(await figma.clientStorage.getAsync(SETTINGS_KEY), SETTING_KEYS);
+  const fileDefaults = readFileDefaults();
+  return {
+    settings: { ...DEFAULT_SETTINGS, ...fileDefaults, ...saved },
+    hasFileDefaults: fileDefaults !== null
+  };
+}
+
 // Handle selection change
 figma.on('selectionchange', async () => {
   const selection = figma.currentPage.selection;
@@ -500,13 +1126,11 @@ figma.on('selectionchange', async () => {
   }
 
   try {
-    const extractedData = await Promise.all(
-      selection.map((node) => extractNodeData(node))
-    );
+    const extractedData = await extractSelection(selection);
 
     figma.ui.postMessage({
       type: 'data-extracted',
-      data: extractedData
+      payload: createPayload(extractedData, selection)
     });
   } catch (error) {
     figma.ui.postMessage({
@@ -519,6 +1143,9 @@ figma.on('selectionchange', async () => {
 // Handle messages from UI
 figma.ui.onmessage = async (msg) => {
   if (msg.type === 'extract-data') {
+    if (msg.options) {
+      extractOptions = { ...extractOptions, ...msg.options };
+    }
     const selection = figma.currentPage.selection;
 
     if (selection.length === 0) {
@@ -527,13 +1154,11 @@ figma.ui.onmessage = async (msg) => {
     }
 
     try {
-      const extractedData = await Promise.all(
-        selection.map((node) => extractNodeData(node))
-      );
+      const extractedData = await extractSelection(selection);
 
       figma.ui.postMessage({
         type: 'data-extracted',
-        data: extractedData
+        payload: createPayload(extractedData, selection)
       });
     } catch (error) {
       figma.ui.postMessage({
@@ -543,36 +1168,64 @@ figma.ui.onmessage = async (msg) => {
     }
   }
 
+  // Only the settings the user changed arrive, and only those become theirs
+  if (msg.type === 'save-settings') {
+    const saved = pickSettings(await figma.clientStorage.getAsync(SETTINGS_KEY), SETTING_KEYS);
+    await figma.clientStorage.setAsync(SETTINGS_KEY, { ...saved, ...pickSettings(msg.settings, SETTING_KEYS) });
+  }
+
+  if (msg.type === 'save-file-defaults') {
+    figma.root.setPluginData(SETTINGS_KEY, JSON.stringify(pickSettings(msg.settings, FILE_SETTING_KEYS)));
+    figma.ui.postMessage({ type: 'file-defaults', hasFileDefaults: true });
+  }
+
+  if (msg.type === 'clear-file-defaults') {
+    figma.root.setPluginData(SETTINGS_KEY, '');
+    figma.ui.postMessage({ type: 'file-defaults', hasFileDefaults: false });
+  }
+
+  // The payload arrives with its generate options; the server URL comes from the settings
   if (msg.type === 'send-to-server') {
+    const serverUrl = String(msg.serverUrl || DEFAULT_SETTINGS.serverUrl).trim().replace(/\/+$/, '');
+    let response: Response;
     try {
-      const response = await fetch(`${SERVER_URL}/api/generate`, {
+      response = await fetch(`${serverUrl}/api/generate`, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json'
         },
-        body: JSON.stringify(msg.data)
+        body: JSON.stringify(msg.payload)
       });
-
-      if (!response.ok) {
-        throw new Error(`Server error: ${response.statusText}`);
-      }
-
-      const result = await response.json();
+    } catch (error) {
       figma.ui.postMessage({
         type: 'server-response',
-        success: true,
-        message: result.message || 'Component generated successfully'
+        success: false,
+        message: `Could not reach ${serverUrl}: ${error instanceof Error ? error.message : 'network error'}`
       });
-    } catch (error) {
+      return;
+    }
+
+    const result = await response.json().catch(() => null);
+    if (!response.ok || !result) {
+      // Rejected payloads and options come back as { error, errors: [{ path, message }] }
       figma.ui.postMessage({
         type: 'server-response',
         success: false,
-        message: error instanceof Error ? error.message : 'Failed to send to server'
+        message: result && result.error ? result.error : `Server error: ${response.status} ${response.statusText}`,
+        errors: result && Array.isArray(result.errors) ? result.errors : []
       });
+      return;
     }
+
+    figma.ui.postMessage({ type: 'server-response', success: true, result });
   }
 };
 
 // Show UI
-figma.showUI(__html__, { width: 500, height: 600 });
+figma.showUI(__html__, { width: 500, height: 680 });
+
+loadSettings().then(loaded => {
+  extractOptions = { rasterScales: loaded.settings.rasterScales };
+  figma.ui.postMessage({ type: 'settings', ...loaded });
+});
 
@@ -0,0 +1,119 @@
+const path = require('path');
+const crypto = require('crypto');
+
+// Assets - SVG/PNG artwork written once per distinct content to src/assets and
+// imported by components, or turned into icon components by the target
+
+function hashAsset(content) {
+    return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+// 'data:image/png;base64,...' -> Buffer (null for anything that is not a data URI)
+function decodeDataUri(uri) {
+    const match = /^data:[^;,]+(;base64)?,(.*)$/s.exec(String(uri || ''));
+    if (!match) return null;
+    return match[1] ? Buffer.from(match[2], 'base64') : Buffer.from(decodeURIComponent(match[2]), 'utf8');
+}
+
+// Paint colors an SVG draws with, ignoring none, gradients/patterns and currentColor
+function getSvgPaintColors(svg) {
+    const colors = new Set();
+    const paintRegex = /\b(?:fill|stroke|stop-color)\s*[=:]\s*"?([^";\s>]+)/g;
+    let match;
+    while ((match = paintRegex.exec(svg)) !== null) {
+        const value = match[1];
+        if (value !== 'none' && value !== 'currentColor' && !value.startsWith('url(')) {
+            colors.add(value.toLowerCase());
+        }
+    }
+    return Array.from(colors);
+}
+
+// Figma's SVG export made ready to inline in a component: comments and the XML
+// declaration dropped, ids prefixed so two icons on one page don't clash, and
+// single-color icons painted with currentColor, so they follow the CSS `color` of
+// wherever they are used. Returns the markup and the color currentColor replaced (if any).
+function prepareIconSvg(svg, idPrefix) {
+    let markup = String(svg)
+        .replace(/<\?xml[^>]*\?>/g, '')
+        .replace(/<!--[\s\S]*?-->/g, '')
+        .trim();
+
+    // Figma numbers ids per export (clip0_1_2), so two icons on one page would clash
+    const ids = new Set();
+    markup.replace(/\sid="([^"]+)"/g, (_, id) => ids.add(id));
+    ids.forEach(id => {
+        const escaped = id.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        markup = markup
+            .replace(new RegExp(`id="${escaped}"`, 'g'), `id="${idPrefix}-${id}"`)
+            .replace(new RegExp(`url\\(#${escaped}\\)`, 'g'), `url(#${idPrefix}-${id})`)
+            .replace(new RegExp(`href="#${escaped}"`, 'g'), `href="#${idPrefix}-${id}"`);
+    });
+
+    // Clip path shapes only contribute geometry, so their fills don't count as colors
+    const clipPathRegex = /(<clipPath[\s\S]*?<\/clipPath>)/;
+    const colors = getSvgPaintColors(markup.split(clipPathRegex).filter(part => !clipPathRegex.test(part)).join(''));
+    const color = colors.length === 1 ? colors[0] : null;
+    if (color) {
+        markup = markup
+            .split(clipPathRegex)
+            .map(part => clipPathRegex.test(part) ? part : part.replace(/\b(fill|stroke|stop-color)(\s*[=:]\s*"?)([^";\s>]+)/g, (all, attribute, separator, value) =>
+                value.toLowerCase() === color ? `${attribute}${separator}currentColor` : all
+            ))
+            .join('');
+    }
+    return { markup, color };
+}
+
+// Run-wide asset store: identical content is written once, under the name of the
+// first layer that used it. Icon components are written by the target:
+// `renderIcon({ name, markup, color })` returns the source of an `iconExtension` file.
+function createAssetRegistry({ assetsDir, iconsDir, iconExtension, renderIcon }) {
+    const byHash = new Map();
+    const usedNames = new Set();
+
+    function claimName(base, extension) {
+        let name = base;
+        for (let suffix = 2; usedNames.has(`${name}.${extension}`); suffix++) {
+            name = `${base}${suffix}`;
+        }
+        usedNames.add(`${name}.${extension}`);
+        return name;
+    }
+
+    return {
+        // An image file in src/assets: "<slug>-<hash>.<ext>"
+        addFile(content, extension, slug) {
+            const hash = hashAsset(content);
+            const key = `file:${hash}`;
+            if (!byHash.has(key)) {
+                const fileName = `${slug || 'asset'}-${hash.slice(0, 8)}.${extension}`;
+                byHash.set(key, { path: path.join(assetsDir, fileName), fileName, content });
+            }
+            return byHash.get(key);
+        },
+
+        // An icon component in the icons folder; `componentName` must be a PascalCase identifier
+        addIcon(svg, componentName) {
+            const hash = hashAsset(svg);
+            const key = `icon:${hash}`;
+            if (!byHash.has(key)) {
+                const name = claimName(componentName, iconExtension);
+                const { markup, color } = prepareIconSvg(svg, `${name}-${hash.slice(0, 6)}`);
+                const content = renderIcon({ name, markup, color });
+                byHash.set(key, { path: path.join(iconsDir, `${name}.${iconExtension}`), name, color, content });
+            }
+            return byHash.get(key);
+        },
+
+        files() {
+            return Array.from(byHash.values()).map(asset => ({ path: asset.path, content: asset.content }));
+        }
+    };
+}
+
+module.exports = {
+    decodeDataUri,
+    prepareIconSvg,
+    createAssetRegistry
+};
@@ -0,0 +1,134 @@
+// Breakpoints - one screen designed as several frames ('Home / mobile', 'Home / desktop')
+// becomes one layer tree. Layers are matched across the frames by name (and position
+// among same-named siblings); each merged layer keeps its version in every frame as
+// `breakpointVersions` [{ breakpoint, minWidth, node, parent }], narrowest first, with
+// `node` null where a frame does not have the layer.
+
+// Named breakpoints and the viewport width they start at; frames can also be named
+// after a width ('Home / 1280')
+const DEFAULT_BREAKPOINTS = { mobile: 0, tablet: 768, desktop: 1024, wide: 1440 };
+
+// 'Home / tablet' -> { base: 'Home', breakpoint: 'tablet', minWidth: 768 }; null for other names
+function parseBreakpointName(name, breakpoints) {
+    const text = String(name || '');
+    const separator = text.lastIndexOf('/');
+    if (separator === -1) return null;
+    const base = text.slice(0, separator).trim();
+    const label = text.slice(separator + 1).trim();
+    if (!base) return null;
+
+    const named = Object.keys(breakpoints).find(key => key.toLowerCase() === label.toLowerCase());
+    if (named) return { base, breakpoint: named, minWidth: breakpoints[named] };
+    const width = /^(\d+)(px)?$/i.exec(label);
+    return width ? { base, breakpoint: label, minWidth: parseInt(width[1], 10) } : null;
+}
+
+// Children keyed by name and occurrence, so 'Card', 'Card' match 'Card', 'Card' in order
+function keyChildren(children) {
+    const seen = new Map();
+    return (children || []).map(child => {
+        const occurrence = seen.get(child.name) || 0;
+        seen.set(child.name, occurrence + 1);
+        return { key: `${child.name}#${occurrence}`, child };
+    });
+}
+
+// One merged layer from its versions. It renders as its narrowest version; its children
+// follow the narrowest frame's order, with the ones only wider frames have placed after
+// the sibling they follow there.
+function mergeLayer(versions) {
+    const primary = versions.find(version => version.node).node;
+    const merged = { ...primary, breakpointVersions: versions };
+
+    const keys = [];
+    const byKey = new Map();
+    versions.forEach((version, i) => {
+        let position = 0;
+        keyChildren(version.node && version.node.children).forEach(({ key, child }) => {
+            if (byKey.has(key)) {
+                position = keys.indexOf(key) + 1;
+            } else {
+                byKey.set(key, versions.map(() => null));
+                keys.splice(position++, 0, key);
+            }
+            byKey.get(key)[i] = child;
+        });
+    });
+    if (keys.length > 0) {
+        merged.children = keys.map(key => mergeLayer(versions.map((version, i) => ({
+            breakpoint: version.breakpoint,
+            minWidth: version.minWidth,
+            node: byKey.get(key)[i],
+            parent: version.node
+        }))));
+    }
+    return merged;
+}
+
+// Payload with every group of two or more breakpoint frames replaced by one merged node,
+// in the position of the group's first frame. Components and library nodes are never merged.
+function groupBreakpointFrames(data, breakpoints = DEFAULT_BREAKPOINTS) {
+    const parse = node => (node.type === 'FRAME' && !node.library ? parseBreakpointName(node.name, breakpoints) : null);
+    const groups = new Map();
+    data.forEach(node => {
+        const parsed = parse(node);
+        if (parsed) groups.set(parsed.base, (groups.get(parsed.base) || []).concat({ ...parsed, node }));
+    });
+
+    const merged = new Set();
+    return data.reduce((result, node) => {
+        const parsed = parse(node);
+        const frames = parsed && groups.get(parsed.base);
+        if (!frames || frames.length < 2) return result.concat(node);
+        if (merged.has(parsed.base)) return result;
+        merged.add(parsed.base);
+
+        const ordered = frames.slice().sort((a, b) => a.minWidth - b.minWidth);
+        const root = mergeLayer(ordered.map(frame => ({
+            breakpoint: frame.breakpoint,
+            minWidth: frame.minWidth,
+            node: frame.node,
+            parent: null
+        })));
+        root.name = parsed.base;
+        root.breakpointFrames = ordered.map(frame => frame.node);
+        return result.concat(root);
+    }, []);
+}
+
+// Styles a value set no longer has at a wider breakpoint fall back to the browser's
+function diffStyles(previous, current) {
+    const changed = {};
+    Object.entries(current).forEach(([key, value]) => {
+        if (previous[key] !== value) changed[key] = value;
+    });
+    Object.keys(previous).forEach(key => {
+        if (!(key in current)) changed[key] = 'revert';
+    });
+    return changed;
+}
+
+// Styles of a merged layer: `styles` (its narrowest version's, hidden when the narrowest
+// frame does not have it) and `overrides` [{ minWidth, styles }] with what changes at each
+// wider breakpoint. `getStyles(version)` computes the styles of one version.
+function getBreakpointStyles(node, styles, getStyles) {
+    const versions = node.breakpointVersions;
+    if (!versions) return { styles, overrides: [] };
+
+    const base = versions[0].node ? styles : { ...styles, display: 'none' };
+    const overrides = [];
+    let previous = base;
+    versions.slice(1).forEach(version => {
+        const current = version.node ? getStyles(version) : { ...previous, display: 'none' };
+        const changed = diffStyles(previous, current);
+        if (Object.keys(changed).length > 0) overrides.push({ minWidth: version.minWidth, styles: changed });
+        previous = current;
+    });
+    return { styles: base, overrides };
+}
+
+module.exports = {
+    DEFAULT_BREAKPOINTS,
+    groupBreakpointFrames,
+    getBreakpointStyles
+};
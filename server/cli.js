@@ -0,0 +1,230 @@
+#!/usr/bin/env node
+// figma-gen - generate components from a saved plugin payload ("Copy JSON") without
+// running the server, e.g. in CI with the payload under version control:
+//
+//   figma-gen generate payload.json --out src/components --target react --styles css-modules
+//   cat payload.json | figma-gen generate --check
+//
+// Options apply lowest first: the payload's own options, the config file, then flags.
+// Any generate option works as a flag (--language typescript, --icons component,
+// --no-tokens); --check plans the run and exits 1 when any file would change.
+// --require loads modules that register more targets (see server/targets/index.js).
+const fs = require('fs').promises;
+const path = require('path');
+const { DEFAULT_GENERATE_OPTIONS, createProjectPaths, parseGeneratePayload, runGeneration, loadTargetModules } = require('./index');
+
+const CONFIG_FILE = 'figma-gen.config.json';
+// Config and flag keys that are not generate options
+const PROJECT_KEYS = ['root', 'out', 'require'];
+const CLI_FLAGS = ['check', 'json', 'help', 'config'];
+
+const USAGE = `Usage: figma-gen generate [payload.json | -] [options]
+
+Reads the payload from the file, or from stdin when it is "-" or left out.
+
+  --root <dir>       React app to generate into (default: the working directory)
+  --out <dir>        Components directory (default: <root>/src/components)
+  --config <file>    Config file (default: ${CONFIG_FILE} in the working directory, if present)
+  --require <module> Load a module that registers another target (repeatable)
+  --check            Write nothing; exit 1 when the generated files differ from the ones on disk
+  --dry-run          Write nothing; report what would change
+  --json             Print the full result as JSON
+  --<option> <value> Any generate option: --target react|vue|svelte|html, --styles css-modules, --language typescript,
+                     --icons component, --tokens false (or --no-tokens), --breakpoints '{"desktop":1024}'
+
+Exit codes: 0 done, 1 out of date (--check) or files refused (onConflict "refuse"), 2 bad input.`;
+
+// Errors about the invocation itself, reported without a stack trace
+function usageError(message) {
+    return Object.assign(new Error(message), { status: 2 });
+}
+
+function toCamelCase(name) {
+    return name.replace(/-([a-z])/g, (match, letter) => letter.toUpperCase());
+}
+
+// A flag value as the option's type: booleans, JSON for objects and lists, else the string
+function parseOptionValue(key, raw) {
+    if (typeof DEFAULT_GENERATE_OPTIONS[key] === 'boolean') {
+        if (raw !== 'true' && raw !== 'false') throw usageError(`--${key} takes true or false`);
+        return raw === 'true';
+    }
+    if (/^[[{]/.test(raw)) {
+        try {
+            return JSON.parse(raw);
+        } catch {
+            throw usageError(`--${key} is not valid JSON: ${raw}`);
+        }
+    }
+    return raw;
+}
+
+// argv -> { command, payload, flags, options }
+function parseArgs(argv) {
+    const positional = [];
+    const flags = {};
+    const options = {};
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (!arg.startsWith('--')) {
+            positional.push(arg);
+            continue;
+        }
+
+        const [name, inlineValue] = arg.slice(2).split(/=(.*)/s);
+        const negated = name.startsWith('no-');
+        const key = toCamelCase(negated ? name.slice(3) : name);
+        const known = key in DEFAULT_GENERATE_OPTIONS || PROJECT_KEYS.includes(key) || CLI_FLAGS.includes(key);
+        if (!known) throw usageError(`Unknown option --${name}`);
+
+        const isSwitch = ['check', 'json', 'help'].includes(key) || typeof DEFAULT_GENERATE_OPTIONS[key] === 'boolean';
+        if (negated || (isSwitch && inlineValue === undefined && !/^(true|false)$/.test(argv[i + 1] || ''))) {
+            if (!isSwitch) throw usageError(`--${name} is not an on/off option`);
+            (CLI_FLAGS.includes(key) ? flags : options)[key] = !negated;
+            continue;
+        }
+
+        const raw = inlineValue !== undefined ? inlineValue : argv[++i];
+        if (raw === undefined) throw usageError(`--${name} needs a value`);
+        if (CLI_FLAGS.includes(key)) flags[key] = isSwitch ? raw === 'true' : raw;
+        else if (key === 'require') flags.require = (flags.require || []).concat(raw);
+        else if (PROJECT_KEYS.includes(key)) flags[key] = raw;
+        else options[key] = parseOptionValue(key, raw);
+    }
+
+    return { command: positional[0], payload: positional[1], flags, options };
+}
+
+// The config file's project settings (paths resolved against the file) and generate options
+async function loadConfig(configPath, required) {
+    let raw;
+    try {
+        raw = await fs.readFile(configPath, 'utf8');
+    } catch (readError) {
+        if (!required && readError.code === 'ENOENT') return { project: { require: [] }, options: {} };
+        throw usageError(`Could not read config ${configPath}: ${readError.message}`);
+    }
+
+    let config;
+    try {
+        config = JSON.parse(raw);
+    } catch (parseError) {
+        throw usageError(`Config ${configPath} is not valid JSON: ${parseError.message}`);
+    }
+    const unknown = Object.keys(config).filter(key => !(key in DEFAULT_GENERATE_OPTIONS) && !PROJECT_KEYS.includes(key));
+    if (unknown.length > 0) throw usageError(`Unknown keys in ${configPath}: ${unknown.join(', ')}`);
+
+    const { root, out, require: targetModules, ...options } = config;
+    const base = path.dirname(configPath);
+    return {
+        project: {
+            root: root && path.resolve(base, root),
+            out: out && path.resolve(base, out),
+            // Relative module paths are relative to the config file, like root and out
+            require: [].concat(targetModules || []).map(specifier => /^\.{1,2}[\\/]/.test(specifier) ? path.resolve(base, specifier) : specifier)
+        },
+        options
+    };
+}
+
+async function readPayload(source) {
+    let raw;
+    if (!source || source === '-') {
+        if (process.stdin.isTTY) throw usageError('No payload: pass a JSON file or pipe one to stdin');
+        const chunks = [];
+        for await (const chunk of process.stdin) chunks.push(chunk);
+        raw = Buffer.concat(chunks).toString('utf8');
+    } else {
+        try {
+            raw = await fs.readFile(source, 'utf8');
+        } catch (readError) {
+            throw usageError(`Could not read ${source}: ${readError.message}`);
+        }
+    }
+
+    try {
+        return JSON.parse(raw);
+    } catch (parseError) {
+        throw usageError(`Payload ${source || 'from stdin'} is not valid JSON: ${parseError.message}`);
+    }
+}
+
+// One line per file that is (or would be) touched, plus conflicts and warnings
+function printReport(result, check) {
+    // Developer-owned wrappers that already exist are 'kept' and never count as changes
+    const touched = result.changes.filter(change => change.status !== 'unchanged' && change.status !== 'kept');
+    touched.forEach(change => {
+        const backup = change.backup ? ` (backup: ${change.backup})` : '';
+        process.stdout.write(`${change.status.padEnd(9)} ${change.path}${backup}\n`);
+    });
+    result.conflicts
+        .filter(conflict => conflict.resolution !== 'backed-up')
+        .forEach(conflict => process.stdout.write(`${conflict.resolution}: ${conflict.path} ${conflict.reason}\n`));
+    result.fonts
+        .filter(font => font.warning)
+        .forEach(font => process.stdout.write(`warning: ${font.warning}\n`));
+
+    const written = touched.filter(change => change.status !== 'conflict').length;
+    if (check) {
+        process.stdout.write(touched.length > 0 ? `${touched.length} file(s) out of date\n` : 'Generated files are up to date\n');
+    } else {
+        process.stdout.write(`${written} file(s) ${result.dryRun ? 'would be written' : 'written'}, ${result.components.length} component(s)\n`);
+    }
+    if (result.accessibility.length > 0) {
+        process.stdout.write(`${result.accessibility.length} accessibility warning(s); see --json for details\n`);
+    }
+}
+
+async function main(argv) {
+    const { command, payload, flags, options } = parseArgs(argv);
+    if (flags.help || !command) {
+        process.stdout.write(`${USAGE}\n`);
+        return flags.help ? 0 : 2;
+    }
+    if (command !== 'generate') throw usageError(`Unknown command "${command}"\n\n${USAGE}`);
+
+    const config = await loadConfig(
+        path.resolve(flags.config || CONFIG_FILE),
+        Boolean(flags.config)
+    );
+    const root = flags.root ? path.resolve(flags.root) : config.project.root || process.cwd();
+    const out = flags.out ? path.resolve(flags.out) : config.project.out;
+    const project = createProjectPaths(root, out || undefined);
+
+    try {
+        loadTargetModules(config.project.require.concat(flags.require || []));
+    } catch (loadError) {
+        throw usageError(`Could not load a target module: ${loadError.message.split('\n')[0]}`);
+    }
+
+    const overrides = { ...config.options, ...options };
+    // --out (or the config's "out") wins over a componentDir in the payload
+    if (out) overrides.componentDir = null;
+    if (flags.check) overrides.dryRun = true;
+    const { data, options: generateOptions } = parseGeneratePayload(await readPayload(payload), overrides);
+    const result = await runGeneration(data, generateOptions, project);
+
+    if (flags.json) process.stdout.write(`${JSON.stringify(result, null, 2)}\n`);
+    else printReport(result, flags.check);
+
+    if (flags.check) {
+        return result.changes.some(change => change.status !== 'unchanged' && change.status !== 'kept') ? 1 : 0;
+    }
+    return result.conflicts.some(conflict => conflict.resolution === 'refused') ? 1 : 0;
+}
+
+main(process.argv.slice(2))
+    .then(code => {
+        process.exitCode = code;
+    })
+    .catch(error => {
+        // Invalid payloads and options come back from the generator as HTTP 400s
+        const expected = error.status === 2 || error.status === 400;
+        console.error(expected ? `figma-gen: ${error.message}` : error);
+        // Payload schema problems, one JSON path per line
+        if (error.errors && error.errors.length > 1) {
+            error.errors.forEach(({ path: at, message }) => console.error(`  ${at} ${message}`));
+        }
+        process.exitCode = 2;
+    });
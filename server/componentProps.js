@@ -0,0 +1,167 @@
+// Component Props - Figma component properties as component props, for every target.
+// Variant axes become string props ('size' | 'state'), text properties string props,
+// boolean properties toggle the layers bound to them and instance-swap properties
+// become slots that take other markup. Text and image layers can also be exposed
+// as props ('IMAGE' props default to the imported asset).
+
+// Props every generated component already handles, names the frameworks reserve, and
+// the identifier CSS Modules output imports its classes as
+const RESERVED_PROP_NAMES = ['className', 'class', 'style', 'children', 'key', 'ref', 'slot', 'styles'];
+
+// JavaScript and TypeScript reserved words: a prop can't be destructured (`{ continue = ... }`),
+// declared with Svelte's `export let` or read in a Vue template under one of these names
+const RESERVED_WORDS = new Set([
+    'arguments', 'await', 'break', 'case', 'catch', 'class', 'const', 'continue', 'debugger',
+    'default', 'delete', 'do', 'else', 'enum', 'eval', 'export', 'extends', 'false', 'finally',
+    'for', 'function', 'if', 'implements', 'import', 'in', 'instanceof', 'interface', 'let', 'new',
+    'null', 'package', 'private', 'protected', 'public', 'return', 'static', 'super', 'switch',
+    'this', 'throw', 'true', 'try', 'typeof', 'undefined', 'var', 'void', 'while', 'with', 'yield'
+]);
+
+// 'continue' -> 'continueText': reserved words get a suffix saying what the prop holds
+function unreserved(name, suffix) {
+    return RESERVED_WORDS.has(name) ? `${name}${suffix}` : name;
+}
+
+// 'Show icon#12:0' -> 'showIcon'; Figma suffixes non-variant property names with an id
+function toPropName(propertyName) {
+    const words = String(propertyName)
+        .replace(/#[^#]*$/, '')
+        .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+        .split(/[^a-zA-Z0-9]+/)
+        .filter(Boolean)
+        .map(word => word.toLowerCase());
+    const name = words.map((word, i) => i === 0 ? word : word[0].toUpperCase() + word.slice(1)).join('');
+    if (!name) return 'prop';
+    return /^[0-9]/.test(name) ? `prop${name}` : name;
+}
+
+// Props of a component set or standalone component, in Figma's property order.
+// Older payloads without definitions still get variant props from the variants.
+function getComponentProps(definition) {
+    const definitions = { ...(definition.componentPropertyDefinitions || {}) };
+    if (definition.type === 'COMPONENT_SET') {
+        (definition.children || []).forEach(variant => {
+            Object.entries(variant.variantProperties || {}).forEach(([axis, value]) => {
+                const existing = definitions[axis] || { type: 'VARIANT', defaultValue: value, variantOptions: [] };
+                if (!existing.variantOptions) existing.variantOptions = [];
+                if (!existing.variantOptions.includes(value)) existing.variantOptions.push(value);
+                definitions[axis] = existing;
+            });
+        });
+    }
+
+    const used = new Set(RESERVED_PROP_NAMES);
+    return Object.entries(definitions).map(([key, property]) => {
+        const base = unreserved(toPropName(key), 'Prop');
+        let name = base;
+        for (let suffix = 2; used.has(name); suffix++) {
+            name = `${base}${suffix}`;
+        }
+        used.add(name);
+        return {
+            key,
+            name,
+            type: property.type,
+            defaultValue: property.defaultValue,
+            options: property.variantOptions
+        };
+    });
+}
+
+// The variant rendered when no variant props are passed: the one matching every default
+function getDefaultVariant(definition, props) {
+    const variants = (definition.children || []).filter(child => child.type === 'COMPONENT');
+    const variantProps = props.filter(prop => prop.type === 'VARIANT');
+    return variants.find(variant => variantProps.every(prop =>
+        (variant.variantProperties || {})[prop.key] === prop.defaultValue
+    )) || variants[0];
+}
+
+function jsString(value) {
+    return `'${String(value).replace(/\\/g, '\\\\').replace(/'/g, "\\'").replace(/\n/g, '\\n')}'`;
+}
+
+// Prop values selecting a variant: [{ prop: 'size', value: 'lg' }, ...]
+function variantWhen(props, variantProperties) {
+    return props
+        .filter(prop => prop.type === 'VARIANT' && variantProperties && variantProperties[prop.key] !== undefined)
+        .map(prop => ({ prop: prop.name, value: variantProperties[prop.key] }));
+}
+
+// The same as a JS condition, for targets that branch in code: "size === 'lg' && state === 'hover'"
+function whenExpression(when) {
+    return when.map(({ prop, value }) => `${prop} === ${jsString(value)}`).join(' && ');
+}
+
+// Text and image layers exposed as props, named after their layers. Layers with the
+// same name (the same label in every variant) share one prop.
+function createLayerProps(componentProps) {
+    const used = new Set(RESERVED_PROP_NAMES.concat(componentProps.map(prop => prop.name)));
+    const byKey = new Map();
+
+    function claim(key, base, prop) {
+        if (!byKey.has(key)) {
+            let name = base;
+            for (let suffix = 2; used.has(name); suffix++) {
+                name = `${base}${suffix}`;
+            }
+            used.add(name);
+            byKey.set(key, { key: `layer:${key}`, name, ...prop });
+        }
+        return byKey.get(key).name;
+    }
+
+    return {
+        // Optional string prop defaulting to the Figma text
+        text(layerName, text) {
+            const base = toPropName(layerName);
+            return claim(`text:${base}`, base === 'prop' ? 'text' : unreserved(base, 'Text'), { type: 'TEXT', defaultValue: text || '' });
+        },
+
+        // Optional src prop defaulting to the design's image: `source` is { asset } or { url }
+        image(layerName, source) {
+            const base = `${toPropName(layerName) === 'prop' ? 'image' : toPropName(layerName)}Src`;
+            return claim(`image:${base}`, base, { type: 'IMAGE', defaultSource: source });
+        },
+
+        props() {
+            return Array.from(byKey.values());
+        }
+    };
+}
+
+// Props an instance usage passes, as [{ name, value }]: only values that differ from the
+// defaults, with strings for variants and text, booleans, and for instance swaps the
+// swapped-in usage `resolveSwap(componentId)` returns (skipped when it returns null)
+function usageProps(props, instance, variantProperties, resolveSwap) {
+    const values = instance.componentProperties || {};
+    const passed = [];
+    props.forEach(prop => {
+        if (prop.type === 'VARIANT') {
+            const value = (variantProperties || {})[prop.key];
+            if (value !== undefined && value !== prop.defaultValue) passed.push({ name: prop.name, value });
+            return;
+        }
+        const property = values[prop.key];
+        if (!property || property.value === prop.defaultValue) return;
+        if (prop.type === 'BOOLEAN' || prop.type === 'TEXT') {
+            passed.push({ name: prop.name, value: prop.type === 'BOOLEAN' ? Boolean(property.value) : property.value });
+        } else if (prop.type === 'INSTANCE_SWAP') {
+            const swapped = resolveSwap(property.value);
+            if (swapped) passed.push({ name: prop.name, value: swapped });
+        }
+    });
+    return passed;
+}
+
+module.exports = {
+    toPropName,
+    getComponentProps,
+    getDefaultVariant,
+    createLayerProps,
+    variantWhen,
+    whenExpression,
+    usageProps,
+    jsString
+};
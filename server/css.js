@@ -0,0 +1,33 @@
+// CSS Serialization Helpers - shared by the stylesheet and Tailwind output modes
+
+// Convert a React style object to CSS declarations for a stylesheet
+function styleObjectToCSS(styles, indent = '    ') {
+    return Object.entries(styles)
+        .map(([k, v]) => `${indent}${cssPropertyName(k)}: ${cssValue(k, v)};`)
+        .join('\n');
+}
+
+// React keys are camelCase; vendor prefixes (WebkitX, msX) gain a leading dash
+function cssPropertyName(key) {
+    return key
+        .replace(/^(Webkit|Moz|ms)(?=[A-Z])/, prefix => `-${prefix.toLowerCase()}`)
+        .replace(/[A-Z]/g, c => `-${c.toLowerCase()}`);
+}
+
+function cssValue(key, value) {
+    // Stylesheets need multi-word font names quoted, unlike React style objects
+    if (key === 'fontFamily') {
+        return String(value)
+            .split(',')
+            .map(font => font.trim().replace(/^['"]+|['"]+$/g, ''))
+            .map(font => /^[a-zA-Z-]+$/.test(font) || /^var\(/.test(font) ? font : `'${font}'`)
+            .join(', ');
+    }
+    return String(value);
+}
+
+module.exports = {
+    styleObjectToCSS,
+    cssPropertyName,
+    cssValue
+};
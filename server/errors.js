@@ -0,0 +1,17 @@
+// Request Errors - what the API answers with its own status instead of a 500. `errors`
+// lists each problem as { path, message } with a JSON path into the payload, the way
+// schema failures are reported, so clients can show every kind of problem alike.
+
+function httpError(status, message, errors) {
+    return Object.assign(new Error(message), { status, ...(errors ? { errors } : {}) });
+}
+
+// A 400 for one generate option: "options.styles must be one of: ..." at $.options.styles
+function invalidOption(name, message) {
+    return httpError(400, `options.${name} ${message}`, [{ path: `$.options.${name}`, message }]);
+}
+
+module.exports = {
+    httpError,
+    invalidOption
+};
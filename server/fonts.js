@@ -0,0 +1,334 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const https = require('https');
+const http = require('http');
+
+// Fonts the browser already has (or generic families): never downloaded. Matched
+// exactly and case-insensitively, so "Roboto Slab" is not mistaken for a system font.
+const DEFAULT_SYSTEM_FONTS = [
+    'Arial', 'Arial Black', 'Helvetica', 'Helvetica Neue', 'Times', 'Times New Roman',
+    'Courier', 'Courier New', 'Verdana', 'Georgia', 'Palatino', 'Garamond', 'Bookman',
+    'Comic Sans MS', 'Trebuchet MS', 'Impact', 'Tahoma', 'Segoe UI', 'SF Pro', 'SF Pro Text',
+    'SF Pro Display', '-apple-system', 'BlinkMacSystemFont', 'system-ui', 'serif',
+    'sans-serif', 'monospace', 'cursive', 'fantasy'
+];
+
+// What text in a family that could not be loaded falls back to
+const FALLBACK_FONT_STACK = "system-ui, -apple-system, 'Segoe UI', Roboto, sans-serif";
+
+// Google serves woff2 only to browsers that advertise support for it
+const WOFF2_USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+const GOOGLE_FONTS_CSS_URL = 'https://fonts.googleapis.com/css2';
+const REQUEST_TIMEOUT_MS = 15000;
+
+const FONT_FORMATS = { woff2: 'woff2', woff: 'woff', ttf: 'truetype', otf: 'opentype' };
+// Preferred file when a local directory has several formats of one face
+const FORMAT_PREFERENCE = ['woff2', 'woff', 'ttf', 'otf'];
+
+// Words that may follow the family in a font file name ("Inter-SemiBoldItalic")
+const STYLE_WORDS_REGEX = /^(thin|hairline|extralight|ultralight|light|regular|normal|book|medium|semibold|demibold|bold|extrabold|ultrabold|black|heavy|italic|oblique|[1-9]00)*$/;
+
+function isSystemFont(family, systemFonts = DEFAULT_SYSTEM_FONTS) {
+    const name = String(family).trim().toLowerCase();
+    return systemFonts.some(systemFont => String(systemFont).trim().toLowerCase() === name);
+}
+
+// Figma style name -> CSS weight and italic flag ("Semi Bold Italic" -> 600, true)
+function parseFontStyle(style) {
+    const compact = String(style || '').toLowerCase().replace(/[\s_-]+/g, '');
+    const italic = /italic|oblique/.test(compact);
+    const numeric = compact.match(/[1-9]00/);
+    let weight = 400;
+    if (numeric) weight = Number(numeric[0]);
+    else if (/extralight|ultralight/.test(compact)) weight = 200;
+    else if (/extrabold|ultrabold/.test(compact)) weight = 800;
+    else if (/semibold|demibold/.test(compact)) weight = 600;
+    else if (/thin|hairline/.test(compact)) weight = 100;
+    else if (/light/.test(compact)) weight = 300;
+    else if (/medium/.test(compact)) weight = 500;
+    else if (/bold/.test(compact)) weight = 700;
+    else if (/black|heavy/.test(compact)) weight = 900;
+    return { weight, italic };
+}
+
+// '700italic' style keys, as Google names its variants
+function variantKey({ weight, italic }) {
+    return `${weight}${italic ? 'italic' : ''}`;
+}
+
+function toFontSlug(family) {
+    return String(family).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+function hashBuffer(content) {
+    return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+// GET a URL into a Buffer, following redirects
+function fetchBuffer(url, headers = {}, redirects = 3) {
+    return new Promise((resolve, reject) => {
+        const client = url.startsWith('https:') ? https : http;
+        const request = client.get(url, { headers }, res => {
+            if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location && redirects > 0) {
+                res.resume();
+                resolve(fetchBuffer(new URL(res.headers.location, url).toString(), headers, redirects - 1));
+                return;
+            }
+            if (res.statusCode !== 200) {
+                res.resume();
+                reject(new Error(`GET ${url} failed with status ${res.statusCode}`));
+                return;
+            }
+            const chunks = [];
+            res.on('data', chunk => chunks.push(chunk));
+            res.on('end', () => resolve(Buffer.concat(chunks)));
+            res.on('error', reject);
+        });
+        request.setTimeout(REQUEST_TIMEOUT_MS, () => request.destroy(new Error(`GET ${url} timed out`)));
+        request.on('error', reject);
+    });
+}
+
+// Font Sources - turn a family and the variants a design uses into font faces:
+// { weight, italic, format, unicodeRange?, content: Buffer }
+// A source is { name, cache, loadFaces(family, variants) }; `cache` marks remote
+// sources whose files should be kept in the on-disk cache.
+const FONT_SOURCES = {
+    // Google Fonts CSS API; `cssUrl` can point at a local stand-in for testing
+    google({ cssUrl = GOOGLE_FONTS_CSS_URL } = {}) {
+        return {
+            name: 'google',
+            cache: true,
+            async loadFaces(family, variants) {
+                const hasItalic = variants.some(variant => variant.italic);
+                const axes = variants
+                    .slice()
+                    .sort((a, b) => Number(a.italic) - Number(b.italic) || a.weight - b.weight)
+                    .map(variant => hasItalic ? `${variant.italic ? 1 : 0},${variant.weight}` : String(variant.weight));
+                const familyParam = `${encodeURIComponent(family).replace(/%20/g, '+')}:${hasItalic ? 'ital,' : ''}wght@${axes.join(';')}`;
+                const css = (await fetchBuffer(`${cssUrl}?family=${familyParam}&display=swap`, { 'User-Agent': WOFF2_USER_AGENT })).toString('utf8');
+
+                // One @font-face per variant and unicode subset; variable fonts reuse a URL across weights
+                const downloads = new Map();
+                const faces = [];
+                const faceRegex = /@font-face\s*{([^}]*)}/g;
+                let match;
+                while ((match = faceRegex.exec(css)) !== null) {
+                    const block = match[1];
+                    const url = (block.match(/src:\s*url\(([^)]+)\)/) || [])[1];
+                    if (!url) continue;
+                    const fileUrl = new URL(url.replace(/['"]/g, ''), cssUrl).toString();
+                    const format = (block.match(/format\(['"]?([\w-]+)['"]?\)/) || [])[1] || 'woff2';
+                    const unicodeRange = (block.match(/unicode-range:\s*([^;]+)/) || [])[1];
+                    if (!downloads.has(fileUrl)) downloads.set(fileUrl, fetchBuffer(fileUrl));
+                    faces.push({
+                        weight: Number((block.match(/font-weight:\s*(\d+)/) || [])[1] || 400),
+                        italic: /font-style:\s*italic/.test(block),
+                        format,
+                        unicodeRange: unicodeRange && unicodeRange.trim(),
+                        content: await downloads.get(fileUrl)
+                    });
+                }
+                if (faces.length === 0) {
+                    throw new Error(`Google Fonts has no files for ${family}`);
+                }
+                return faces;
+            }
+        };
+    },
+
+    // A directory of licensed font files named "<Family>-<Style>.<ext>", either flat
+    // or in one folder per family ("Inter/Inter-BoldItalic.woff2", "Inter/Bold.woff2")
+    local({ directory } = {}) {
+        if (!directory) {
+            throw new Error('The local font source needs a directory');
+        }
+
+        async function listFontFiles(dir) {
+            const entries = await fs.readdir(dir, { withFileTypes: true });
+            const files = [];
+            for (const entry of entries) {
+                const entryPath = path.join(dir, entry.name);
+                if (entry.isDirectory()) {
+                    files.push(...await listFontFiles(entryPath));
+                } else if (FONT_FORMATS[path.extname(entry.name).slice(1).toLowerCase()]) {
+                    files.push(entryPath);
+                }
+            }
+            return files;
+        }
+
+        return {
+            name: 'local',
+            cache: false,
+            async loadFaces(family, variants) {
+                const familyCompact = family.toLowerCase().replace(/[^a-z0-9]/g, '');
+                const wanted = new Set(variants.map(variantKey));
+                const byVariant = new Map();
+
+                for (const filePath of await listFontFiles(directory)) {
+                    const extension = path.extname(filePath).slice(1).toLowerCase();
+                    const folder = path.basename(path.dirname(filePath)).toLowerCase().replace(/[^a-z0-9]/g, '');
+                    let name = path.basename(filePath, path.extname(filePath)).toLowerCase().replace(/[^a-z0-9]/g, '');
+                    if (name.startsWith(familyCompact)) {
+                        name = name.slice(familyCompact.length);
+                    } else if (folder !== familyCompact) {
+                        continue;
+                    }
+                    if (!STYLE_WORDS_REGEX.test(name)) continue;
+
+                    const variant = parseFontStyle(name);
+                    const key = variantKey(variant);
+                    const current = byVariant.get(key);
+                    if (wanted.has(key) && (!current || FORMAT_PREFERENCE.indexOf(extension) < FORMAT_PREFERENCE.indexOf(current.extension))) {
+                        byVariant.set(key, { ...variant, extension, filePath });
+                    }
+                }
+
+                return Promise.all(Array.from(byVariant.values()).map(async face => ({
+                    weight: face.weight,
+                    italic: face.italic,
+                    format: FONT_FORMATS[face.extension],
+                    content: await fs.readFile(face.filePath)
+                })));
+            }
+        };
+    }
+};
+
+// Make another font source available by name (e.g. a company font CDN)
+function registerFontSource(name, factory) {
+    FONT_SOURCES[name] = factory;
+}
+
+function createFontSource(name, config) {
+    if (!FONT_SOURCES[name]) {
+        throw new Error(`Unknown font source "${name}"; available: ${Object.keys(FONT_SOURCES).join(', ')}`);
+    }
+    return FONT_SOURCES[name](config);
+}
+
+function getFontSourceNames() {
+    return Object.keys(FONT_SOURCES);
+}
+
+// Font Cache - faces of remote sources are kept on disk per source and family, so
+// repeat generations skip the network and machines without one can still generate
+function createFontCache(cacheDir) {
+    const filesDir = path.join(cacheDir, 'files');
+    const indexPath = (source, family) => path.join(cacheDir, source.name, `${toFontSlug(family)}.json`);
+
+    async function readIndex(source, family) {
+        try {
+            return JSON.parse(await fs.readFile(indexPath(source, family), 'utf8'));
+        } catch {
+            return { variants: {} };
+        }
+    }
+
+    return {
+        // Cached faces per variant key; variants with any file missing count as uncached
+        async read(source, family, variants) {
+            const index = await readIndex(source, family);
+            const cached = {};
+            for (const variant of variants) {
+                const key = variantKey(variant);
+                if (!index.variants[key]) continue;
+                try {
+                    cached[key] = await Promise.all(index.variants[key].map(async face => ({
+                        ...face,
+                        content: await fs.readFile(path.join(filesDir, face.file))
+                    })));
+                } catch {
+                    // Fetch it again
+                }
+            }
+            return cached;
+        },
+
+        async write(source, family, faces) {
+            const index = await readIndex(source, family);
+            await fs.mkdir(filesDir, { recursive: true });
+            const byVariant = {};
+            for (const face of faces) {
+                const { content, ...meta } = face;
+                const file = `${hashBuffer(content)}.${face.format === 'truetype' ? 'ttf' : face.format === 'opentype' ? 'otf' : face.format}`;
+                await fs.writeFile(path.join(filesDir, file), content);
+                const key = variantKey(face);
+                (byVariant[key] = byVariant[key] || []).push({ ...meta, file });
+            }
+            Object.assign(index.variants, byVariant);
+            await fs.mkdir(path.dirname(indexPath(source, family)), { recursive: true });
+            await fs.writeFile(indexPath(source, family), JSON.stringify(index, null, 2));
+        }
+    };
+}
+
+// Load the faces for every family, preferring the cache. Each result reports which
+// variants were found and where from: { family, variants, missing, cached, faces, error? }
+async function loadFonts(fonts, source, cache) {
+    return Promise.all(fonts.map(async ({ family, variants }) => {
+        const result = { family, source: source.name, variants: variants.map(variantKey), missing: [], cached: false, faces: [] };
+        const cached = source.cache && cache ? await cache.read(source, family, variants) : {};
+        const uncached = variants.filter(variant => !cached[variantKey(variant)]);
+
+        let fetched = [];
+        if (uncached.length > 0) {
+            try {
+                fetched = await source.loadFaces(family, uncached);
+                if (source.cache && cache && fetched.length > 0) {
+                    await cache.write(source, family, fetched);
+                }
+            } catch (error) {
+                result.error = error.message;
+            }
+        }
+
+        result.cached = uncached.length < variants.length;
+        result.faces = Object.values(cached).reduce((all, faces) => all.concat(faces), []).concat(fetched);
+        const found = new Set(result.faces.map(variantKey));
+        result.missing = result.variants.filter(key => !found.has(key));
+        return result;
+    }));
+}
+
+// File name for a face in the app's fonts folder; content-addressed so faces shared
+// between variants or runs are written once
+function getFontFileName(family, face) {
+    const extension = Object.keys(FONT_FORMATS).find(ext => FONT_FORMATS[ext] === face.format) || 'woff2';
+    return `${toFontSlug(family)}-${hashBuffer(face.content).slice(0, 12)}.${extension}`;
+}
+
+// @font-face rules for the given variants of a loaded family
+function generateFontFaceCSS(loadedFont, variants, fontsUrl) {
+    const wanted = new Set(variants.map(variantKey));
+    return loadedFont.faces
+        .filter(face => wanted.has(variantKey(face)))
+        .map(face => [
+            '@font-face {',
+            `    font-family: '${loadedFont.family}';`,
+            `    font-style: ${face.italic ? 'italic' : 'normal'};`,
+            `    font-weight: ${face.weight};`,
+            '    font-display: swap;',
+            `    src: url('${fontsUrl}/${getFontFileName(loadedFont.family, face)}') format('${face.format}');`,
+            face.unicodeRange ? `    unicode-range: ${face.unicodeRange};` : null,
+            '}'
+        ].filter(Boolean).join('\n'))
+        .join('\n\n');
+}
+
+module.exports = {
+    DEFAULT_SYSTEM_FONTS,
+    FALLBACK_FONT_STACK,
+    isSystemFont,
+    parseFontStyle,
+    variantKey,
+    registerFontSource,
+    createFontSource,
+    getFontSourceNames,
+    createFontCache,
+    loadFonts,
+    getFontFileName,
+    generateFontFaceCSS
+};
@@ -0,0 +1,133 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { createTwoFilesPatch } = require('diff');
+
+// Generation History - every payload the server generated from, with what it wrote, so
+// runs can be listed, re-run with other options and compared. Each entry is a directory
+// under the history directory, named by its id (which sorts by time):
+//   entry.json    id, createdAt, source, node ids, options, components and files written
+//   payload.json  the payload as received, migrated to the current version
+//   output.json   generated text files by project path; binary files by content hash
+// Only the newest `limit` entries are kept.
+
+const ENTRY_FILE = 'entry.json';
+const PAYLOAD_FILE = 'payload.json';
+const OUTPUT_FILE = 'output.json';
+const ID_PATTERN = /^[\w-]+$/;
+
+// 20261019T101530123Z-3f9a2c: the time of the run, then a random suffix for runs in the same millisecond
+function createEntryId(date) {
+    return `${date.toISOString().replace(/[-:.]/g, '')}-${crypto.randomBytes(3).toString('hex')}`;
+}
+
+function hashBinary(content) {
+    return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+async function readJson(file) {
+    try {
+        return JSON.parse(await fs.readFile(file, 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+    }
+}
+
+function createHistoryStore(directory, limit = 50) {
+    function entryDir(id) {
+        return path.join(directory, id);
+    }
+
+    async function listIds() {
+        try {
+            const names = await fs.readdir(directory);
+            return names.filter(name => ID_PATTERN.test(name)).sort().reverse();
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+    }
+
+    return {
+        // Record a run: `files` are the planned files ({ path, content }) keyed by project path
+        async add({ payload, options, result, files, regeneratedFrom }) {
+            const createdAt = new Date();
+            const id = createEntryId(createdAt);
+            const entry = {
+                id,
+                createdAt: createdAt.toISOString(),
+                source: payload.source || null,
+                nodeIds: payload.data.map(node => node.id).filter(Boolean),
+                options,
+                components: result.components.map(({ name, figmaName }) => ({ name, figmaName })),
+                files: result.files,
+                ...(regeneratedFrom ? { regeneratedFrom } : {})
+            };
+            const output = { files: {}, binary: {} };
+            files.forEach(({ path: projectPath, content }) => {
+                if (typeof content === 'string') output.files[projectPath] = content;
+                else output.binary[projectPath] = hashBinary(content);
+            });
+
+            await fs.mkdir(entryDir(id), { recursive: true });
+            await fs.writeFile(path.join(entryDir(id), PAYLOAD_FILE), JSON.stringify(payload));
+            await fs.writeFile(path.join(entryDir(id), OUTPUT_FILE), JSON.stringify(output));
+            // entry.json last: a directory without one is an interrupted write and never listed
+            await fs.writeFile(path.join(entryDir(id), ENTRY_FILE), JSON.stringify(entry, null, 2));
+
+            const stale = (await listIds()).slice(limit);
+            await Promise.all(stale.map(staleId => fs.rm(entryDir(staleId), { recursive: true, force: true })));
+            return entry;
+        },
+
+        // Entries newest first, without their payloads and output
+        async list() {
+            const entries = await Promise.all((await listIds()).map(id => readJson(path.join(entryDir(id), ENTRY_FILE))));
+            return entries.filter(Boolean);
+        },
+
+        // One entry with its payload and output, or null
+        async get(id) {
+            if (!ID_PATTERN.test(String(id))) return null;
+            const entry = await readJson(path.join(entryDir(id), ENTRY_FILE));
+            if (!entry) return null;
+            return {
+                ...entry,
+                payload: await readJson(path.join(entryDir(id), PAYLOAD_FILE)),
+                output: await readJson(path.join(entryDir(id), OUTPUT_FILE))
+            };
+        }
+    };
+}
+
+// Code diff between the output of two entries: every added, removed or changed file,
+// with a unified diff for text files
+function diffOutputs(from, to) {
+    const changes = [];
+    const textPaths = new Set([...Object.keys(from.files), ...Object.keys(to.files)]);
+    Array.from(textPaths).sort().forEach(filePath => {
+        const before = from.files[filePath];
+        const after = to.files[filePath];
+        if (before === after) return;
+        const status = before === undefined ? 'added' : after === undefined ? 'removed' : 'changed';
+        changes.push({
+            path: filePath,
+            status,
+            diff: createTwoFilesPatch(`a/${filePath}`, `b/${filePath}`, before || '', after || '')
+        });
+    });
+    const binaryPaths = new Set([...Object.keys(from.binary), ...Object.keys(to.binary)]);
+    Array.from(binaryPaths).sort().forEach(filePath => {
+        const before = from.binary[filePath];
+        const after = to.binary[filePath];
+        if (before === after) return;
+        changes.push({ path: filePath, status: before === undefined ? 'added' : after === undefined ? 'removed' : 'changed' });
+    });
+    return changes;
+}
+
+module.exports = {
+    createHistoryStore,
+    diffOutputs
+};
@@ -2,17 +2,112 @@ const express = require('express');
 const cors = require('cors');
 const fs = require('fs').promises;
 const path = require('path');
-const https = require('https');
-const http = require('http');
+const crypto = require('crypto');
+const { createTwoFilesPatch } = require('diff');
+const { styleObjectToCSS } = require('./css');
+const { createTailwindTheme, loadTailwindConfig, stylesToTailwindClasses, breakpointVariant } = require('./tailwind');
+const { createTokenSet, cssColorToHex } = require('./tokens');
+const {
+    DEFAULT_SYSTEM_FONTS,
+    FALLBACK_FONT_STACK,
+    isSystemFont,
+    parseFontStyle,
+    variantKey,
+    createFontSource,
+    getFontSourceNames,
+    createFontCache,
+    loadFonts,
+    getFontFileName,
+    generateFontFaceCSS
+} = require('./fonts');
+const { decodeDataUri, createAssetRegistry } = require('./assets');
+const { getComponentProps, getDefaultVariant, createLayerProps, variantWhen, usageProps } = require('./componentProps');
+const { LINE_SEPARATOR, toTextBlocks } = require('./richText');
+const { createSemantics, withResets } = require('./semantics');
+const { DEFAULT_BREAKPOINTS, groupBreakpointFrames, getBreakpointStyles } = require('./breakpoints');
+const { loadTsConfig, resolveJsxSettings } = require('./typescript');
+const { registerTarget, getTarget, getTargetNames, loadTargetModules } = require('./targets');
+const { PAYLOAD_SCHEMA, readPayload } = require('./payloadSchema');
+const { httpError, invalidOption } = require('./errors');
+const { createHistoryStore, diffOutputs } = require('./history');
+const { diffNodeTrees, summarizeLayers } = require('./treeDiff');
 
 const app = express();
 const PORT = 3000;
-const COMPONENT_DIR = path.join(__dirname, '../react-app/src/components');
-const FONTS_DIR = path.join(__dirname, '../react-app/public/fonts');
+const REACT_APP_DIR = path.join(__dirname, '../react-app');
+const IMAGES_URL = '/images';
+const FONTS_URL = '/fonts';
+// Downloaded font files survive between runs here, so generation also works offline
+const FONT_CACHE_DIR = process.env.FONT_CACHE_DIR || path.join(__dirname, '.font-cache');
+// Payloads and output of past runs, for /api/history and /api/diff; the oldest are dropped
+const HISTORY_DIR = process.env.HISTORY_DIR || path.join(__dirname, '.history');
+const HISTORY_LIMIT = parseInt(process.env.HISTORY_LIMIT, 10) || 50;
+// Tailwind configs looked for in the app when `tailwindConfig` isn't set, in Tailwind's own order
+const TAILWIND_CONFIG_FILES = ['tailwind.config.js', 'tailwind.config.cjs', 'tailwind.config.mjs', 'tailwind.config.ts'];
+
+const DEFAULT_GENERATE_OPTIONS = {
+    dryRun: false,
+    target: 'react',      // Framework the components are written for: 'react', 'vue', 'svelte', 'html'
+                          // (static pages) or one added with registerTarget()
+    updateApp: true,      // Rewrite the app (src/App.js, App.vue, ...) to render the generated components
+    onConflict: 'backup', // Hand-edited targets: 'backup' then write, 'refuse' to write, or 'overwrite'
+    componentLayout: 'split', // 'split': Foo.generated.jsx + a Foo.jsx wrapper created once; 'single': Foo.jsx only
+    styles: 'inline',        // 'inline' style={{}} objects, 'css' classes in Foo.css, 'css-modules' in Foo.module.css,
+                             // 'tailwind' utility classes
+    tailwindConfig: null,    // Tailwind config path relative to the React app (default: the first TAILWIND_CONFIG_FILES present)
+    tokens: true,            // Write src/tokens.json + src/tokens.css and reference values as var(--...)
+    fontSource: 'google',    // Where font files come from: 'google', 'local' (fontDirectory) or 'none'
+    fontDirectory: null,     // Directory of licensed font files for the 'local' source, relative to the React app
+    systemFonts: null,       // Family names never downloaded (default: DEFAULT_SYSTEM_FONTS)
+    icons: 'img',            // SVG artwork: 'img' imports the file from src/assets, 'component' writes
+                             // an icon component to src/components/icons
+    language: 'javascript',  // 'javascript' writes .jsx, 'typescript' .tsx with an exported <Name>Props interface
+    jsxRuntime: 'auto',      // 'automatic' (no React import), 'classic', or 'auto' to follow the project's tsconfig
+    tsconfig: null,          // tsconfig path relative to the React app (default: tsconfig.json if present)
+    layerProps: false,       // Expose text layers as string props and images as src props
+    semantics: true,         // Infer <button>, <a>, <h1>-<h6>, landmarks, lists and ARIA attributes (false: <div>s)
+    breakpoints: DEFAULT_BREAKPOINTS, // Frame name suffixes ('Home / tablet') and the min-width each one starts at
+    componentDir: null,      // Components directory relative to the app (default: src/components); tokens,
+                             // assets and the app file go to its parent directory
+    componentName: null      // Name of the first selected node's component instead of its layer name
+};
+const CONFLICT_STRATEGIES = ['backup', 'refuse', 'overwrite'];
+const COMPONENT_LAYOUTS = ['split', 'single'];
+const STYLE_MODES = ['inline', 'css', 'css-modules', 'tailwind'];
+const ICON_MODES = ['img', 'component'];
+const LANGUAGES = ['javascript', 'typescript'];
+const JSX_RUNTIMES = ['auto', 'automatic', 'classic'];
 
 app.use(cors());
 app.use(express.json({ limit: '50mb' }));
 
+// Project Layout - where a run writes in a React app. Everything in src/ sits next to
+// the components directory, so generated imports (../assets, ../tokens.css) resolve
+// wherever the components go; public files and the manifest live in the app root.
+function createProjectPaths(appDir, componentDir = path.join(appDir, 'src/components')) {
+    const srcDir = path.dirname(componentDir);
+    return {
+        appDir,
+        componentDir,
+        iconsDir: path.join(componentDir, 'icons'),
+        assetsDir: path.join(srcDir, 'assets'),
+        fontsDir: path.join(appDir, 'public/fonts'),
+        imagesDir: path.join(appDir, 'public/images'),
+        // App files (src/App.jsx, App.vue, ...) are named by the target
+        srcDir,
+        tokensJsonFile: path.join(srcDir, 'tokens.json'),
+        tokensCssFile: path.join(srcDir, 'tokens.css'),
+        // Hashes of the files written by the last generation, used to spot hand edits
+        manifestFile: path.join(appDir, '.figma-generator.json'),
+        // Module types for generated imports, written for TypeScript projects that don't declare them
+        envDeclarationsFile: path.join(srcDir, 'figma-generator-env.d.ts'),
+        toolingEnvFiles: ['react-app-env.d.ts', 'vite-env.d.ts'].map(file => path.join(srcDir, file))
+    };
+}
+
+// The server generates into the React app next to it
+const DEFAULT_PROJECT = createProjectPaths(REACT_APP_DIR);
+
 // Ensure component directory exists
 async function ensureDirectory(dirPath) {
     try {
@@ -22,9 +117,9 @@ async function ensureDirectory(dirPath) {
     }
 }
 
-// Extract unique fonts from Figma data
-function extractFontsFromData(data) {
-    const fonts = new Set();
+// Extract unique fonts from Figma data, with the weight/italic variants each one is used in
+function extractFontsFromData(data, systemFonts = DEFAULT_SYSTEM_FONTS) {
+    const fonts = new Map();
 
     function traverse(node) {
         if (node.fontFamily) {
@@ -37,111 +132,101 @@ function extractFontsFromData(data) {
                 .split(',')[0] // Get first font (before comma)
                 .trim();
 
-            if (cleanFont && !isSystemFont(cleanFont)) {
-                fonts.add(cleanFont);
+            if (cleanFont && !isSystemFont(cleanFont, systemFonts)) {
+                const variant = getFontVariant(node);
+                const variants = fonts.get(cleanFont) || new Map();
+                variants.set(variantKey(variant), variant);
+                fonts.set(cleanFont, variants);
             }
         }
 
+        // Styled runs can use other families and faces than the layer's own
+        (node.textSegments || []).forEach(segment => {
+            if (segment.fontName) traverse({ fontFamily: segment.fontName.family, fontName: segment.fontName, fontWeight: segment.fontWeight });
+        });
+
         if (node.children && Array.isArray(node.children)) {
             node.children.forEach(traverse);
         }
     }
 
     data.forEach(traverse);
-    return Array.from(fonts);
-}
-
-// Check if font is a system font (shouldn't download)
-function isSystemFont(fontName) {
-    const systemFonts = [
-        'arial', 'helvetica', 'times', 'courier', 'verdana', 'georgia',
-        'palatino', 'garamond', 'bookman', 'comic sans ms', 'trebuchet ms',
-        'arial black', 'impact', 'system', 'monospace', 'serif', 'sans-serif',
-        'cursive', 'fantasy', '-apple-system', 'blinkmacsystemfont', 'segoe ui',
-        'roboto', 'oxygen', 'ubuntu', 'cantarell', 'fira sans', 'droid sans',
-        'helvetica neue'
-    ];
-
-    return systemFonts.some(sysFont =>
-        fontName.toLowerCase().includes(sysFont.toLowerCase())
-    );
+    return Array.from(fonts, ([family, variants]) => ({
+        family,
+        variants: Array.from(variants.values()).sort((a, b) => a.weight - b.weight || Number(a.italic) - Number(b.italic))
+    }));
 }
 
-// Download font from Google Fonts API
-async function downloadFontFromGoogle(fontName) {
-    try {
-        // Convert font name to Google Fonts API format (replace spaces with +)
-        const apiFontName = fontName.replace(/\s+/g, '+');
-
-        // Get font info from Google Fonts API
-        const apiUrl = `https://fonts.googleapis.com/css2?family=${apiFontName}:wght@400;500;600;700&display=swap`;
-
-        return new Promise((resolve, reject) => {
-            https.get(apiUrl, (res) => {
-                let cssData = '';
-
-                res.on('data', (chunk) => {
-                    cssData += chunk;
-                });
+// Weight and italic of a text node: the Figma style name when present, else the numeric weight
+function getFontVariant(node) {
+    if (node.fontName && node.fontName.style) {
+        return parseFontStyle(node.fontName.style);
+    }
+    const weight = typeof node.fontWeight === 'string' ? parseFloat(node.fontWeight) || 400 : node.fontWeight || 400;
+    return { weight, italic: false };
+}
 
-                res.on('end', () => {
-                    // Extract font URLs from CSS
-                    const fontUrls = [];
-                    const urlRegex = /url\(([^)]+)\)/g;
-                    let match;
-
-                    while ((match = urlRegex.exec(cssData)) !== null) {
-                        const url = match[1].replace(/['"]/g, '');
-                        if (url.startsWith('http')) {
-                            fontUrls.push(url);
-                        }
-                    }
-
-                    if (fontUrls.length > 0) {
-                        resolve({ css: cssData, urls: fontUrls, fontName });
-                    } else {
-                        // Fallback: use Google Fonts CDN link
-                        resolve({
-                            css: `@import url('https://fonts.googleapis.com/css2?family=${apiFontName}:wght@400;500;600;700&display=swap');`,
-                            urls: [],
-                            fontName
-                        });
-                    }
-                });
-            }).on('error', (err) => {
-                // Fallback to CDN import if download fails
-                const apiFontName = fontName.replace(/\s+/g, '+');
-                resolve({
-                    css: `@import url('https://fonts.googleapis.com/css2?family=${apiFontName}:wght@400;500;600;700&display=swap');`,
-                    urls: [],
-                    fontName
-                });
-            });
-        });
-    } catch (error) {
-        // Fallback to CDN import
-        const apiFontName = fontName.replace(/\s+/g, '+');
+// Fonts for a run: load every family once from the configured source (through the
+// on-disk cache), then hand each component the @font-face rules for its own variants.
+// Families with no face at all get a system stack (`fallbacks`: family -> stack).
+async function loadRunFonts(data, options) {
+    const fonts = extractFontsFromData(data, options.systemFonts || DEFAULT_SYSTEM_FONTS);
+    if (fonts.length === 0 || options.fontSource === 'none') {
         return {
-            css: `@import url('https://fonts.googleapis.com/css2?family=${apiFontName}:wght@400;500;600;700&display=swap');`,
-            urls: [],
-            fontName
+            loaded: [],
+            files: [],
+            fallbacks: new Map(),
+            report: fonts.map(font => ({ family: font.family, variants: font.variants.map(variantKey), status: 'skipped' }))
         };
     }
-}
 
-// Generate @font-face CSS for all fonts
-async function generateFontCSS(fonts) {
-    await ensureDirectory(FONTS_DIR);
+    const source = createFontSource(options.fontSource, {
+        directory: options.fontDirectory && path.resolve(options.project.appDir, options.fontDirectory),
+        cssUrl: process.env.GOOGLE_FONTS_CSS_URL
+    });
+    const loaded = await loadFonts(fonts, source, createFontCache(FONT_CACHE_DIR));
+
+    const files = new Map();
+    loaded.forEach(font => font.faces.forEach(face => {
+        const filePath = path.join(options.project.fontsDir, getFontFileName(font.family, face));
+        files.set(filePath, { path: filePath, content: face.content });
+    }));
+
+    const fallbacks = new Map();
+    const report = loaded.map(font => {
+        if (font.error) console.error(`Could not load font ${font.family}:`, font.error);
+        const status = font.missing.length === 0 ? 'ok' : font.missing.length < font.variants.length ? 'partial' : 'missing';
+        if (status === 'missing') fallbacks.set(font.family, FALLBACK_FONT_STACK);
+        return {
+            family: font.family,
+            source: font.source,
+            variants: font.variants,
+            missing: font.missing,
+            cached: font.cached,
+            status,
+            ...(font.error ? { error: font.error } : {}),
+            ...(status === 'missing' ? { warning: `No ${font.family} files were found; text falls back to ${FALLBACK_FONT_STACK}` } : {})
+        };
+    });
 
-    const fontCSSPromises = fonts.map(font => downloadFontFromGoogle(font));
-    const fontResults = await Promise.all(fontCSSPromises);
+    return { loaded, files: Array.from(files.values()), fallbacks, report };
+}
 
-    // Combine all font CSS
-    const fontCSS = fontResults
-        .map(result => result.css)
+// @font-face rules for the fonts one component uses
+function generateFontCSS(node, runFonts, options) {
+    return extractFontsFromData(node.breakpointFrames || [node], options.systemFonts || DEFAULT_SYSTEM_FONTS)
+        .map(font => {
+            const loadedFont = runFonts.loaded.find(loaded => loaded.family === font.family);
+            return loadedFont ? generateFontFaceCSS(loadedFont, font.variants, FONTS_URL) : '';
+        })
+        .filter(Boolean)
         .join('\n\n');
+}
 
-    return fontCSS;
+// Styles with the run's fallback stack after a family it could not load
+function withFontFallback(styles, fontFallbacks) {
+    const fallback = fontFallbacks && styles.fontFamily && fontFallbacks.get(styles.fontFamily);
+    return fallback ? { ...styles, fontFamily: `${styles.fontFamily}, ${fallback}` } : styles;
 }
 
 // Color Utility
@@ -150,378 +235,2150 @@ function rgbToColor(rgb, opacity = 1) {
     const r = Math.round(rgb.r * 255);
     const g = Math.round(rgb.g * 255);
     const b = Math.round(rgb.b * 255);
-    return opacity < 1 ? `rgba(${r}, ${g}, ${b}, ${opacity})` : `rgb(${r}, ${g}, ${b})`;
+    // RGBA colors (gradient stops, effects) carry their own alpha on top of the paint opacity
+    const alpha = roundValue((rgb.a !== undefined ? rgb.a : 1) * opacity, 3);
+    return alpha < 1 ? `rgba(${r}, ${g}, ${b}, ${alpha})` : `rgb(${r}, ${g}, ${b})`;
 }
 
-// Common Style Extractor
-function getCommonStyles(node) {
-    const styles = {};
-    styles.position = 'absolute';
-    styles.left = `${node.x}px`;
-    styles.top = `${node.y}px`;
-    styles.width = `${node.width}px`;
-    styles.height = `${node.height}px`;
+// Round to a fixed number of decimals so generated CSS stays readable
+function roundValue(value, decimals = 2) {
+    const factor = Math.pow(10, decimals);
+    return Math.round(value * factor) / factor;
+}
 
-    // Rotation - Use top-left origin to match Figma's coordinate system
-    // Figma's x/y coordinates represent the top-left corner before rotation
-    if (node.rotation && node.rotation !== 0) {
-        styles.transform = `rotate(${node.rotation}deg)`;
-        // Use top-left origin (0,0) to match Figma's coordinate system exactly
-        styles.transformOrigin = '0 0';
-    }
+// Blend Mode Utility - Figma modes without a CSS counterpart fall back to normal
+const CSS_BLEND_MODES = [
+    'multiply', 'screen', 'overlay', 'darken', 'lighten', 'color-dodge', 'color-burn',
+    'hard-light', 'soft-light', 'difference', 'exclusion', 'hue', 'saturation', 'color', 'luminosity'
+];
 
-    // Fills (Background/Text Color)
-    if (node.fills && node.fills.length > 0) {
-        const fill = node.fills[0];
-        if (fill.type === 'SOLID') {
-            const color = rgbToColor(fill.color, fill.opacity);
-            if (node.type === 'TEXT') {
-                styles.color = color;
-            } else if (!node.image && !node.svg && !node.svgBase64) {
-                // Only apply background color if it's NOT an image/svg
-                styles.backgroundColor = color;
-            }
+function blendModeToCSS(blendMode) {
+    const cssMode = String(blendMode || 'NORMAL').toLowerCase().replace(/_/g, '-');
+    return CSS_BLEND_MODES.includes(cssMode) ? cssMode : 'normal';
+}
+
+// Transform Utilities - Figma transforms are 2x3 affine matrices [[a, c, e], [b, d, f]]
+function invertTransform(transform) {
+    const [[a, c, e], [b, d, f]] = transform;
+    const det = a * d - b * c;
+    if (!det) return [[1, 0, 0], [0, 1, 0]];
+    return [
+        [d / det, -c / det, (c * f - d * e) / det],
+        [-b / det, a / det, (b * e - a * f) / det]
+    ];
+}
+
+function applyTransform(transform, x, y) {
+    return {
+        x: transform[0][0] * x + transform[0][1] * y + transform[0][2],
+        y: transform[1][0] * x + transform[1][1] * y + transform[1][2]
+    };
+}
+
+// Image Fill Utilities
+// Sniff the real format from the first bytes; Figma keeps the originally uploaded file
+function getImageExtension(base64) {
+    const header = Buffer.from(String(base64).slice(0, 16), 'base64');
+    if (header[0] === 0xFF && header[1] === 0xD8) return 'jpg';
+    if (header.toString('ascii', 0, 3) === 'GIF') return 'gif';
+    if (header.toString('ascii', 0, 4) === 'RIFF') return 'webp';
+    return 'png';
+}
+
+// Image fills are stored once per Figma image hash, so repeated photos share a file
+function getImageFillFileName(fill) {
+    return `${fill.imageHash}.${getImageExtension(fill.imageBase64)}`;
+}
+
+function getImageFillLayer(fill, node) {
+    const layer = {
+        image: `url(${IMAGES_URL}/${getImageFillFileName(fill)})`,
+        size: 'cover',
+        position: 'center',
+        repeat: 'no-repeat'
+    };
+
+    if (fill.scaleMode === 'FIT') {
+        layer.size = 'contain';
+    } else if (fill.scaleMode === 'TILE' && fill.imageWidth && fill.imageHeight) {
+        const scale = fill.scalingFactor || 1;
+        layer.size = `${roundValue(fill.imageWidth * scale)}px ${roundValue(fill.imageHeight * scale)}px`;
+        layer.position = '0 0';
+        layer.repeat = 'repeat';
+    } else if (fill.scaleMode === 'CROP' && fill.imageTransform) {
+        // imageTransform maps the layer onto the part of the image that stays visible
+        const [[scaleX, , offsetX], [, scaleY, offsetY]] = fill.imageTransform;
+        if (scaleX && scaleY) {
+            layer.size = `${roundValue(node.width / scaleX)}px ${roundValue(node.height / scaleY)}px`;
+            layer.position = `${roundValue(-offsetX / scaleX * node.width)}px ${roundValue(-offsetY / scaleY * node.height)}px`;
         }
     }
 
-    // Border/Strokes
-    if (node.strokes && node.strokes.length > 0) {
-        const stroke = node.strokes[0];
-        if (stroke.type === 'SOLID') {
-            styles.border = `${stroke.weight || 1}px solid ${rgbToColor(stroke.color, stroke.opacity)}`;
+    return layer;
+}
+
+// Gradient Utilities
+function gradientStopsToCSS(fill, getPosition) {
+    const opacity = fill.opacity !== undefined ? fill.opacity : 1;
+    return fill.gradientStops
+        .map(stop => `${rgbToColor(stop.color, opacity)} ${roundValue(getPosition(stop.position) * 100)}%`)
+        .join(', ');
+}
+
+// Gradient handles live in a unit space; invert gradientTransform to find them on the layer
+function getGradientHandles(fill, node) {
+    const inverse = invertTransform(fill.gradientTransform || [[1, 0, 0], [0, 1, 0]]);
+    const toPixels = (x, y) => {
+        const point = applyTransform(inverse, x, y);
+        return { x: point.x * node.width, y: point.y * node.height };
+    };
+    return {
+        start: toPixels(0, 0.5),
+        end: toPixels(1, 0.5),
+        center: toPixels(0.5, 0.5),
+        radiusX: toPixels(1, 0.5),
+        radiusY: toPixels(0.5, 1)
+    };
+}
+
+// CSS angles start at 12 o'clock and turn clockwise
+function vectorToCSSAngle(dx, dy) {
+    return Math.atan2(dx, -dy) * 180 / Math.PI;
+}
+
+function getLinearGradient(fill, node) {
+    const { start, end } = getGradientHandles(fill, node);
+    const dx = end.x - start.x;
+    const dy = end.y - start.y;
+    const angle = (dx || dy) ? vectorToCSSAngle(dx, dy) : 180;
+    const radians = angle * Math.PI / 180;
+    const direction = { x: Math.sin(radians), y: -Math.cos(radians) };
+
+    // CSS stretches the gradient line so its ends touch the box corners;
+    // project Figma's handles onto that line to keep the stops in place
+    const length = Math.abs(node.width * direction.x) + Math.abs(node.height * direction.y);
+    const lineStart = {
+        x: node.width / 2 - direction.x * length / 2,
+        y: node.height / 2 - direction.y * length / 2
+    };
+    const project = (position) => {
+        const x = start.x + dx * position - lineStart.x;
+        const y = start.y + dy * position - lineStart.y;
+        return length ? (x * direction.x + y * direction.y) / length : position;
+    };
+
+    return `linear-gradient(${roundValue(angle)}deg, ${gradientStopsToCSS(fill, project)})`;
+}
+
+function getRadialGradient(fill, node) {
+    const { center, radiusX, radiusY } = getGradientHandles(fill, node);
+    const rx = Math.hypot(radiusX.x - center.x, radiusX.y - center.y);
+    const ry = Math.hypot(radiusY.x - center.x, radiusY.y - center.y);
+    const at = `${roundValue(center.x / node.width * 100)}% ${roundValue(center.y / node.height * 100)}%`;
+    return `radial-gradient(${roundValue(rx / node.width * 100)}% ${roundValue(ry / node.height * 100)}% at ${at}, ${gradientStopsToCSS(fill, p => p)})`;
+}
+
+function getAngularGradient(fill, node) {
+    const { center, radiusX } = getGradientHandles(fill, node);
+    const from = vectorToCSSAngle(radiusX.x - center.x, radiusX.y - center.y);
+    const at = `${roundValue(center.x / node.width * 100)}% ${roundValue(center.y / node.height * 100)}%`;
+    return `conic-gradient(from ${roundValue(from)}deg at ${at}, ${gradientStopsToCSS(fill, p => p)})`;
+}
+
+// CSS has no diamond gradient: approximate it with four corner-bound linear
+// gradients, one per quadrant around the gradient center
+function getDiamondGradientLayers(fill, node) {
+    const { center } = getGradientHandles(fill, node);
+    const cx = Math.min(Math.max(center.x / node.width * 100, 0), 100);
+    const cy = Math.min(Math.max(center.y / node.height * 100, 0), 100);
+    const stops = gradientStopsToCSS(fill, p => p);
+    const quadrants = [
+        { corner: 'top left', position: '0 0', size: `${roundValue(cx)}% ${roundValue(cy)}%` },
+        { corner: 'top right', position: '100% 0', size: `${roundValue(100 - cx)}% ${roundValue(cy)}%` },
+        { corner: 'bottom left', position: '0 100%', size: `${roundValue(cx)}% ${roundValue(100 - cy)}%` },
+        { corner: 'bottom right', position: '100% 100%', size: `${roundValue(100 - cx)}% ${roundValue(100 - cy)}%` }
+    ];
+    return quadrants.map(quadrant => ({
+        image: `linear-gradient(to ${quadrant.corner}, ${stops})`,
+        size: quadrant.size,
+        position: quadrant.position,
+        repeat: 'no-repeat'
+    }));
+}
+
+// Paint Layers - each Figma paint becomes one or more CSS background layers
+function getPaintLayers(fill, node) {
+    const blendMode = blendModeToCSS(fill.blendMode);
+    let layers = [];
+
+    if (fill.type === 'SOLID' && fill.color) {
+        layers = [{ color: rgbToColor(fill.color, fill.opacity) }];
+    } else if (fill.gradientStops && fill.gradientStops.length > 0) {
+        if (fill.type === 'GRADIENT_LINEAR') {
+            layers = [{ image: getLinearGradient(fill, node) }];
+        } else if (fill.type === 'GRADIENT_RADIAL') {
+            layers = [{ image: getRadialGradient(fill, node) }];
+        } else if (fill.type === 'GRADIENT_ANGULAR') {
+            layers = [{ image: getAngularGradient(fill, node) }];
+        } else if (fill.type === 'GRADIENT_DIAMOND') {
+            layers = getDiamondGradientLayers(fill, node);
         }
+    } else if (fill.type === 'IMAGE' && fill.imageHash && fill.imageBase64) {
+        // CSS has no per-layer opacity for images, so fill opacity is not applied here
+        layers = [getImageFillLayer(fill, node)];
     }
 
-    // Effects (Shadows)
-    if (node.effects && node.effects.length > 0) {
-        const shadow = node.effects.find(e => e.type === 'DROP_SHADOW' && e.visible);
-        if (shadow) {
-            const color = rgbToColor(shadow.color, 0.5); // approximate opacity if missing
-            styles.boxShadow = `${shadow.offset.x}px ${shadow.offset.y}px ${shadow.radius}px ${color}`;
+    return layers.map(layer => ({ ...layer, blendMode }));
+}
+
+// Fill Styles - Figma stacks fills bottom-up while CSS lists backgrounds top-down
+function getFillStyles(node) {
+    const styles = {};
+    const layers = (node.fills || [])
+        .filter(fill => fill.visible !== false)
+        .map(fill => getPaintLayers(fill, node))
+        .reverse()
+        .reduce((all, fillLayers) => all.concat(fillLayers), []);
+
+    if (layers.length === 0) return styles;
+
+    if (node.type === 'TEXT') {
+        if (layers.every(layer => layer.color)) {
+            styles.color = layers[0].color;
+            return styles;
         }
+        // Gradient or image text: paint the background through the glyphs
+        Object.assign(styles, getBackgroundStyles(layers, false));
+        styles.WebkitBackgroundClip = 'text';
+        styles.backgroundClip = 'text';
+        styles.WebkitTextFillColor = 'transparent';
+        styles.color = 'transparent';
+        return styles;
     }
 
-    // Typography
+    // Only apply backgrounds if the node is NOT rendered as an image/svg
+    if (node.image || node.svg) return styles;
+
+    return getBackgroundStyles(layers, true);
+}
+
+function getBackgroundStyles(layers, allowBaseColor) {
+    const styles = {};
+    let imageLayers = layers;
+
+    // A solid bottom layer maps straight onto background-color
+    const base = layers[layers.length - 1];
+    if (allowBaseColor && base.color) {
+        styles.backgroundColor = base.color;
+        imageLayers = layers.slice(0, -1);
+    }
+
+    if (imageLayers.length === 0) return styles;
+
+    // Solid layers above others must become flat gradients to stack
+    styles.backgroundImage = imageLayers
+        .map(layer => layer.image || `linear-gradient(${layer.color}, ${layer.color})`)
+        .join(', ');
+
+    if (imageLayers.some(layer => layer.size || layer.position || layer.repeat)) {
+        styles.backgroundSize = imageLayers.map(layer => layer.size || 'auto').join(', ');
+        styles.backgroundPosition = imageLayers.map(layer => layer.position || '0 0').join(', ');
+        styles.backgroundRepeat = imageLayers.map(layer => layer.repeat || 'repeat').join(', ');
+    }
+
+    if (imageLayers.some(layer => layer.blendMode !== 'normal')) {
+        styles.backgroundBlendMode = imageLayers.map(layer => layer.blendMode).join(', ');
+    }
+
+    return styles;
+}
+
+// Strokes - Figma strokes never affect layout, so solid strokes become box-shadows
+// (inside/outside) or an outline (center, dashed) rather than borders
+function getStrokeStyles(node) {
+    const result = { styles: {}, shadows: [] };
+    const stroke = (node.strokes || [])
+        .filter(s => s.visible !== false && s.type === 'SOLID')
+        .pop(); // Topmost visible paint wins
+    if (!stroke) return result;
+
+    const color = rgbToColor(stroke.color, stroke.opacity);
+    const weight = stroke.weight !== undefined ? stroke.weight : 1;
+    const align = node.strokeAlign || 'INSIDE';
+    const lineStyle = node.dashPattern && node.dashPattern.length > 0 ? 'dashed' : 'solid';
+
     if (node.type === 'TEXT') {
-        // Preserve whitespace for text with intentional spacing (like navigation items)
-        // Check if text content has multiple spaces (likely intentional spacing)
-        if (node.textContent && /\s{2,}/.test(node.textContent)) {
-            styles.whiteSpace = 'pre';
-        }
+        if (weight) result.styles.WebkitTextStroke = `${weight}px ${color}`;
+        return result;
+    }
 
-        // Ensure text doesn't wrap for single-line text
-        // If rotated, we might need visible overflow
-        if (node.rotation && node.rotation !== 0) {
-            styles.overflow = 'visible';
-            styles.whiteSpace = 'nowrap';
-        } else {
-            styles.overflow = 'hidden';
-            styles.textOverflow = 'ellipsis';
-        }
-        
-        // For text with height significantly larger than font size, add vertical alignment
-        // This ensures text is properly centered vertically (like "ADD TO CART" button)
-        // But don't apply flexbox to rotated text as it interferes with rotation
-        if (!node.rotation && node.height && node.fontSize && node.height > node.fontSize * 1.5) {
-            styles.display = 'flex';
-            styles.alignItems = 'center'; // Vertically center the text
-            styles.justifyContent = 'flex-start'; // Horizontal alignment based on textAlign
+    // Per-side weights: one shadow per side, or real borders when dashed
+    if (node.strokeWeights) {
+        const sides = node.strokeWeights;
+        if (lineStyle === 'dashed') {
+            ['top', 'right', 'bottom', 'left'].forEach(side => {
+                if (sides[side]) {
+                    result.styles[`border${side[0].toUpperCase()}${side.slice(1)}`] = `${sides[side]}px dashed ${color}`;
+                }
+            });
+            result.styles.boxSizing = 'border-box';
+            return result;
         }
 
-        // Font Size
-        if (node.fontSize) {
-            styles.fontSize = `${node.fontSize}px`;
-        }
+        const direction = align === 'OUTSIDE' ? -1 : 1;
+        const inset = align === 'OUTSIDE' ? '' : 'inset ';
+        if (sides.top) result.shadows.push(`${inset}0 ${sides.top * direction}px 0 0 ${color}`);
+        if (sides.right) result.shadows.push(`${inset}${-sides.right * direction}px 0 0 0 ${color}`);
+        if (sides.bottom) result.shadows.push(`${inset}0 ${-sides.bottom * direction}px 0 0 ${color}`);
+        if (sides.left) result.shadows.push(`${inset}${sides.left * direction}px 0 0 0 ${color}`);
+        return result;
+    }
 
-        // Font Weight - convert to number if string, default to 400
-        if (node.fontWeight) {
-            const weight = typeof node.fontWeight === 'string' ? parseFloat(node.fontWeight) || 400 : node.fontWeight;
-            styles.fontWeight = weight;
-        } else {
-            styles.fontWeight = 400; // Default
-        }
+    if (!weight) return result;
 
-        // Font Family - use exact Figma font (primary font only, no fallbacks)
-        if (node.fontFamily) {
-            // Clean fontFamily: remove ALL quotes and get primary font name only
-            // This ensures we use the installed font from Google Fonts
-            const cleanFontFamily = String(node.fontFamily)
-                .replace(/^['"]+|['"]+$/g, '') // Remove leading/trailing quotes
-                .replace(/'/g, '') // Remove all single quotes
-                .replace(/"/g, '') // Remove all double quotes
-                .trim()
-                .split(',')[0] // Get primary font only (before comma)
-                .trim();
-            // Use exact primary font from Figma (installed via Google Fonts)
-            styles.fontFamily = cleanFontFamily;
+    if (lineStyle === 'dashed' || align === 'CENTER') {
+        result.styles.outline = `${weight}px ${lineStyle} ${color}`;
+        if (align === 'INSIDE') {
+            result.styles.outlineOffset = `${-weight}px`;
+        } else if (align === 'CENTER') {
+            result.styles.outlineOffset = `${-weight / 2}px`;
         }
+    } else if (align === 'OUTSIDE') {
+        result.shadows.push(`0 0 0 ${weight}px ${color}`);
+    } else {
+        result.shadows.push(`inset 0 0 0 ${weight}px ${color}`);
+    }
 
-        // Text Align - handle both textAlign and textAlignHorizontal
-        const textAlign = node.textAlign || node.textAlignHorizontal;
-        if (textAlign) {
-            const alignValue = textAlign.toLowerCase();
-            styles.textAlign = alignValue;
-            
-            // If using flexbox for vertical alignment, adjust justifyContent for horizontal alignment
-            if (styles.display === 'flex') {
-                if (alignValue === 'center') {
-                    styles.justifyContent = 'center';
-                } else if (alignValue === 'right') {
-                    styles.justifyContent = 'flex-end';
-                } else {
-                    styles.justifyContent = 'flex-start';
+    return result;
+}
+
+// Effects - shadows, layer blur and background blur
+// Figma's blur radius is roughly twice the CSS blur() standard deviation
+function getEffectStyles(node) {
+    const result = { styles: {}, shadows: [] };
+    const textShadows = [];
+
+    // Like fills, Figma lists effects bottom-up while CSS lists shadows top-down
+    (node.effects || [])
+        .filter(effect => effect.visible !== false)
+        .slice()
+        .reverse()
+        .forEach(effect => {
+            if ((effect.type === 'DROP_SHADOW' || effect.type === 'INNER_SHADOW') && effect.offset) {
+                const color = rgbToColor(effect.color);
+                const { x, y } = effect.offset;
+                const radius = effect.radius || 0;
+                if (node.type === 'TEXT') {
+                    // Glyph shadows have no spread or inset variant in CSS
+                    if (effect.type === 'DROP_SHADOW') textShadows.push(`${x}px ${y}px ${radius}px ${color}`);
+                    return;
                 }
+                const inset = effect.type === 'INNER_SHADOW' ? 'inset ' : '';
+                result.shadows.push(`${inset}${x}px ${y}px ${radius}px ${effect.spread || 0}px ${color}`);
+            } else if (effect.type === 'LAYER_BLUR' && effect.radius) {
+                result.styles.filter = `blur(${roundValue(effect.radius / 2)}px)`;
+            } else if (effect.type === 'BACKGROUND_BLUR' && effect.radius) {
+                result.styles.backdropFilter = `blur(${roundValue(effect.radius / 2)}px)`;
+                result.styles.WebkitBackdropFilter = result.styles.backdropFilter;
             }
-        } else {
-            styles.textAlign = 'left';
-            // If using flexbox, set justifyContent to flex-start
-            if (styles.display === 'flex') {
-                styles.justifyContent = 'flex-start';
-            }
-        }
+        });
 
-        // Line Height - handle AUTO, PIXELS, PERCENT, and missing values
-        if (node.lineHeight) {
-            if (node.lineHeight.unit === 'AUTO') {
-                // For AUTO, use normal or calculate from fontSize (typically 1.2x)
-                styles.lineHeight = 'normal';
-            } else if (node.lineHeight.unit === 'PIXELS') {
-                styles.lineHeight = `${node.lineHeight.value}px`;
-            } else if (node.lineHeight.unit === 'PERCENT') {
-                styles.lineHeight = `${node.lineHeight.value}%`;
-            } else if (typeof node.lineHeight === 'number') {
-                // If lineHeight is just a number, assume pixels
-                styles.lineHeight = `${node.lineHeight}px`;
-            } else if (node.lineHeight.value !== undefined) {
-                // Fallback for other units
-                styles.lineHeight = node.lineHeight.value;
-            }
-        } else if (node.fontSize) {
-            // If no lineHeight specified, use a reasonable default (1.2x fontSize)
-            styles.lineHeight = `${Math.round(node.fontSize * 1.2)}px`;
-        }
-
-        // Letter Spacing
-        if (node.letterSpacing) {
-            if (node.letterSpacing.unit === 'PIXELS') {
-                styles.letterSpacing = `${node.letterSpacing.value}px`;
-            } else if (node.letterSpacing.unit === 'PERCENT') {
-                styles.letterSpacing = `${node.letterSpacing.value}%`;
-            } else if (typeof node.letterSpacing === 'number') {
-                styles.letterSpacing = `${node.letterSpacing}px`;
-            } else if (node.letterSpacing.value !== undefined && node.letterSpacing.value !== 0) {
-                styles.letterSpacing = `${node.letterSpacing.value}em`;
-            }
-        }
+    if (textShadows.length > 0) {
+        result.styles.textShadow = textShadows.join(', ');
     }
 
-    // Border Radius
+    return result;
+}
+
+// Strokes and shadows both render through box-shadow, so merge them into one list
+function getStrokeAndEffectStyles(node) {
+    const stroke = getStrokeStyles(node);
+    const effects = getEffectStyles(node);
+    const styles = { ...stroke.styles, ...effects.styles };
+
+    // Strokes sit above the node's shadows
+    const shadows = stroke.shadows.concat(effects.shadows);
+    if (shadows.length > 0) {
+        styles.boxShadow = shadows.join(', ');
+    }
+
+    return styles;
+}
+
+// Corner Radius - uniform or independent per corner
+function getCornerStyles(node) {
+    if (node.cornerRadii) {
+        const { topLeft, topRight, bottomRight, bottomLeft } = node.cornerRadii;
+        return { borderRadius: `${topLeft}px ${topRight}px ${bottomRight}px ${bottomLeft}px` };
+    }
     if (node.cornerRadius) {
-        styles.borderRadius = `${node.cornerRadius}px`;
+        return { borderRadius: `${node.cornerRadius}px` };
     }
+    return {};
+}
 
+// Layer Styles - node-level opacity and blend mode
+function getLayerStyles(node) {
+    const styles = {};
+    if (node.opacity !== undefined && node.opacity < 1) {
+        styles.opacity = roundValue(node.opacity, 3);
+    }
+    const blendMode = blendModeToCSS(node.blendMode);
+    if (blendMode !== 'normal') {
+        styles.mixBlendMode = blendMode;
+    }
     return styles;
 }
 
-// Helper to escape text content for JSX
-// Wraps text in JSX expression to safely handle special characters
-// Since we use single quotes in JSX expression {'text'}, we only need to escape single quotes and backslashes
-function escapeJSXText(text) {
-    if (!text) return '';
-    // Convert to string and escape only necessary characters for JSX expression with single quotes
-    return String(text)
-        .replace(/\\/g, '\\\\')  // Escape backslashes first
-        .replace(/'/g, "\\'")     // Escape single quotes (since we use single quotes in JSX)
-        .replace(/\n/g, '\\n')     // Escape newlines
-        .replace(/\r/g, '\\r')    // Escape carriage returns
-        .replace(/\t/g, '\\t');    // Escape tabs
-    // Note: Double quotes don't need escaping when using single quotes in JSX expression
-}
-
-// Helper to convert style object to React style string
-function styleObjectToString(styles) {
-    return Object.entries(styles)
-        .map(([k, v]) => {
-            if (typeof v === 'string') {
-                // For fontFamily, aggressively remove ALL quotes (React handles font names with spaces automatically)
-                if (k === 'fontFamily') {
-                    // Remove all single and double quotes from the entire fontFamily string
-                    // Split by comma, trim each part, remove quotes, then rejoin
-                    const cleaned = v
-                        .split(',')
-                        .map(font => font.trim().replace(/^['"]+|['"]+$/g, ''))
-                        .join(', ');
-                    // Escape any remaining single quotes (shouldn't be any after cleaning)
-                    const escaped = cleaned.replace(/'/g, "\\'");
-                    return `${k}: '${escaped}'`;
-                } else {
-                    // Escape single quotes in the string value
-                    const escaped = v.replace(/'/g, "\\'");
-                    return `${k}: '${escaped}'`;
-                }
-            } else {
-                // For numbers, booleans, etc., don't quote
-                return `${k}: ${v}`;
+// Collect every image fill in the payload as a file for the public images folder
+function collectImageAssets(data, imagesDir) {
+    const files = new Map();
+
+    function traverse(node) {
+        (node.fills || []).forEach(fill => {
+            if (fill.type === 'IMAGE' && fill.imageHash && fill.imageBase64) {
+                files.set(getImageFillFileName(fill), fill.imageBase64);
             }
-        })
-        .join(', ');
+        });
+
+        if (node.children && Array.isArray(node.children)) {
+            node.children.forEach(traverse);
+        }
+    }
+
+    data.forEach(traverse);
+
+    return Array.from(files.entries()).map(([fileName, base64]) => ({
+        path: path.join(imagesDir, fileName),
+        content: Buffer.from(base64, 'base64')
+    }));
 }
 
-// DOM Generator
-function generateElement(node) {
-    if (!node.visible) return '';
+// Auto Layout Helpers
+const PRIMARY_AXIS_ALIGN = {
+    MIN: 'flex-start',
+    CENTER: 'center',
+    MAX: 'flex-end',
+    SPACE_BETWEEN: 'space-between'
+};
 
-    const styles = getCommonStyles(node);
+const COUNTER_AXIS_ALIGN = {
+    MIN: 'flex-start',
+    CENTER: 'center',
+    MAX: 'flex-end',
+    BASELINE: 'baseline'
+};
 
-    // Convert style object to React style string
-    // We need to adjust 'position', 'left', 'top' for children relative to parent?
-    // Actually, Figma 'x' and 'y' are relative to the PARENT in standard extraction, 
-    // unless extracted as absolute.
-    // Assuming the plugin extracts X/Y relative to the parent frame.
+// A frame is an Auto Layout container when Figma lays its children out along an axis
+function isAutoLayout(node) {
+    return !!node && (node.layoutMode === 'HORIZONTAL' || node.layoutMode === 'VERTICAL');
+}
 
-    // TEXT
-    if (node.type === 'TEXT') {
-        const styleStr = styleObjectToString(styles);
-        // Escape text content and wrap in JSX expression to safely handle special characters
-        const escapedText = escapeJSXText(node.textContent);
-        // Use JSX expression syntax to safely render text with special characters
-        const textJSX = `{'${escapedText}'}`;
-        
-        // For rotated text, ensure the text content is properly wrapped
-        // This helps maintain alignment after rotation
-        if (node.rotation && node.rotation !== 0) {
-            // Wrap text in a span to ensure proper alignment
-            return `<div style={{${styleStr}}}><span style={{display: 'inline-block', width: '100%', textAlign: '${styles.textAlign || 'left'}'}}>${textJSX}</span></div>`;
+// Children of an Auto Layout frame sit in normal flow unless marked "Absolute position"
+function isInFlow(node, parent) {
+    return isAutoLayout(parent) && node.layoutPositioning !== 'ABSOLUTE';
+}
+
+// Translate Auto Layout settings into flexbox container styles
+function getAutoLayoutStyles(node) {
+    const styles = {};
+    if (!isAutoLayout(node)) return styles;
+
+    styles.display = 'flex';
+    styles.flexDirection = node.layoutMode === 'HORIZONTAL' ? 'row' : 'column';
+    styles.justifyContent = PRIMARY_AXIS_ALIGN[node.primaryAxisAlignItems] || 'flex-start';
+    styles.alignItems = COUNTER_AXIS_ALIGN[node.counterAxisAlignItems] || 'flex-start';
+
+    if (node.layoutWrap === 'WRAP') {
+        styles.flexWrap = 'wrap';
+    }
+
+    // Figma ignores item spacing when it distributes children with "Space between"
+    if (node.gap && node.primaryAxisAlignItems !== 'SPACE_BETWEEN') {
+        if (node.layoutWrap === 'WRAP' && node.layoutMode === 'HORIZONTAL') {
+            styles.columnGap = `${node.gap}px`;
+        } else if (node.layoutWrap === 'WRAP') {
+            styles.rowGap = `${node.gap}px`;
+        } else {
+            styles.gap = `${node.gap}px`;
         }
-        
-        // For text with flexbox (vertical alignment), wrap content to maintain text-align
-        if (styles.display === 'flex') {
-            // When using flexbox, text-align doesn't work on the container
-            // So we wrap the text in a span with proper width and text-align
-            const textAlign = styles.textAlign || 'left';
-            return `<div style={{${styleStr}}}><span style={{width: '100%', textAlign: '${textAlign}'}}>${textJSX}</span></div>`;
-        }
-        
-        return `<div style={{${styleStr}}}>${textJSX}</div>`;
-    }
-
-    // IMAGE / VECTOR
-    if (node.image || node.svg || node.svgBase64) {
-        const styleStr = styleObjectToString(styles);
-        // If we have raw SVG string, use dangerouslySetInnerHTML for better rendering
-        if (node.svg) {
-            // Escape the SVG string for JSX - need to escape quotes and backslashes
-            const escapedSvg = node.svg
-                .replace(/\\/g, '\\\\')
-                .replace(/'/g, "\\'")
-                .replace(/"/g, '\\"')
-                .replace(/\n/g, '\\n')
-                .replace(/\r/g, '\\r');
-            return `<div style={{${styleStr}}} dangerouslySetInnerHTML={{__html: '${escapedSvg}'}} />`;
+    }
+
+    // Spacing between wrapped tracks runs along the counter axis
+    if (node.layoutWrap === 'WRAP' && node.counterAxisSpacing) {
+        if (node.layoutMode === 'HORIZONTAL') {
+            styles.rowGap = `${node.counterAxisSpacing}px`;
         } else {
-            // Use img tag for base64 or PNG images
-            const src = node.svgBase64 || node.image;
-            return `<img src="${src}" alt="${node.name}" style={{${styleStr}, objectFit: 'contain'}} />`;
+            styles.columnGap = `${node.counterAxisSpacing}px`;
         }
     }
 
-    // CONTAINER / FRAME / RECTANGLE
-    const childrenHtml = node.children ? node.children.map(generateElement).join('\n') : '';
-    const styleStr = styleObjectToString(styles);
+    const paddings = [node.paddingTop, node.paddingRight, node.paddingBottom, node.paddingLeft].map(p => p || 0);
+    if (paddings.some(p => p !== 0)) {
+        styles.padding = paddings.map(p => `${p}px`).join(' ');
+    }
+
+    // Figma sizes frames border-box: padding is inside the frame's width/height
+    styles.boxSizing = 'border-box';
 
-    return `<div style={{${styleStr}}}>${childrenHtml}</div>`;
+    return styles;
 }
 
-// component generator
-function generateComponent(data, name, fontCSS = '') {
-    const root = data[0];
+// Resizing Helpers - how a layer follows its parent when the design is not shown at
+// the exact size it was drawn at
+// Figma's API names constraints MIN/MAX/CENTER/STRETCH/SCALE; the design panel's
+// Left/Right/Left & right spellings (Top/Bottom for the vertical axis) are accepted too
+const CONSTRAINT_ALIASES = {
+    LEFT: 'MIN', TOP: 'MIN',
+    RIGHT: 'MAX', BOTTOM: 'MAX',
+    LEFT_RIGHT: 'STRETCH', TOP_BOTTOM: 'STRETCH'
+};
+
+function normalizeConstraint(value) {
+    const constraint = String(value || 'MIN').toUpperCase();
+    return CONSTRAINT_ALIASES[constraint] || constraint;
+}
 
-    // Root needs relative positioning to contain absolute children
-    // Root X/Y should be ignored or reset to 0 for the component itself
-    // We wrap everything in a relative container matching the root dimensions.
+function toPercent(value, total) {
+    return `${roundValue((value / total) * 100, 4)}%`;
+}
 
-    // Filter root overrides
-    const rootWidth = root.width;
-    const rootHeight = root.height;
-    const rootBg = (root.fills && root.fills[0] && root.fills[0].type === 'SOLID')
-        ? rgbToColor(root.fills[0].color, root.fills[0].opacity)
-        : 'transparent';
-
-    // Generate children
-    const childrenHtml = root.children.map(generateElement).join('\n');
-
-    return `import React from 'react';
-import './${name}.css';
-
-const ${name} = () => {
-    return (
-        <div style={{
-            position: 'relative',
-            width: '${rootWidth}px',
-            height: '${rootHeight}px',
-            backgroundColor: '${rootBg}',
-            overflow: 'hidden',
-            margin: '0 auto' // Center it
-        }}>
-            ${childrenHtml}
-        </div>
-    );
-};
+// Placement along one axis (`start`, `end` and `dimension` name its CSS properties)
+// following the layer's constraint: pinned to the start or end, centered, stretched or
+// scaled with the parent
+function getAxisPlacement(constraint, offset, size, parentSize, [start, end, dimension], sizing) {
+    const length = sizing === 'HUG' ? 'auto' : `${size}px`;
+    const remaining = `${roundValue(parentSize - offset - size)}px`;
+    switch (parentSize ? constraint : 'MIN') {
+        case 'MAX':
+            return { [end]: remaining, [dimension]: length };
+        case 'STRETCH':
+            return { [start]: `${offset}px`, [end]: remaining };
+        case 'CENTER': {
+            const shift = roundValue(offset - parentSize / 2);
+            return { [start]: `calc(50% ${shift < 0 ? '-' : '+'} ${Math.abs(shift)}px)`, [dimension]: length };
+        }
+        case 'SCALE':
+            return { [start]: toPercent(offset, parentSize), [dimension]: toPercent(size, parentSize) };
+        default:
+            return { [start]: `${offset}px`, [dimension]: length };
+    }
+}
 
-export default ${name};
-`;
+// Absolutely placed layer. Constraints resolve against frames; layers inside groups
+// keep their drawn position and size.
+function getConstrainedStyles(node, parent) {
+    const constraints = (parent && parent.type !== 'GROUP' && node.constraints) || {};
+    const parentWidth = parent ? parent.width : 0;
+    const parentHeight = parent ? parent.height : 0;
+    // Positions are optional in the payload, like in Figma where they default to 0
+    const placement = {
+        ...getAxisPlacement(normalizeConstraint(constraints.horizontal), node.x || 0, node.width, parentWidth,
+            ['left', 'right', 'width'], node.layoutSizingHorizontal),
+        ...getAxisPlacement(normalizeConstraint(constraints.vertical), node.y || 0, node.height, parentHeight,
+            ['top', 'bottom', 'height'], node.layoutSizingVertical)
+    };
+    // Offsets first, then sizes
+    const styles = {};
+    ['left', 'right', 'top', 'bottom', 'width', 'height'].forEach(key => {
+        if (placement[key] !== undefined) styles[key] = placement[key];
+    });
+    return styles;
 }
 
-app.post('/api/generate', async (req, res) => {
-    try {
-        const data = req.body;
-        await ensureDirectory(COMPONENT_DIR);
-
-        const componentName = data[0].name.replace(/[^a-zA-Z0-9]/g, '') || 'Frame1';
-
-        // Extract fonts from Figma data
-        const fonts = extractFontsFromData(data);
-        console.log('Extracted fonts:', fonts);
-
-        // Generate font CSS
-        let fontCSS = '';
-        if (fonts.length > 0) {
-            try {
-                fontCSS = await generateFontCSS(fonts);
-                console.log('Generated font CSS for fonts:', fonts);
-            } catch (fontError) {
-                console.error('Error generating font CSS:', fontError);
-                // Continue without fonts if there's an error
-            }
+// Size of an Auto Layout child: fixed, hugging its content, or filling the parent along
+// the flow (flex-grow) or across it (align-self). Payloads from before sizing modes carry
+// layoutGrow/layoutAlign instead.
+function getFlowSizeStyles(node, parent) {
+    const styles = {};
+    const horizontalFlow = parent.layoutMode === 'HORIZONTAL';
+    [['width', 'Horizontal'], ['height', 'Vertical']].forEach(([dimension, axis]) => {
+        const alongFlow = (axis === 'Horizontal') === horizontalFlow;
+        const legacyFill = alongFlow ? node.layoutGrow === 1 : node.layoutAlign === 'STRETCH';
+        const sizing = node[`layoutSizing${axis}`] || (legacyFill ? 'FILL' : 'FIXED');
+        if (sizing === 'FILL' && alongFlow) {
+            // A zero basis shares the free space the way Figma does, even with long content
+            Object.assign(styles, {
+                flexGrow: 1,
+                flexBasis: 0,
+                [dimension === 'width' ? 'minWidth' : 'minHeight']: 0
+            });
+        } else if (sizing === 'FILL') {
+            styles.alignSelf = 'stretch';
+        } else {
+            styles[dimension] = sizing === 'HUG' ? 'auto' : `${node[dimension]}px`;
         }
+    });
+    return styles;
+}
+
+// Min/max sizes from Figma's sizing menu (unset ones are absent or null)
+function getMinMaxStyles(node) {
+    const styles = {};
+    ['minWidth', 'maxWidth', 'minHeight', 'maxHeight'].forEach(key => {
+        if (typeof node[key] === 'number') styles[key] = `${node[key]}px`;
+    });
+    return styles;
+}
+
+// Text Box - Figma's auto-resize mode decides which of the layer's dimensions are fixed,
+// truncation clips the text with an ellipsis, and vertical alignment positions the text
+// inside a box taller than its lines
+function getTextBoxStyles(node) {
+    const box = {};
+    // Preserve whitespace for text with intentional spacing (like navigation items)
+    // Check if text content has multiple spaces (likely intentional spacing)
+    if (node.textContent && /\s{2,}/.test(node.textContent)) {
+        box.whiteSpace = 'pre';
+    }
 
-        const code = generateComponent(data, componentName, fontCSS);
-        const css = fontCSS; // Include font CSS in component CSS file
+    // Rotated text keeps its single line and stays visible past its box
+    if (node.rotation && node.rotation !== 0) {
+        box.overflow = 'visible';
+        box.whiteSpace = 'nowrap';
+        return box;
+    }
 
-        await fs.writeFile(path.join(COMPONENT_DIR, `${componentName}.jsx`), code);
-        await fs.writeFile(path.join(COMPONENT_DIR, `${componentName}.css`), css);
+    if (node.textAutoResize === 'WIDTH_AND_HEIGHT') {
+        // Auto width: the text sets both dimensions and never wraps
+        box.width = 'auto';
+        box.height = 'auto';
+        box.whiteSpace = box.whiteSpace || 'nowrap';
+        return box;
+    }
+    if (node.textAutoResize === 'HEIGHT') {
+        // Auto height: fixed width, the box grows with its lines
+        box.height = 'auto';
+        return box;
+    }
 
-        // Update App.js
-        const appjs = `import React from 'react';
-import ${componentName} from './components/${componentName}';
+    box.overflow = 'hidden';
+    box.textOverflow = 'ellipsis';
+    if (node.textTruncation === 'ENDING' && node.maxLines > 1) {
+        Object.assign(box, { display: '-webkit-box', WebkitLineClamp: node.maxLines, WebkitBoxOrient: 'vertical' });
+        return box;
+    }
+    if (node.textTruncation === 'ENDING' && node.maxLines === 1) {
+        box.whiteSpace = 'nowrap';
+    }
 
-function App() {
-  return (
-    <div className="App">
-      <${componentName} />
-    </div>
-  );
+    // Centered and bottom-aligned text sits in a column flexbox
+    if (node.textAlignVertical === 'CENTER' || node.textAlignVertical === 'BOTTOM') {
+        box.display = 'flex';
+        box.flexDirection = 'column';
+        box.justifyContent = node.textAlignVertical === 'CENTER' ? 'center' : 'flex-end';
+    }
+    return box;
 }
 
-export default App;`;
+const TEXT_CASE_STYLES = {
+    UPPER: { textTransform: 'uppercase' },
+    LOWER: { textTransform: 'lowercase' },
+    TITLE: { textTransform: 'capitalize' },
+    SMALL_CAPS: { fontVariantCaps: 'small-caps' },
+    SMALL_CAPS_FORCED: { fontVariantCaps: 'all-small-caps' }
+};
 
-        await fs.writeFile(path.join(__dirname, '../react-app/src/App.js'), appjs);
+const TEXT_DECORATIONS = {
+    UNDERLINE: 'underline',
+    STRIKETHROUGH: 'line-through'
+};
 
-        res.json({ success: true, fonts: fonts });
-    } catch (e) {
-        console.error(e);
-        res.status(500).json({ error: e.message });
+// Typography of a text layer, or of one styled segment of it
+function getTypographyStyles(text) {
+    const styles = {};
+
+    // Font Size
+    if (text.fontSize) {
+        styles.fontSize = `${text.fontSize}px`;
     }
-});
 
-app.listen(PORT, () => console.log(`Server running on ${PORT}`));
+    // Font Weight - convert to number if string, default to 400
+    if (text.fontWeight) {
+        const weight = typeof text.fontWeight === 'string' ? parseFloat(text.fontWeight) || 400 : text.fontWeight;
+        styles.fontWeight = weight;
+    } else {
+        styles.fontWeight = 400; // Default
+    }
+
+    // Italic faces are only picked when the text asks for them
+    if (text.fontName && parseFontStyle(text.fontName.style).italic) {
+        styles.fontStyle = 'italic';
+    }
+
+    // Font Family - use exact Figma font (primary font only; the sink adds a fallback
+    // stack for families the run could not load)
+    const fontFamily = text.fontFamily || (text.fontName && text.fontName.family);
+    if (fontFamily) {
+        // Clean fontFamily: remove ALL quotes and get primary font name only
+        // This ensures we use the installed font from Google Fonts
+        const cleanFontFamily = String(fontFamily)
+            .replace(/^['"]+|['"]+$/g, '') // Remove leading/trailing quotes
+            .replace(/'/g, '') // Remove all single quotes
+            .replace(/"/g, '') // Remove all double quotes
+            .trim()
+            .split(',')[0] // Get primary font only (before comma)
+            .trim();
+        // Use exact primary font from Figma (installed via Google Fonts)
+        styles.fontFamily = cleanFontFamily;
+    }
+
+    // Line Height - handle AUTO, PIXELS, PERCENT, and missing values
+    if (text.lineHeight) {
+        if (text.lineHeight.unit === 'AUTO') {
+            // For AUTO, use normal or calculate from fontSize (typically 1.2x)
+            styles.lineHeight = 'normal';
+        } else if (text.lineHeight.unit === 'PIXELS') {
+            styles.lineHeight = `${text.lineHeight.value}px`;
+        } else if (text.lineHeight.unit === 'PERCENT') {
+            styles.lineHeight = `${text.lineHeight.value}%`;
+        } else if (typeof text.lineHeight === 'number') {
+            // If lineHeight is just a number, assume pixels
+            styles.lineHeight = `${text.lineHeight}px`;
+        } else if (text.lineHeight.value !== undefined) {
+            // Fallback for other units
+            styles.lineHeight = text.lineHeight.value;
+        }
+    } else if (text.fontSize) {
+        // If no lineHeight specified, use a reasonable default (1.2x fontSize)
+        styles.lineHeight = `${Math.round(text.fontSize * 1.2)}px`;
+    }
+
+    // Letter Spacing
+    if (text.letterSpacing) {
+        if (text.letterSpacing.unit === 'PIXELS') {
+            styles.letterSpacing = `${text.letterSpacing.value}px`;
+        } else if (text.letterSpacing.unit === 'PERCENT') {
+            styles.letterSpacing = `${text.letterSpacing.value}%`;
+        } else if (typeof text.letterSpacing === 'number') {
+            styles.letterSpacing = `${text.letterSpacing}px`;
+        } else if (text.letterSpacing.value !== undefined && text.letterSpacing.value !== 0) {
+            styles.letterSpacing = `${text.letterSpacing.value}em`;
+        }
+    }
+
+    // Text Case and Decoration
+    Object.assign(styles, TEXT_CASE_STYLES[text.textCase] || {});
+    if (TEXT_DECORATIONS[text.textDecoration]) {
+        styles.textDecoration = TEXT_DECORATIONS[text.textDecoration];
+    }
+
+    return styles;
+}
+
+// Full styles of one segment of a text layer: its typography and color
+function getTextRunStyles(node, segment) {
+    return {
+        ...getFillStyles({ ...node, fills: segment.fills || [] }),
+        ...getTypographyStyles(segment)
+    };
+}
+
+// Common Style Extractor
+// `parent` decides placement: Auto Layout parents keep children in flow,
+// anything else falls back to absolute positioning from Figma's x/y
+function getCommonStyles(node, parent) {
+    const styles = {};
+    if (isInFlow(node, parent)) {
+        // Relative so absolutely placed descendants still resolve against this node
+        styles.position = 'relative';
+        // Figma never shrinks fixed-size children to fit the frame
+        styles.flexShrink = 0;
+        Object.assign(styles, getFlowSizeStyles(node, parent));
+    } else {
+        styles.position = 'absolute';
+        Object.assign(styles, getConstrainedStyles(node, parent));
+    }
+    Object.assign(styles, getMinMaxStyles(node));
+
+    // Nodes exported as a single SVG/PNG have no children for us to lay out
+    if (node.children) {
+        Object.assign(styles, getAutoLayoutStyles(node));
+    }
+
+    // Rotation - Use top-left origin to match Figma's coordinate system
+    // Figma's x/y coordinates represent the top-left corner before rotation
+    if (node.rotation && node.rotation !== 0) {
+        styles.transform = `rotate(${node.rotation}deg)`;
+        // Use top-left origin (0,0) to match Figma's coordinate system exactly
+        styles.transformOrigin = '0 0';
+    }
+
+    // Fills (Background/Text Color)
+    Object.assign(styles, getFillStyles(node));
+
+    // Strokes and Effects - artwork exported as SVG/PNG already has them baked in
+    if (!node.image && !node.svg) {
+        Object.assign(styles, getStrokeAndEffectStyles(node));
+    }
+
+    // Layer Opacity and Blend Mode
+    Object.assign(styles, getLayerStyles(node));
+
+    // Typography
+    if (node.type === 'TEXT') {
+        Object.assign(styles, getTextBoxStyles(node));
+        Object.assign(styles, getTypographyStyles(node));
+
+        // Text Align - handle both textAlign and textAlignHorizontal
+        const textAlign = node.textAlign || node.textAlignHorizontal;
+        styles.textAlign = textAlign ? textAlign.toLowerCase() : 'left';
+    }
+
+    // Border Radius
+    Object.assign(styles, getCornerStyles(node));
+
+    return styles;
+}
+
+// Split a layer name into lowercase words ("Title Text", "titleText" -> title, text)
+function toNameWords(name) {
+    return String(name || '')
+        .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+        .split(/[^a-zA-Z0-9]+/)
+        .filter(Boolean)
+        .map(word => word.toLowerCase());
+}
+
+// Style Sinks - decide how an element's style object lands in the markup, as the
+// element's `style`: { inline } style objects, or a { className } (a CSS Modules key
+// in 'css-modules' mode, else the class list).
+// 'inline' keeps style objects; 'css' and 'css-modules' collect one class per distinct
+// style block (named after the first layer that uses it) for the component stylesheet;
+// 'tailwind' maps the styles onto utility classes using `tailwindTheme`.
+// With a `tokenSet`, literal values are swapped for their design token variables
+// first; Tailwind output keeps matching the project theme instead. `fontFallbacks`
+// (family -> stack) extends the families the run could not load.
+// `passthrough` roots also apply the component's className/style props.
+// `responsive` overrides ([{ minWidth, styles, important? }]) apply from a viewport width
+// up (everywhere for 0): as @media rules in stylesheets, as screen variants in Tailwind,
+// and as a class in the component stylesheet in 'inline' mode, since style objects
+// cannot express media queries.
+function createStyleSink(mode, componentName, tailwindTheme, tokenSet, fontFallbacks) {
+    const usesTokens = Boolean(tokenSet) && mode !== 'tailwind';
+    const classByDeclarations = new Map();
+    const usedClassNames = new Set();
+    const rules = [];
+    const componentWords = toNameWords(componentName);
+
+    function baseClassName(layerName, isRoot) {
+        const words = toNameWords(layerName);
+        if (words.length === 0 || /^[0-9]/.test(words[0])) words.unshift('layer');
+        if (mode === 'css-modules') {
+            // Module classes are read as styles.name, so they must be identifiers
+            return isRoot ? 'root' : words.map((word, i) => i === 0 ? word : word[0].toUpperCase() + word.slice(1)).join('');
+        }
+        // Plain CSS is global: scope every class under the component name
+        return isRoot ? componentWords.join('-') : `${componentWords.join('-')}__${words.join('-')}`;
+    }
+
+    return {
+        mode,
+        usesTokens,
+
+        // Style of an element with these styles (null when there is nothing to apply)
+        style(styles, layerName, isRoot = false, passthrough = false, responsive = []) {
+            const applied = passthrough ? { passthrough: true } : {};
+            if (Object.keys(styles).length === 0 && responsive.length === 0) {
+                return passthrough ? applied : null;
+            }
+            styles = withFontFallback(styles, fontFallbacks);
+            responsive = responsive.map(override => ({ ...override, styles: withFontFallback(override.styles, fontFallbacks) }));
+            if (usesTokens) {
+                styles = tokenSet.apply(styles);
+                responsive = responsive.map(override => ({ ...override, styles: tokenSet.apply(override.styles) }));
+            }
+            if (mode === 'inline' && responsive.length === 0) {
+                return { inline: styles, ...applied };
+            }
+            if (mode === 'tailwind') {
+                const classes = stylesToTailwindClasses(styles, tailwindTheme)
+                    .concat(...responsive.map(({ minWidth, styles: overrides, important }) => {
+                        const variant = `${minWidth ? breakpointVariant(minWidth, tailwindTheme) : ''}${important ? '!' : ''}`;
+                        return stylesToTailwindClasses(overrides, tailwindTheme).map(className => `${variant}${className}`);
+                    }))
+                    .join(' ');
+                return { className: classes, ...applied };
+            }
+
+            const declarations = styleObjectToCSS(styles);
+            const media = responsive.map(({ minWidth, styles: overrides, important }) => {
+                const block = styleObjectToCSS(overrides, '        ');
+                return { minWidth, declarations: important ? block.replace(/;$/gm, ' !important;') : block };
+            });
+            const key = [declarations].concat(media.map(({ minWidth, declarations: block }) => `@${minWidth}\n${block}`)).join('\n');
+            let className = classByDeclarations.get(key);
+            if (!className) {
+                const base = baseClassName(layerName, isRoot);
+                const separator = mode === 'css-modules' ? '' : '-';
+                className = base;
+                for (let suffix = 2; usedClassNames.has(className); suffix++) {
+                    className = `${base}${separator}${suffix}`;
+                }
+                usedClassNames.add(className);
+                classByDeclarations.set(key, className);
+                if (declarations) rules.push(`.${className} {\n${declarations}\n}`);
+                media.forEach(({ minWidth, declarations: block }) => {
+                    rules.push(minWidth
+                        ? `@media (min-width: ${minWidth}px) {\n    .${className} {\n${block}\n    }\n}`
+                        : `.${className} {\n${block.replace(/^    /gm, '')}\n}`);
+                });
+            }
+            return { className, ...applied };
+        },
+
+        stylesheet() {
+            return rules.join('\n\n');
+        }
+    };
+}
+
+// Component Assets - the artwork one component imports from the run's asset registry.
+// forNode() returns { icon, color } for icon components, else { src, srcSet? } with
+// image sources: { asset } naming the imported identifier, or { url }. Each asset is
+// imported once per component, as { identifier, path } (relative to the component) or
+// { identifier, icon } for icon components.
+function createComponentAssets(registry, iconMode) {
+    const imports = new Map();
+    const usedIdentifiers = new Set();
+
+    function importAsset(key, baseIdentifier, target) {
+        if (!imports.has(key)) {
+            let identifier = baseIdentifier;
+            for (let suffix = 2; usedIdentifiers.has(identifier); suffix++) {
+                identifier = `${baseIdentifier}${suffix}`;
+            }
+            usedIdentifiers.add(identifier);
+            imports.set(key, { identifier, ...target });
+        }
+        return imports.get(key).identifier;
+    }
+
+    function importFile(file, baseIdentifier) {
+        const importPath = `../assets/${file.fileName}`;
+        return { asset: importAsset(importPath, baseIdentifier, { path: importPath }) };
+    }
+
+    return {
+        forNode(node) {
+            const baseName = toComponentName(node.name) || 'Asset';
+            const slug = toNameWords(node.name).join('-') || 'asset';
+            const { svg } = node;
+
+            if (svg && iconMode === 'component') {
+                const icon = registry.addIcon(svg, baseName.endsWith('Icon') ? baseName : `${baseName}Icon`);
+                return { icon: importAsset(`./icons/${icon.name}`, icon.name, { icon: icon.name }), color: icon.color };
+            }
+            if (svg) {
+                return { src: importFile(registry.addFile(Buffer.from(svg, 'utf8'), 'svg', slug), `img${baseName}`) };
+            }
+
+            const png = decodeDataUri(node.image);
+            if (!png) {
+                // Not a data URI: already a URL the browser can load
+                return { src: { url: node.image } };
+            }
+            const src = importFile(registry.addFile(png, 'png', slug), `img${baseName}`);
+            const scales = (node.imageScales || [])
+                .map(({ scale, image }) => ({ scale, content: decodeDataUri(image) }))
+                .filter(({ scale, content }) => content && scale !== 1);
+            if (scales.length === 0) return { src };
+
+            return {
+                src,
+                srcSet: [{ src, scale: 1 }].concat(scales.map(({ scale, content }) => ({
+                    src: importFile(registry.addFile(content, 'png', `${slug}@${scale}x`), `img${baseName}${scale}x`),
+                    scale
+                })))
+            };
+        },
+
+        imports() {
+            return Array.from(imports.values());
+        }
+    };
+}
+
+// Component Library - the components and component sets of a run, by Figma node id.
+// Variants resolve to their set, so instances of any variant render as that set's component.
+function createComponentLibrary(data, componentNames) {
+    const byId = new Map();
+
+    data.forEach((root, i) => {
+        if (!root.id || (root.type !== 'COMPONENT' && root.type !== 'COMPONENT_SET')) return;
+        const entry = { name: componentNames[i], root, props: getComponentProps(root) };
+        const defaultVariant = root.type === 'COMPONENT_SET' ? getDefaultVariant(root, entry.props) : root;
+        byId.set(root.id, { entry, variant: defaultVariant || root });
+        if (root.type === 'COMPONENT_SET') {
+            (root.children || []).forEach(variant => {
+                if (variant.type === 'COMPONENT' && variant.id) byId.set(variant.id, { entry, variant });
+            });
+        }
+    });
+
+    return {
+        // { entry: { name, root, props }, variant } for a main component id, or null
+        resolve(componentId) {
+            return byId.get(componentId) || null;
+        },
+
+        // Props of a top-level node, or null when it is a plain frame
+        propsFor(root) {
+            const target = root.id && byId.get(root.id);
+            return target && target.entry.root === root ? target.entry.props : null;
+        }
+    };
+}
+
+// Placement styles an instance usage passes to the component it renders. The component
+// already sizes itself like its main component, so only a resized instance sets a size;
+// one that fills its parent drops the component's own size.
+const PLACEMENT_KEYS = [
+    'position', 'left', 'right', 'top', 'bottom', 'width', 'height',
+    'flexShrink', 'flexGrow', 'flexBasis', 'alignSelf', 'minWidth', 'maxWidth', 'minHeight', 'maxHeight',
+    'transform', 'transformOrigin', 'display'
+];
+
+function getPlacementStyles(styles, node, variant) {
+    const placement = {};
+    if (styles.position === 'absolute') {
+        placement.position = 'absolute';
+        ['left', 'right', 'top', 'bottom'].forEach(key => {
+            if (styles[key] !== undefined) placement[key] = styles[key];
+        });
+    }
+    ['flexShrink', 'flexGrow', 'flexBasis', 'alignSelf', 'transform', 'transformOrigin'].forEach(key => {
+        if (styles[key] !== undefined) placement[key] = styles[key];
+    });
+    ['width', 'height'].forEach(dimension => {
+        if (styles[dimension] === undefined) placement[dimension] = 'auto';
+        else if (node[dimension] !== variant[dimension]) placement[dimension] = styles[dimension];
+    });
+    ['minWidth', 'maxWidth', 'minHeight', 'maxHeight'].forEach(key => {
+        if (styles[key] !== undefined) placement[key] = styles[key];
+    });
+    // Hidden at this breakpoint
+    if (styles.display === 'none') placement.display = 'none';
+    return placement;
+}
+
+// Breakpoint overrides of a usage's placement. A property the usage stops setting
+// returns to the component's own root style rather than the browser default.
+function getPlacementOverrides(overrides, ownStyles) {
+    return overrides
+        .map(({ minWidth, styles }) => {
+            const placement = {};
+            PLACEMENT_KEYS.forEach(key => {
+                if (styles[key] === undefined) return;
+                placement[key] = styles[key] === 'revert' && ownStyles[key] !== undefined ? ownStyles[key] : styles[key];
+            });
+            return { minWidth, styles: placement };
+        })
+        .filter(({ styles }) => Object.keys(styles).length > 0);
+}
+
+// Component Usages - instances of components generated in the same run render as
+// { kind: 'component', name: 'Button', props: [{ name: 'variant', value: 'primary' }] }
+// instead of a copy of their layers. The placement style is inline so it wins over the
+// component's own root class; placement that changes between breakpoints goes through
+// `toStyle(styles, responsive)`.
+function createComponentUsages(library, componentName) {
+    const imported = new Set();
+
+    function use(entry) {
+        if (entry.name !== componentName) imported.add(entry.name);
+        return entry.name;
+    }
+
+    // A swapped-in instance, rendered with its variant's props
+    function resolveSwap(componentId) {
+        const target = library.resolve(componentId);
+        if (!target) return null;
+        const props = usageProps(target.entry.props, {}, target.variant.variantProperties, () => null);
+        return { kind: 'component', name: use(target.entry), props, style: null };
+    }
+
+    return {
+        forInstance(node, styles, overrides = [], toStyle = null) {
+            const target = node.type === 'INSTANCE' && node.mainComponent && library.resolve(node.mainComponent.id);
+            if (!target) return null;
+
+            const props = usageProps(
+                target.entry.props,
+                node,
+                node.variantProperties || target.variant.variantProperties,
+                resolveSwap
+            );
+            const placement = getPlacementStyles(styles, node, target.variant);
+            const placementOverrides = getPlacementOverrides(overrides, getRootStyles(target.variant, false));
+            let style = null;
+            if (placementOverrides.length > 0 && toStyle) {
+                // Media queries need a class; important so it still wins over the root class
+                const responsive = [{ minWidth: 0, styles: placement }].concat(placementOverrides)
+                    .map(override => ({ ...override, important: true }));
+                style = toStyle({}, responsive);
+            } else if (Object.keys(placement).length > 0) {
+                style = { inline: placement };
+            }
+            return { kind: 'component', name: use(target.entry), props, style };
+        },
+
+        // Names of the other generated components used, in order of first use
+        imported() {
+            return Array.from(imported);
+        }
+    };
+}
+
+// Layers inside a component bound to its properties: { visible, characters, mainComponent } -> prop
+function getBoundProps(node, props) {
+    const bound = {};
+    Object.entries(node.componentPropertyReferences || {}).forEach(([field, key]) => {
+        const prop = props.find(candidate => candidate.key === key);
+        if (prop) bound[field] = prop;
+    });
+    return bound;
+}
+
+// Element Tree - the framework-neutral form of a component that targets write out.
+// Nodes are { kind: 'element', tag, attributes, style, children, inline? } (`inline`
+// elements hold text content, which must stay free of added whitespace),
+// { kind: 'text', text }, { kind: 'prop', name } (a text prop's value),
+// { kind: 'image', src, srcProp?, srcSet?, attributes, style },
+// { kind: 'icon', name, attributes, style }, { kind: 'component', name, props, style },
+// { kind: 'if', prop, node } (shown while a boolean prop is on) and
+// { kind: 'slot', prop, fallback } (an instance-swap prop's content, else the default).
+// Attributes are [{ name, value }] with string values, true, or { prop } for a prop's value.
+function createElement(tag, attributes, style, children = [], inline = false) {
+    return { kind: 'element', tag, attributes, style, children, ...(inline ? { inline: true } : {}) };
+}
+
+// Artwork element for an SVG/PNG node; `toStyle(styles)` places it in the markup.
+// With `layerProps`, images take a src prop; the density variants only apply to the design's image.
+function buildArtworkElement(node, styles, context, toStyle) {
+    const asset = context.assets.forNode(node);
+    if (asset.icon) {
+        // Single-color icons draw with currentColor, so the design color travels as CSS color
+        const iconStyles = asset.color ? { ...styles, color: asset.color } : styles;
+        const attributes = context.semantics.artwork(node, 'icon');
+        return { kind: 'icon', name: asset.icon, attributes, style: toStyle(iconStyles) };
+    }
+    const srcProp = context.layerProps ? context.layerProps.image(node.name, asset.src) : null;
+    const attributes = context.semantics.artwork(node, 'img');
+    return {
+        kind: 'image',
+        src: asset.src,
+        ...(srcProp ? { srcProp } : {}),
+        ...(asset.srcSet ? { srcSet: asset.srcSet } : {}),
+        attributes,
+        style: toStyle({ ...styles, objectFit: 'contain' })
+    };
+}
+
+// Typography a run resets when the layer sets it but the run does not
+const TEXT_RESET_VALUES = {
+    fontStyle: 'normal',
+    textTransform: 'none',
+    fontVariantCaps: 'normal',
+    textDecoration: 'none',
+    letterSpacing: 'normal'
+};
+
+// Styles of a text run that differ from the text layer it sits in
+function diffTextStyles(runStyles, layerStyles) {
+    const diff = {};
+    Object.entries(runStyles).forEach(([key, value]) => {
+        if (layerStyles[key] !== value) diff[key] = value;
+    });
+    Object.entries(TEXT_RESET_VALUES).forEach(([key, value]) => {
+        if (layerStyles[key] !== undefined && runStyles[key] === undefined) diff[key] = value;
+    });
+    return diff;
+}
+
+// Rich Text - runs styled differently from their layer become spans (URL links become
+// anchors), paragraphs become <p> and Figma lists <ul>/<ol>. Single-paragraph text
+// stays inline content, so plain text still renders as a bare string.
+function buildTextContent(node, styles, sink) {
+    const blocks = toTextBlocks(node.textContent, node.textSegments);
+
+    function buildRun(run) {
+        const text = run.text.split(LINE_SEPARATOR).reduce((nodes, line, i) =>
+            nodes.concat(i > 0 ? [createElement('br', [], null)] : [], { kind: 'text', text: line }), []);
+        if (!run.segment) return text;
+
+        const runStyles = diffTextStyles(getTextRunStyles(node, run.segment), styles);
+        const link = run.segment.hyperlink && run.segment.hyperlink.type === 'URL' ? run.segment.hyperlink.value : null;
+        if (link) {
+            // Links look like the design, not like the browser's default link
+            const linkStyle = sink.style({ color: 'inherit', textDecoration: 'none', ...runStyles }, `${node.name} link`);
+            return [createElement('a', [{ name: 'href', value: link }], linkStyle, text, true)];
+        }
+        if (Object.keys(runStyles).length === 0) return text;
+        return [createElement('span', [], sink.style(runStyles, `${node.name} span`), text, true)];
+    }
+
+    const buildRuns = runs => runs.reduce((nodes, run) => nodes.concat(buildRun(run)), []);
+    const buildParagraph = paragraph => paragraph.runs.length > 0 ? buildRuns(paragraph.runs) : [createElement('br', [], null)];
+
+    if (blocks.length === 1 && blocks[0].type === 'paragraph') {
+        const { runs } = blocks[0].paragraph;
+        return { content: runs.length > 0 ? buildRuns(runs) : [{ kind: 'text', text: '' }], isBlock: false };
+    }
+
+    // Paragraph spacing separates blocks; list spacing separates the items of a list
+    const spacing = isLast => !isLast && node.paragraphSpacing ? { marginBottom: `${node.paragraphSpacing}px` } : {};
+
+    function buildList(list, isLast) {
+        const listStyle = sink.style({ margin: 0, paddingLeft: '1.5em', ...spacing(isLast) }, `${node.name} list`);
+        const items = list.items.map((item, i) => {
+            const itemStyles = i < list.items.length - 1 && node.listSpacing ? { marginBottom: `${node.listSpacing}px` } : {};
+            const itemStyle = sink.style(itemStyles, `${node.name} item`);
+            const nested = item.lists.map(nestedList => buildList(nestedList, true));
+            return createElement('li', [], itemStyle, buildParagraph(item.paragraph).concat(nested), true);
+        });
+        return createElement(list.ordered ? 'ol' : 'ul', [], listStyle, items, true);
+    }
+
+    const content = blocks.map((block, i) => {
+        const isLast = i === blocks.length - 1;
+        if (block.type === 'list') return buildList(block, isLast);
+
+        const paragraphStyles = { margin: 0, ...spacing(isLast) };
+        if (node.paragraphIndent) paragraphStyles.textIndent = `${node.paragraphIndent}px`;
+        return createElement('p', [], sink.style(paragraphStyles, `${node.name} paragraph`), buildParagraph(block.paragraph), true);
+    });
+    return { content, isBlock: true };
+}
+
+// Element tree of a layer (null when it does not render).
+// `context` carries the component's assets, its props (for layers bound to component
+// properties) and the usages of other generated components
+function buildElement(node, parent, sink, context) {
+    const bound = getBoundProps(node, context.props);
+
+    // Layers bound to a boolean property render while the prop is on, whatever their
+    // visibility in the variant the designer left selected
+    if (bound.visible) {
+        const { visible, ...references } = node.componentPropertyReferences;
+        const element = buildElement({ ...node, visible: true, componentPropertyReferences: references }, parent, sink, context);
+        return element ? { kind: 'if', prop: bound.visible.name, node: element } : null;
+    }
+    if (node.visible === false) return null;
+
+    // Instance-swap slots: the passed content replaces the default instance
+    if (bound.mainComponent) {
+        const { mainComponent, ...references } = node.componentPropertyReferences;
+        const element = buildElement({ ...node, componentPropertyReferences: references }, parent, sink, context);
+        return { kind: 'slot', prop: bound.mainComponent.name, fallback: element };
+    }
+
+    // Layers of frames merged from several breakpoints restyle from each one's min-width up
+    const { styles, overrides } = getBreakpointStyles(node, getCommonStyles(node, parent),
+        version => getCommonStyles(version.node, version.parent));
+
+    // INSTANCE of a component generated in this run
+    const usage = context.usages.forInstance(node, styles, overrides,
+        (placement, placementOverrides) => sink.style(placement, node.name, false, false, placementOverrides));
+    if (usage) return usage;
+
+    // The element the layer renders as, with its ARIA attributes and user agent resets
+    const semantic = context.semantics.element(node, parent, context.scope);
+
+    // TEXT
+    if (node.type === 'TEXT') {
+        const style = sink.style(withResets(semantic.styles, styles), node.name, false, false, overrides);
+        // A field's placeholder text becomes the <input> itself
+        if (semantic.tag === 'input') {
+            const placeholder = bound.characters ? { prop: bound.characters.name } : node.textContent || '';
+            return createElement('input', semantic.attributes.concat({ name: 'placeholder', value: placeholder }), style);
+        }
+
+        // Text bound to a text property (or exposed as a layer prop) renders the prop instead;
+        // otherwise the styled runs, paragraphs and lists of the layer
+        let content;
+        let isBlock = false;
+        if (bound.characters) {
+            content = [{ kind: 'prop', name: bound.characters.name }];
+        } else if (context.layerProps) {
+            content = [{ kind: 'prop', name: context.layerProps.text(node.name, node.textContent) }];
+        } else {
+            ({ content, isBlock } = buildTextContent(node, styles, sink));
+        }
+        // Paragraphs and lists can't sit inside a span, a paragraph or a heading
+        const wrapperTag = isBlock ? 'div' : 'span';
+        const tag = isBlock && /^(p|h[1-6])$/.test(semantic.tag) ? 'div' : semantic.tag;
+
+        // For rotated text, ensure the text content is properly wrapped
+        // This helps maintain alignment after rotation
+        if (node.rotation && node.rotation !== 0) {
+            // Wrap text in a span to ensure proper alignment
+            const wrapperStyle = sink.style({ display: 'inline-block', width: '100%', textAlign: styles.textAlign || 'left' }, `${node.name} text`);
+            return createElement(tag, semantic.attributes, style, [createElement(wrapperTag, [], wrapperStyle, content, true)], true);
+        }
+
+        // For text with flexbox (vertical alignment), wrap content to maintain text-align
+        if (styles.display === 'flex') {
+            // When using flexbox, text-align doesn't work on the container
+            // So we wrap the text in a span with proper width and text-align
+            const textAlign = styles.textAlign || 'left';
+            const wrapperStyle = sink.style({ width: '100%', textAlign: textAlign }, `${node.name} text`);
+            return createElement(tag, semantic.attributes, style, [createElement(wrapperTag, [], wrapperStyle, content, true)], true);
+        }
+
+        return createElement(tag, semantic.attributes, style, content, true);
+    }
+
+    // IMAGE / VECTOR - artwork comes from an imported asset file or icon component
+    if (node.image || node.svg) {
+        return buildArtworkElement(node, styles, context, artworkStyles => sink.style(artworkStyles, node.name, false, false, overrides));
+    }
+
+    // CONTAINER / FRAME / RECTANGLE
+    // Resolve the container's class before its children so stylesheet rules follow markup order
+    const style = sink.style(withResets(semantic.styles, styles), node.name, false, false, overrides);
+    return createElement(semantic.tag, semantic.attributes, style, buildChildren(node, semantic, sink, context));
+}
+
+// Children of an element, in the scope it sets up. Children of a list that render as
+// something else (a link, another component) sit in an <li> that takes no box.
+function buildChildren(node, semantic, sink, context) {
+    const childContext = { ...context, scope: semantic.scope };
+    return (node.children || [])
+        .map(child => {
+            const element = buildElement(child, node, sink, childContext);
+            if (!semantic.listItems || !element || (element.kind === 'element' && element.tag === 'li')) return element;
+            return createElement('li', [], sink.style({ display: 'contents' }, `${child.name} item`), [element]);
+        })
+        .filter(Boolean);
+}
+
+// Component Naming
+// Names the generated files/components own; a Figma layer may not take them
+const RESERVED_COMPONENT_NAMES = ['App', 'Index', 'React'];
+
+// Turn a Figma layer name into a PascalCase JS identifier ('' when nothing usable is left)
+function toComponentName(layerName) {
+    const name = String(layerName || '')
+        .split(/[^a-zA-Z0-9]+/)
+        .filter(Boolean)
+        .map(word => word[0].toUpperCase() + word.slice(1))
+        .join('');
+    // Identifiers cannot start with a digit
+    return /^[0-9]/.test(name) ? `Frame${name}` : name;
+}
+
+// Give every top-level node a unique component name, deterministically: nodes whose
+// name is free keep it, then the rest take the next free numeric suffix in payload order
+// (so "Card", "card", "Card 2" become Card, Card3, Card2). `override` names the first
+// node that isn't a library component.
+function resolveComponentNames(data, override = null) {
+    // Compare case-insensitively: Card.jsx and card.jsx clash on macOS/Windows
+    const taken = new Set(RESERVED_COMPONENT_NAMES.map(name => name.toLowerCase()));
+    const renamed = override ? data.findIndex(node => !node.library) : -1;
+    const bases = data.map((node, i) => toComponentName(i === renamed ? override : node.name) || 'Frame');
+
+    const names = bases.map(base => {
+        if (taken.has(base.toLowerCase())) return null;
+        taken.add(base.toLowerCase());
+        return base;
+    });
+
+    return names.map((name, i) => {
+        if (name) return name;
+        let suffix = 2;
+        while (taken.has(`${bases[i]}${suffix}`.toLowerCase())) suffix++;
+        taken.add(`${bases[i]}${suffix}`.toLowerCase());
+        return `${bases[i]}${suffix}`;
+    });
+}
+
+// Barrel file: keep exports from earlier runs and append new components in order.
+// `importPath(name)` is the target's path of a component ('./Button', './Button.vue')
+function generateBarrel(componentNames, existingBarrel = '', importPath = name => `./${name}`) {
+    const exportRegex = /export \{ default as (\w+) \} from '\.\/([\w.]+)';/g;
+    const names = [];
+    let match;
+
+    while ((match = exportRegex.exec(existingBarrel)) !== null) {
+        names.push(match[1]);
+    }
+    componentNames.forEach(name => {
+        if (!names.includes(name)) names.push(name);
+    });
+
+    return names.map(name => `export { default as ${name} } from '${importPath(name)}';`).join('\n') + '\n';
+}
+
+// Root Styles - the component's outer box, sized like the Figma frame and centered
+// Auto Layout roots become flex containers; their absolute children still
+// resolve against the root because it stays position: relative.
+// Components are placed by whoever renders them, so they are not centered.
+function getRootStyles(root, centered = true, fluid = false) {
+    return {
+        position: 'relative',
+        ...getRootSizeStyles(root, fluid),
+        ...getFillStyles(root),
+        ...getStrokeAndEffectStyles(root),
+        ...getCornerStyles(root),
+        ...getLayerStyles(root),
+        overflow: 'hidden',
+        ...(centered ? { margin: '0 auto' } : {}), // Center it
+        ...getAutoLayoutStyles(root)
+    };
+}
+
+// A root hugging its content fits it; a fluid root (a page merged from breakpoint
+// frames) spans the viewport and only keeps each frame's height
+function getRootSizeStyles(root, fluid) {
+    let width = `${root.width}px`;
+    if (fluid) width = '100%';
+    else if (root.layoutSizingHorizontal === 'HUG') width = 'fit-content';
+    return {
+        width,
+        height: root.layoutSizingVertical === 'HUG' ? 'auto' : `${root.height}px`,
+        ...getMinMaxStyles(root)
+    };
+}
+
+// The nodes a top-level node renders as component roots: the variants of a component
+// set (the set frame itself is only Figma's container for them), else the node itself
+function getRenderRoots(root) {
+    const variants = root.type === 'COMPONENT_SET' ? (root.children || []).filter(child => child.type === 'COMPONENT') : [];
+    return variants.length > 0 ? variants : [root];
+}
+
+// Component Builder
+// Returns the component's element tree with everything a target needs to write it out:
+// { name, props, takesProps, variants: [{ when, root }], root, styles, usesTokens,
+//   fontCSS, stylesheet, assets, components, accessibility }.
+// Components and component sets (`options.props`) take their Figma properties as
+// props plus className/style; a set renders the variant its variant props select.
+// TypeScript output and `layerProps` give every component className/style props too.
+function buildComponent(root, name, fontCSS = '', options = {}) {
+    const sink = createStyleSink(options.styles || 'inline', name, options.tailwindTheme, options.tokenSet, options.fontFallbacks);
+    const typescript = options.language === 'typescript';
+    const props = options.props || null;
+    const takesProps = Boolean(props) || typescript || Boolean(options.layerProps);
+    // Components start their headings at h2, leaving h1 to the page that renders them
+    const semantics = createSemantics(root, {
+        enabled: options.semantics !== false,
+        component: name,
+        headingStart: props ? 2 : 1
+    });
+    const context = {
+        assets: options.assets,
+        props: props || [],
+        layerProps: options.layerProps ? createLayerProps(props || []) : null,
+        usages: options.usages,
+        semantics,
+        scope: semantics.rootScope
+    };
+
+    // Root needs relative positioning to contain absolute children
+    // Root X/Y should be ignored or reset to 0 for the component itself
+    // We wrap everything in a relative container matching the root dimensions.
+    function buildRoot(node, layerName, isRoot) {
+        const fluid = Boolean(node.breakpointVersions);
+        const { styles: rootStyles, overrides } = getBreakpointStyles(node, getRootStyles(node, !props, fluid),
+            version => getRootStyles(version.node, !props, fluid));
+        const toStyle = styles => sink.style(styles, layerName, isRoot, takesProps, overrides);
+        if (node.image || node.svg) {
+            return buildArtworkElement(node, rootStyles, context, toStyle);
+        }
+
+        // Variants render as whatever their component set's name and hint make them
+        const semantic = semantics.element({ ...node, name: root.name, semantics: node.semantics || root.semantics }, null, context.scope);
+        const style = toStyle(withResets(semantic.styles, rootStyles));
+        return createElement(semantic.tag, semantic.attributes, style, buildChildren(node, semantic, sink, context));
+    }
+
+    // Every variant but the default one renders when its variant props match
+    const renderRoots = getRenderRoots(root);
+    const defaultRoot = renderRoots.length > 1 ? getDefaultVariant(root, props || []) : renderRoots[0];
+    const variants = renderRoots
+        .filter(variant => variant !== defaultRoot)
+        .map(variant => ({ variant, when: variantWhen(props || [], variant.variantProperties) }))
+        .filter(({ when }) => when.length > 0)
+        .map(({ variant, when }) => ({ when, root: buildRoot(variant, Object.values(variant.variantProperties).join(' '), false) }));
+    const defaultElement = buildRoot(defaultRoot, name, true);
+
+    return {
+        name,
+        props: (props || []).concat(context.layerProps ? context.layerProps.props() : []),
+        takesProps,
+        variants,
+        root: defaultElement,
+        styles: sink.mode,
+        usesTokens: sink.usesTokens,
+        fontCSS,
+        stylesheet: sink.stylesheet(),
+        assets: options.assets.imports(),
+        components: options.usages.imported(),
+        accessibility: semantics.report()
+    };
+}
+
+// Paths in API responses are relative to the React app root
+function toProjectPath(filePath, project) {
+    return path.relative(project.appDir, filePath).split(path.sep).join('/');
+}
+
+async function readFileIfExists(filePath, encoding = 'utf8') {
+    try {
+        return await fs.readFile(filePath, encoding);
+    } catch {
+        return null;
+    }
+}
+
+function hashContent(content) {
+    return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+// Requests carry either the bare payload array or { data, options }
+function parseGenerateRequest(req) {
+    const overrides = req.query.dryRun !== undefined ? { dryRun: req.query.dryRun !== 'false' } : {};
+    return parseGeneratePayload(req.body, overrides);
+}
+
+// A payload ({ version, data, options }, or an older version such as the bare array)
+// migrated, validated against the payload schema, and with its options completed and
+// checked; `overrides` win over the payload's own options. `payload` is the migrated
+// payload as sent, without the overrides.
+function parseGeneratePayload(body, overrides = {}) {
+    const payload = readPayload(body);
+    const { data, options: payloadOptions = {} } = payload;
+    // The target's own defaults (Svelte and HTML write single files) sit under the request's options
+    const targetName = overrides.target !== undefined ? overrides.target
+        : payloadOptions.target !== undefined ? payloadOptions.target : DEFAULT_GENERATE_OPTIONS.target;
+    if (!getTargetNames().includes(targetName)) {
+        throw invalidOption('target', `must be one of: ${getTargetNames().join(', ')}`);
+    }
+    const target = getTarget(targetName);
+    const options = { ...DEFAULT_GENERATE_OPTIONS, ...target.defaults, ...payloadOptions, ...overrides };
+    if (!CONFLICT_STRATEGIES.includes(options.onConflict)) {
+        throw invalidOption('onConflict', `must be one of: ${CONFLICT_STRATEGIES.join(', ')}`);
+    }
+    if (!COMPONENT_LAYOUTS.includes(options.componentLayout)) {
+        throw invalidOption('componentLayout', `must be one of: ${COMPONENT_LAYOUTS.join(', ')}`);
+    }
+    if (!STYLE_MODES.includes(options.styles)) {
+        throw invalidOption('styles', `must be one of: ${STYLE_MODES.join(', ')}`);
+    }
+    if (!ICON_MODES.includes(options.icons)) {
+        throw invalidOption('icons', `must be one of: ${ICON_MODES.join(', ')}`);
+    }
+    if (!LANGUAGES.includes(options.language)) {
+        throw invalidOption('language', `must be one of: ${LANGUAGES.join(', ')}`);
+    }
+    if (!JSX_RUNTIMES.includes(options.jsxRuntime)) {
+        throw invalidOption('jsxRuntime', `must be one of: ${JSX_RUNTIMES.join(', ')}`);
+    }
+    if (options.fontSource !== 'none' && !getFontSourceNames().includes(options.fontSource)) {
+        throw invalidOption('fontSource', `must be one of: none, ${getFontSourceNames().join(', ')}`);
+    }
+    if (options.fontSource === 'local' && !options.fontDirectory) {
+        throw invalidOption('fontDirectory', 'is required for the local font source');
+    }
+    if (options.systemFonts !== null && (!Array.isArray(options.systemFonts) || options.systemFonts.some(font => typeof font !== 'string'))) {
+        throw invalidOption('systemFonts', 'must be an array of font family names');
+    }
+    if (options.componentDir !== null && (typeof options.componentDir !== 'string' || !isInsideApp(options.componentDir))) {
+        throw invalidOption('componentDir', 'must be a directory inside the app, relative to it (e.g. src/ui/components)');
+    }
+    if (options.componentName !== null && (typeof options.componentName !== 'string' || !toComponentName(options.componentName))) {
+        throw invalidOption('componentName', 'must contain letters or digits');
+    }
+    const breakpoints = options.breakpoints;
+    if (!breakpoints || typeof breakpoints !== 'object' || Array.isArray(breakpoints) ||
+        Object.values(breakpoints).some(minWidth => typeof minWidth !== 'number' || minWidth < 0)) {
+        throw invalidOption('breakpoints', 'must map breakpoint names to min-widths in pixels');
+    }
+    checkTargetSupport(target, options);
+
+    return { data, options, payload };
+}
+
+// A relative path that stays inside the directory it is relative to
+function isInsideApp(relativePath) {
+    const normalized = path.posix.normalize(relativePath.replace(/\\/g, '/'));
+    return relativePath.trim() !== '' && !path.posix.isAbsolute(normalized) && !/^[a-zA-Z]:/.test(normalized) &&
+        normalized !== '.' && normalized !== '..' && !normalized.startsWith('../');
+}
+
+// Options the target can't write, e.g. CSS Modules for Svelte or TypeScript for static HTML
+function checkTargetSupport(target, options) {
+    Object.entries(target.supports || {}).forEach(([key, values]) => {
+        if (!values.includes(options[key])) {
+            throw invalidOption(key, `must be one of: ${values.join(', ')} for the ${options.target} target`);
+        }
+    });
+    if (options.icons === 'component' && !target.renderIcon) {
+        throw invalidOption('icons', `must be "img" for the ${options.target} target, which has no icon components`);
+    }
+    if (options.componentLayout === 'split' && !target.renderWrapper) {
+        throw invalidOption('componentLayout', `must be "single" for the ${options.target} target, which has no split layout`);
+    }
+}
+
+// Tailwind theme for a run: the project's config when there is one, else the default theme
+async function resolveTailwindTheme(options) {
+    let configPath = options.tailwindConfig && path.resolve(options.project.appDir, options.tailwindConfig);
+    if (!configPath) {
+        for (const file of TAILWIND_CONFIG_FILES) {
+            const candidate = path.join(options.project.appDir, file);
+            if (await readFileIfExists(candidate) !== null) {
+                configPath = candidate;
+                break;
+            }
+        }
+    }
+    if (!configPath) {
+        return createTailwindTheme();
+    }
+
+    try {
+        return createTailwindTheme(loadTailwindConfig(configPath));
+    } catch (configError) {
+        throw httpError(400, `Could not load Tailwind config ${toProjectPath(configPath, options.project)}: ${configError.message.split('\n')[0]}`);
+    }
+}
+
+// JSX settings for a run: the project's tsconfig decides the runtime and React import
+// style unless `jsxRuntime` is set explicitly
+async function resolveProjectJsx(options) {
+    const configPath = options.tsconfig
+        ? path.resolve(options.project.appDir, options.tsconfig)
+        : path.join(options.project.appDir, 'tsconfig.json');
+
+    let compilerOptions = null;
+    if (options.tsconfig || await readFileIfExists(configPath) !== null) {
+        try {
+            compilerOptions = await loadTsConfig(configPath);
+        } catch (configError) {
+            throw httpError(400, `Could not load tsconfig ${toProjectPath(configPath, options.project)}: ${configError.message.split('\n')[0]}`);
+        }
+    }
+    return resolveJsxSettings(compilerOptions, options.jsxRuntime, options.language === 'typescript');
+}
+
+// Design Tokens - walk the payload the way the generator renders it and record every
+// color, typography value, radius and shadow list it would emit. Figma variables and
+// styles name the tokens; earlier tokens.json contents keep existing names stable.
+function collectDesignTokens(data, existingTokens, library, fontFallbacks) {
+    const tokenSet = createTokenSet(existingTokens || {});
+
+    function effectShadowValue(node) {
+        return (node.effects || [])
+            .filter(effect => effect.visible !== false && (effect.type === 'DROP_SHADOW' || effect.type === 'INNER_SHADOW') && effect.offset)
+            .reverse()
+            .map(effect => ({
+                color: cssColorToHex(rgbToColor(effect.color)),
+                offsetX: `${effect.offset.x}px`,
+                offsetY: `${effect.offset.y}px`,
+                blur: `${effect.radius || 0}px`,
+                spread: `${effect.spread || 0}px`,
+                ...(effect.type === 'INNER_SHADOW' ? { inset: true } : {})
+            }));
+    }
+
+    function addNodeTokens(node, styles) {
+        const styleNames = node.styleNames || {};
+        const variables = node.variables || {};
+
+        // Shadows first: the list is matched whole before its colors are swapped out
+        const effectShadows = getEffectStyles(node).shadows.join(', ');
+        if (node.type !== 'TEXT' && effectShadows && styles.boxShadow && styles.boxShadow.endsWith(effectShadows)) {
+            tokenSet.add('shadow', effectShadows, styleNames.effect, effectShadowValue(node));
+        }
+
+        // Solid paints carry their own variable; a node style names a lone solid paint
+        const colorNames = new Map();
+        const nameSolidPaints = (paints, styleName) => {
+            const solids = (paints || []).filter(paint => paint.visible !== false && paint.type === 'SOLID' && paint.color);
+            solids.forEach(paint => {
+                const name = paint.variable || (solids.length === 1 ? styleName : undefined);
+                const literal = rgbToColor(paint.color, paint.opacity);
+                if (name && !colorNames.has(literal)) colorNames.set(literal, name);
+            });
+        };
+        nameSolidPaints(node.fills, styleNames.fill);
+        nameSolidPaints(node.strokes, styleNames.stroke);
+        Object.values(styles).forEach(value => {
+            if (typeof value !== 'string') return;
+            (value.match(/rgba?\([^)]*\)/g) || []).forEach(literal => tokenSet.add('color', literal, colorNames.get(literal)));
+        });
+
+        // Text styles name the sizes they define; families and weights are shared across styles
+        if (styles.fontFamily) tokenSet.add('fontFamily', styles.fontFamily, variables.fontFamily);
+        if (styles.fontSize) tokenSet.add('fontSize', styles.fontSize, variables.fontSize || styleNames.text);
+        if (styles.fontWeight && node.type === 'TEXT') tokenSet.add('fontWeight', styles.fontWeight, variables.fontWeight);
+        if (/px$/.test(styles.lineHeight || '')) tokenSet.add('lineHeight', styles.lineHeight, variables.lineHeight || styleNames.text);
+        if (/px$/.test(styles.letterSpacing || '')) tokenSet.add('letterSpacing', styles.letterSpacing, variables.letterSpacing);
+
+        if (styles.borderRadius) {
+            const corners = ['topLeftRadius', 'topRightRadius', 'bottomRightRadius', 'bottomLeftRadius'];
+            const parts = styles.borderRadius.split(' ');
+            parts.forEach((part, i) => {
+                tokenSet.add('radius', part, variables[parts.length === 1 ? 'topLeftRadius' : corners[i]] || variables.cornerRadius);
+            });
+        }
+    }
+
+    function traverse(node, parent) {
+        if (node.visible === false) return;
+        // Instances of generated components render as usages, not as copies of their layers
+        if (node.type === 'INSTANCE' && node.mainComponent && library.resolve(node.mainComponent.id)) return;
+        addNodeTokens(node, withFontFallback(getCommonStyles(node, parent), fontFallbacks));
+        (node.textSegments || []).forEach(segment => {
+            addNodeTokens({ type: 'TEXT', fills: segment.fills }, withFontFallback(getTextRunStyles(node, segment), fontFallbacks));
+        });
+        // Artwork exported as SVG/PNG renders none of its children
+        if (node.image || node.svg) return;
+        (node.children || []).forEach(child => traverse(child, node));
+    }
+
+    data.forEach(root => {
+        getRenderRoots(root).forEach(renderRoot => {
+            addNodeTokens(renderRoot, getRootStyles(renderRoot));
+            if (renderRoot.image || renderRoot.svg) return;
+            (renderRoot.children || []).forEach(child => traverse(child, renderRoot));
+        });
+    });
+
+    return tokenSet;
+}
+
+// Generation Plan - every file a run would produce, built without touching the disk
+async function planGeneration(data, options) {
+    const project = options.project;
+    // Breakpoint frames of one screen become one responsive component; fonts, images and
+    // tokens are still collected from every frame
+    const roots = groupBreakpointFrames(data, options.breakpoints);
+    const componentNames = resolveComponentNames(roots, options.componentName);
+    const library = createComponentLibrary(roots, componentNames);
+    const files = [];
+
+    if (options.styles === 'tailwind') {
+        options = { ...options, tailwindTheme: await resolveTailwindTheme(options) };
+    }
+    const typescript = options.language === 'typescript';
+    const target = getTarget(options.target);
+    const extension = target.extension(options);
+    const importPath = target.importPath || (base => `./${base}`);
+    options = { ...options, jsx: await resolveProjectJsx(options) };
+
+    // Font files are written to public/fonts and referenced by each component's @font-face rules
+    const runFonts = await loadRunFonts(data, options);
+    files.push(...runFonts.files);
+    options = { ...options, fontFallbacks: runFonts.fallbacks };
+
+    // Image fills are referenced by URL from the generated styles
+    const images = collectImageAssets(data, project.imagesDir);
+    files.push(...images);
+
+    // Design tokens shared by every component of the run
+    if (options.tokens) {
+        const existingTokens = await readFileIfExists(project.tokensJsonFile);
+        let parsedTokens = {};
+        try {
+            parsedTokens = existingTokens ? JSON.parse(existingTokens) : {};
+        } catch (parseError) {
+            console.error('Ignoring unreadable tokens.json:', parseError.message);
+        }
+        const tokenSet = collectDesignTokens(data, parsedTokens, library, options.fontFallbacks);
+        options = { ...options, tokenSet };
+        files.push(
+            { path: project.tokensJsonFile, content: JSON.stringify(tokenSet.toJSON(), null, 2) + '\n' },
+            { path: project.tokensCssFile, content: tokenSet.toCSS() }
+        );
+    }
+
+    // What targets get besides a component: the run's options and every component built
+    const builtComponents = new Map();
+    const targetContext = {
+        options,
+        components: builtComponents,
+        componentPath: path.relative(project.srcDir, project.componentDir).split(path.sep).join('/')
+    };
+
+    // SVG/PNG artwork shared by every component of the run
+    const assetRegistry = createAssetRegistry({
+        assetsDir: project.assetsDir,
+        iconsDir: project.iconsDir,
+        iconExtension: extension,
+        renderIcon: icon => target.renderIcon(icon, targetContext)
+    });
+
+    // Build every component first, so targets that inline others (static HTML) see them all
+    for (let i = 0; i < roots.length; i++) {
+        const node = roots[i];
+        const componentName = componentNames[i];
+
+        // Generate font CSS for the fonts this component uses
+        const fontCSS = generateFontCSS(node, runFonts, options);
+
+        // Font CSS always goes in the component CSS file, ahead of any generated classes
+        builtComponents.set(componentName, buildComponent(node, componentName, fontCSS, {
+            ...options,
+            props: library.propsFor(node),
+            assets: createComponentAssets(assetRegistry, options.icons),
+            usages: createComponentUsages(library, componentName)
+        }));
+    }
+
+    const components = [];
+    const accessibility = [];
+    for (let i = 0; i < roots.length; i++) {
+        const node = roots[i];
+        const componentName = componentNames[i];
+        const component = builtComponents.get(componentName);
+        const { code, css, moduleCss } = target.renderComponent(component, targetContext);
+
+        const componentFiles = [];
+        if (options.componentLayout === 'split') {
+            // The generator owns Foo.generated.jsx; Foo.jsx belongs to developers once created
+            componentFiles.push(
+                { path: path.join(project.componentDir, `${componentName}.generated.${extension}`), content: code },
+                {
+                    path: path.join(project.componentDir, `${componentName}.${extension}`),
+                    content: target.renderWrapper(component, targetContext),
+                    createOnly: true,
+                    extends: importPath(`${componentName}.generated`, options)
+                }
+            );
+        } else {
+            componentFiles.push({ path: path.join(project.componentDir, `${componentName}.${extension}`), content: code });
+        }
+        componentFiles.push({ path: path.join(project.componentDir, `${componentName}.css`), content: css });
+        if (moduleCss !== undefined) {
+            componentFiles.push({ path: path.join(project.componentDir, `${componentName}.module.css`), content: moduleCss });
+        }
+        files.push(...componentFiles);
+        accessibility.push(...component.accessibility);
+
+        components.push({
+            name: componentName,
+            figmaName: node.name,
+            ...(node.library ? { library: true } : {}),
+            ...(node.breakpointVersions ? { breakpoints: node.breakpointVersions.map(version => version.breakpoint) } : {}),
+            files: componentFiles.map(file => toProjectPath(file.path, project))
+        });
+    }
+
+    files.push(...assetRegistry.files());
+
+    // TypeScript needs module types for the CSS Modules and images components import
+    if (typescript && target.envDeclarations &&
+        (await Promise.all(project.toolingEnvFiles.map(file => readFileIfExists(file)))).every(content => content === null)) {
+        files.push({ path: project.envDeclarationsFile, content: target.envDeclarations });
+    }
+
+    // Barrel exporting every generated component
+    if (target.barrel !== false) {
+        const barrelPath = await resolveExistingFile(
+            ['index.ts', 'index.js'].map(file => path.join(project.componentDir, file)),
+            typescript
+        );
+        files.push({
+            path: barrelPath,
+            content: generateBarrel(componentNames, await readFileIfExists(barrelPath) || '', name => importPath(name, options))
+        });
+    }
+
+    // Update the app to render this run's components in selection order; main components
+    // the plugin only added because selected instances use them are not rendered on their own
+    if (options.updateApp && target.app) {
+        files.push({
+            path: await resolveExistingFile(target.app.files.map(file => path.join(project.srcDir, file)), typescript),
+            content: target.app.render(componentNames.filter((name, i) => !roots[i].library), targetContext)
+        });
+    }
+
+    return {
+        components,
+        fonts: runFonts.report,
+        images: images.map(file => toProjectPath(file.path, project)),
+        accessibility,
+        files
+    };
+}
+
+// Files the project may already have under another extension (App.js vs App.tsx):
+// the one that exists is updated, else the TypeScript (first) or JavaScript (last) one
+async function resolveExistingFile(candidates, typescript) {
+    for (const candidate of typescript ? candidates : candidates.slice().reverse()) {
+        if (await readFileIfExists(candidate) !== null) return candidate;
+    }
+    return typescript ? candidates[0] : candidates[candidates.length - 1];
+}
+
+// Generation Manifest - content hashes of what the generator last wrote per file
+async function readManifest(project) {
+    const raw = await readFileIfExists(project.manifestFile);
+    try {
+        return raw ? JSON.parse(raw) : { files: {} };
+    } catch {
+        return { files: {} };
+    }
+}
+
+// Decide what happens to each planned file. A file on disk counts as hand-edited when
+// its content no longer matches what we last generated, or we never generated it.
+async function resolveFileChanges(files, manifest, options) {
+    return Promise.all(files.map(async file => {
+        const projectPath = toProjectPath(file.path, options.project);
+        const isText = typeof file.content === 'string';
+        const current = await readFileIfExists(file.path, isText ? 'utf8' : null);
+        const change = { path: projectPath, file, current, handEdited: false };
+
+        if (current === null) {
+            change.status = 'created';
+        } else if (hashContent(current) === hashContent(file.content)) {
+            change.status = 'unchanged';
+        } else {
+            change.handEdited = manifest.files[projectPath] !== hashContent(current);
+            if (file.createOnly) {
+                // Developer-owned file: once it exists it is never rewritten, edited or not,
+                // only flagged when it stopped building on the generated base (e.g. an
+                // older single-file component)
+                change.status = 'kept';
+                if (!current.includes(`'${file.extends}'`)) {
+                    change.conflict = {
+                        resolution: 'kept',
+                        reason: `does not import ${file.extends}, so design changes will not show up`
+                    };
+                }
+            } else if (change.handEdited && options.onConflict === 'refuse') {
+                change.status = 'conflict';
+                change.conflict = { resolution: 'refused', reason: 'hand-edited since the last generation' };
+            } else {
+                change.status = 'updated';
+                change.backup = change.handEdited && options.onConflict === 'backup';
+                if (change.handEdited) {
+                    change.conflict = {
+                        resolution: change.backup ? 'backed-up' : 'overwritten',
+                        reason: 'hand-edited since the last generation'
+                    };
+                }
+            }
+        }
+
+        return change;
+    }));
+}
+
+function describeConflict(change, project) {
+    const described = { path: change.path, ...change.conflict };
+    if (change.backupPath) described.backup = toProjectPath(change.backupPath, project);
+    return described;
+}
+
+function describeChange(change, includeContent, project) {
+    const described = { path: change.path, status: change.status, handEdited: change.handEdited };
+    if (change.backupPath) described.backup = toProjectPath(change.backupPath, project);
+
+    if (includeContent && typeof change.file.content === 'string') {
+        described.content = change.file.content;
+        if (change.status !== 'unchanged') {
+            described.diff = createTwoFilesPatch(
+                `a/${change.path}`, `b/${change.path}`,
+                change.current || '', change.file.content
+            );
+        }
+    }
+
+    return described;
+}
+
+// Write created/updated files, backing up hand-edited ones first, and record their hashes
+async function applyFileChanges(changes, manifest, project) {
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+
+    for (const change of changes) {
+        if (change.status !== 'created' && change.status !== 'updated') continue;
+
+        await ensureDirectory(path.dirname(change.file.path));
+        if (change.backup) {
+            change.backupPath = `${change.file.path}.${stamp}.bak`;
+            await fs.copyFile(change.file.path, change.backupPath);
+        }
+        await fs.writeFile(change.file.path, change.file.content);
+    }
+
+    // Conflicting and kept files keep their old manifest entry so they stay flagged as hand-edited
+    changes.forEach(change => {
+        if (change.status !== 'conflict' && change.status !== 'kept') {
+            manifest.files[change.path] = hashContent(change.file.content);
+        }
+    });
+    await ensureDirectory(path.dirname(project.manifestFile));
+    await fs.writeFile(project.manifestFile, JSON.stringify(manifest, null, 2));
+}
+
+// Plan a run into `project`, write it unless it is a dry run, and describe the outcome.
+// `files` are the planned files by project path, for the history.
+async function executeGeneration(data, options, project) {
+    if (options.componentDir) {
+        project = createProjectPaths(project.appDir, path.resolve(project.appDir, options.componentDir));
+    }
+    options = { ...options, project };
+    const plan = await planGeneration(data, options);
+    const manifest = await readManifest(project);
+    const changes = await resolveFileChanges(plan.files, manifest, options);
+
+    if (!options.dryRun) {
+        await applyFileChanges(changes, manifest, project);
+    }
+
+    const writes = changes.filter(change => change.status === 'created' || change.status === 'updated');
+    const result = {
+        success: true,
+        dryRun: options.dryRun,
+        components: plan.components,
+        files: writes.map(change => change.path),
+        changes: changes.map(change => describeChange(change, options.dryRun, project)),
+        conflicts: changes.filter(change => change.conflict).map(change => describeConflict(change, project)),
+        fonts: plan.fonts,
+        images: plan.images,
+        accessibility: plan.accessibility
+    };
+    const files = plan.files.map(file => ({ path: toProjectPath(file.path, project), content: file.content }));
+    return { result, files };
+}
+
+async function runGeneration(data, options, project = DEFAULT_PROJECT) {
+    return (await executeGeneration(data, options, project)).result;
+}
+
+// Generation History - runs that wrote files are recorded with their payload and output
+const history = createHistoryStore(HISTORY_DIR, HISTORY_LIMIT);
+
+// Run a generation into the server's app and record it unless it was a dry run; the
+// response names the new entry in `historyId`
+async function generateAndRecord({ data, options, payload }, regeneratedFrom) {
+    const { result, files } = await executeGeneration(data, options, DEFAULT_PROJECT);
+    if (options.dryRun) return result;
+
+    try {
+        const { dryRun, ...recordedOptions } = options;
+        const entry = await history.add({ payload, options: recordedOptions, result, files, regeneratedFrom });
+        return { ...result, historyId: entry.id };
+    } catch (e) {
+        // The files are written either way; a run missing from the history is no reason to fail it
+        console.error('Could not record the run in the history:', e);
+        return result;
+    }
+}
+
+function sendError(res, e) {
+    if (!e.status) console.error(e);
+    res.status(e.status || 500).json({ error: e.message, ...(e.errors ? { errors: e.errors } : {}) });
+}
+
+async function handleGenerate(req, res, forceDryRun) {
+    try {
+        const request = parseGenerateRequest(req);
+        if (forceDryRun) request.options.dryRun = true;
+
+        res.json(await generateAndRecord(request));
+    } catch (e) {
+        sendError(res, e);
+    }
+}
+
+async function findHistoryEntry(id) {
+    const entry = await history.get(id);
+    if (!entry) throw httpError(404, `No history entry "${id}"`);
+    return entry;
+}
+
+app.post('/api/generate', (req, res) => handleGenerate(req, res, false));
+
+// Same as /api/generate with dryRun forced: returns contents and diffs, writes nothing
+app.post('/api/preview', (req, res) => handleGenerate(req, res, true));
+
+// Past runs, newest first: id, createdAt, source (file and node ids), options, components and files
+app.get('/api/history', async (req, res) => {
+    try {
+        res.json({ entries: await history.list() });
+    } catch (e) {
+        sendError(res, e);
+    }
+});
+
+// One run with the payload it was generated from and its output (text files by path)
+app.get('/api/history/:id', async (req, res) => {
+    try {
+        res.json(await findHistoryEntry(req.params.id));
+    } catch (e) {
+        sendError(res, e);
+    }
+});
+
+// Generate from a recorded payload again; { "options": {...} } in the body override its
+// options (e.g. another target or styles). The new run is recorded with `regeneratedFrom`.
+app.post('/api/history/:id/regenerate', async (req, res) => {
+    try {
+        const entry = await findHistoryEntry(req.params.id);
+        const options = (req.body && req.body.options) || {};
+        if (typeof options !== 'object' || Array.isArray(options)) {
+            throw httpError(400, 'options must be an object of generate options', [
+                { path: '$.options', message: 'must be an object of generate options' }
+            ]);
+        }
+        const overrides = req.query.dryRun !== undefined ? { ...options, dryRun: req.query.dryRun !== 'false' } : options;
+        res.json(await generateAndRecord(parseGeneratePayload(entry.payload, overrides), entry.id));
+    } catch (e) {
+        sendError(res, e);
+    }
+});
+
+// What changed between two runs: `layers` and `summary` compare the designs node by node
+// ("Card / Button: padding 12→16"), `files` the generated code
+app.get('/api/diff', async (req, res) => {
+    try {
+        const { from: fromId, to: toId } = req.query;
+        if (!fromId || !toId) {
+            throw httpError(400, 'Expected ?from=<history id>&to=<history id>');
+        }
+        const [from, to] = await Promise.all([findHistoryEntry(fromId), findHistoryEntry(toId)]);
+        const layers = diffNodeTrees(from.payload.data, to.payload.data);
+        const describe = ({ id, createdAt, source }) => ({ id, createdAt, source });
+        res.json({
+            from: describe(from),
+            to: describe(to),
+            layers,
+            summary: summarizeLayers(layers),
+            files: diffOutputs(from.output, to.output)
+        });
+    } catch (e) {
+        sendError(res, e);
+    }
+});
+
+// The payload JSON Schema (schema/payload.schema.json), for tools producing payloads
+app.get('/api/schema', (req, res) => res.json(PAYLOAD_SCHEMA));
+
+// Bodies that aren't JSON answer like any other bad payload
+app.use((err, req, res, next) => {
+    if (err.type !== 'entity.parse.failed') return next(err);
+    res.status(400).json({ error: `Invalid payload: ${err.message}`, errors: [{ path: '$', message: err.message }] });
+});
+
+// The CLI (cli.js) runs the same generator without starting the server
+if (require.main === module) {
+    // In-house targets: TARGET_MODULES=./design-system-target.js,@acme/figma-target
+    loadTargetModules((process.env.TARGET_MODULES || '').split(',').map(specifier => specifier.trim()));
+    app.listen(PORT, () => console.log(`Server running on ${PORT}`));
+}
+
+module.exports = {
+    DEFAULT_GENERATE_OPTIONS,
+    createProjectPaths,
+    parseGeneratePayload,
+    runGeneration,
+    registerTarget,
+    loadTargetModules
+};
@@ -0,0 +1,173 @@
+const { decodeDataUri } = require('./assets');
+const { httpError } = require('./errors');
+const PAYLOAD_SCHEMA = require('./schema/payload.schema.json');
+
+// Payload Schema - checks what the plugin (or another tool) sends against the published
+// JSON Schema in schema/payload.schema.json, after bringing older payload versions up to
+// the current one. Problems come back as a 400 listing each one with its JSON path
+// ($.data[0].children[2].width), so a broken payload never reaches the generator.
+//
+// The validator understands the keywords the schema uses: $ref (local), type, const,
+// enum, required, properties, additionalProperties, items, minItems, maxItems, minimum
+// and maximum. Annotations (title, description) are ignored.
+
+// The version the plugin stamps on payloads, and the only one the schema accepts
+const PAYLOAD_VERSION = PAYLOAD_SCHEMA.properties.version.const;
+// One mistake repeated over a large selection would otherwise bury the response
+const MAX_ERRORS = 50;
+
+// Vectors of version 1 payloads may carry the SVG as a base64 data URI instead of markup
+function migrateSvgBase64(node) {
+    if (!node || typeof node !== 'object' || Array.isArray(node)) return node;
+    const { svgBase64, ...migrated } = node;
+    if (svgBase64 !== undefined && migrated.svg === undefined) {
+        const bytes = decodeDataUri(svgBase64);
+        if (bytes) migrated.svg = bytes.toString('utf8');
+    }
+    if (Array.isArray(node.children)) migrated.children = node.children.map(migrateSvgBase64);
+    return migrated;
+}
+
+// MIGRATIONS[n] turns a version n payload into version n + 1. They run before
+// validation, so they must cope with malformed input and leave reporting it to the schema.
+const MIGRATIONS = {
+    // Version 1: unversioned payloads (the bare node array or { data, options })
+    1: payload => ({
+        ...payload,
+        version: 2,
+        data: Array.isArray(payload.data) ? payload.data.map(migrateSvgBase64) : payload.data
+    })
+};
+
+// $.data[0].name, or $.variables["fills/0"] for keys that aren't identifiers
+function childPath(path, key) {
+    if (typeof key === 'number') return `${path}[${key}]`;
+    return /^[A-Za-z_$][\w$]*$/.test(key) ? `${path}.${key}` : `${path}[${JSON.stringify(key)}]`;
+}
+
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    return typeof value;
+}
+
+function matchesType(value, type) {
+    if (type === 'integer') return Number.isInteger(value);
+    if (type === 'number') return typeof value === 'number' && Number.isFinite(value);
+    return typeOf(value) === type;
+}
+
+function describeType(type) {
+    if (type === 'null') return 'null';
+    return `${/^[aeiou]/.test(type) ? 'an' : 'a'} ${type}`;
+}
+
+function resolveRef(ref, root) {
+    if (!ref.startsWith('#/')) throw new Error(`Only local $refs are supported: ${ref}`);
+    return ref.slice(2).split('/').reduce((schema, key) => schema[key.replace(/~1/g, '/').replace(/~0/g, '~')], root);
+}
+
+// Pushes { path, message } onto `errors` for every way `value` breaks `schema`
+function validateValue(value, schema, path, errors, root) {
+    if (errors.length >= MAX_ERRORS) return;
+    if (schema.$ref) {
+        validateValue(value, resolveRef(schema.$ref, root), path, errors, root);
+        return;
+    }
+    const report = message => errors.push({ path, message });
+
+    if ('const' in schema && value !== schema.const) {
+        report(`must be ${JSON.stringify(schema.const)}`);
+        return;
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+        report(`must be one of: ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`);
+        return;
+    }
+    if (schema.type) {
+        const types = [].concat(schema.type);
+        if (!types.some(type => matchesType(value, type))) {
+            report(`must be ${types.map(describeType).join(' or ')}, got ${describeType(typeOf(value))}`);
+            return;
+        }
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) report(`must be at least ${schema.minimum}`);
+        if (schema.maximum !== undefined && value > schema.maximum) report(`must be at most ${schema.maximum}`);
+    } else if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) report(`must have at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}`);
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) report(`must have at most ${schema.maxItems} item${schema.maxItems === 1 ? '' : 's'}`);
+        if (schema.items) {
+            value.forEach((item, i) => validateValue(item, schema.items, childPath(path, i), errors, root));
+        }
+    } else if (value !== null && typeof value === 'object') {
+        const properties = schema.properties || {};
+        (schema.required || []).forEach(key => {
+            if (value[key] === undefined) errors.push({ path: childPath(path, key), message: 'is required' });
+        });
+        Object.keys(value).forEach(key => {
+            if (value[key] === undefined) return;
+            if (properties[key]) {
+                validateValue(value[key], properties[key], childPath(path, key), errors, root);
+            } else if (schema.additionalProperties === false) {
+                errors.push({ path: childPath(path, key), message: 'is not allowed' });
+            } else if (schema.additionalProperties) {
+                validateValue(value[key], schema.additionalProperties, childPath(path, key), errors, root);
+            }
+        });
+    }
+}
+
+// Every problem of `value` against `schema` (the payload schema by default), at most MAX_ERRORS
+function validateSchema(value, schema = PAYLOAD_SCHEMA) {
+    const errors = [];
+    validateValue(value, schema, '$', errors, schema);
+    return errors.slice(0, MAX_ERRORS);
+}
+
+function invalidPayload(errors) {
+    const [first] = errors;
+    const more = errors.length > 1 ? ` (and ${errors.length - 1} more${errors.length >= MAX_ERRORS ? '+' : ''})` : '';
+    return httpError(400, `Invalid payload: ${first.path} ${first.message}${more}`, errors);
+}
+
+// A request body as a current-version payload { version, data, options }, migrated from
+// older versions and validated; throws a 400 with `errors` ({ path, message }) otherwise.
+// Paths point into the body as sent: a bare array's nodes are $[0], not $.data[0].
+function readPayload(body) {
+    const bare = Array.isArray(body);
+    if (!bare && (body === null || typeof body !== 'object')) {
+        throw invalidPayload([{ path: '$', message: `must be an object { version, data, options } or an array of nodes, got ${describeType(typeOf(body))}` }]);
+    }
+
+    let payload = bare ? { data: body } : body;
+    let version = payload.version === undefined ? 1 : payload.version;
+    if (!Number.isInteger(version) || version < 1) {
+        throw invalidPayload([{ path: '$.version', message: 'must be a positive integer' }]);
+    }
+    if (version > PAYLOAD_VERSION) {
+        throw invalidPayload([{
+            path: '$.version',
+            message: `is ${version}, newer than this server understands (up to ${PAYLOAD_VERSION}); update the server`
+        }]);
+    }
+    for (; version < PAYLOAD_VERSION; version++) {
+        payload = MIGRATIONS[version](payload);
+    }
+
+    const errors = validateSchema(payload);
+    if (errors.length > 0) {
+        throw invalidPayload(bare
+            ? errors.map(error => ({ ...error, path: error.path.replace(/^\$\.data/, '$') }))
+            : errors);
+    }
+    return payload;
+}
+
+module.exports = {
+    PAYLOAD_VERSION,
+    PAYLOAD_SCHEMA,
+    validateSchema,
+    readPayload
+};
@@ -0,0 +1,91 @@
+// Rich Text - a text layer's styled segments grouped the way they render: paragraphs
+// (split at line breaks) made of runs of equally styled characters, and consecutive
+// list paragraphs gathered into lists, nested by their indentation
+
+// Figma ends paragraphs with \n; \u2028 is a line break inside a paragraph (Shift+Enter)
+const PARAGRAPH_SEPARATOR = '\n';
+const LINE_SEPARATOR = '\u2028';
+
+// Paragraphs as { runs: [{ text, segment }], listType, indentation }; `segment` is null
+// for text that has no segments of its own (it renders with the layer's styles)
+function splitParagraphs(text, segments) {
+    const sources = segments && segments.length > 0
+        ? segments
+        : [{ characters: String(text || ''), listOptions: { type: 'NONE' }, indentation: 0, plain: true }];
+
+    const paragraphs = [];
+    let current = null;
+    const startParagraph = segment => {
+        current = {
+            runs: [],
+            listType: (segment.listOptions && segment.listOptions.type) || 'NONE',
+            indentation: segment.indentation || 0
+        };
+        paragraphs.push(current);
+    };
+
+    // A paragraph takes its list settings from its first characters, which can be in the
+    // segment after the line break, so paragraphs start when their text does
+    let pending = true;
+    sources.forEach(segment => {
+        String(segment.characters).split(PARAGRAPH_SEPARATOR).forEach((part, i) => {
+            if (i > 0) {
+                if (pending) startParagraph(segment);
+                pending = true;
+            }
+            if (!part) return;
+            if (pending) startParagraph(segment);
+            pending = false;
+            current.runs.push({ text: part, segment: segment.plain ? null : segment });
+        });
+    });
+    // Empty text, or text ending with a line break, ends with an empty paragraph
+    if (pending) startParagraph(sources[sources.length - 1]);
+    return paragraphs;
+}
+
+// One list starting at `start`; deeper-indented items become lists inside the item before them
+function readList(paragraphs, start) {
+    const indentation = paragraphs[start].indentation;
+    const list = { type: 'list', ordered: paragraphs[start].listType === 'ORDERED', items: [] };
+    let i = start;
+
+    while (i < paragraphs.length && paragraphs[i].listType !== 'NONE' && paragraphs[i].indentation >= indentation) {
+        const paragraph = paragraphs[i];
+        if (paragraph.indentation > indentation && list.items.length > 0) {
+            const nested = readList(paragraphs, i);
+            list.items[list.items.length - 1].lists.push(nested.list);
+            i = nested.next;
+            continue;
+        }
+        // Switching between numbers and bullets starts a new list
+        if (list.items.length > 0 && (paragraph.listType === 'ORDERED') !== list.ordered) break;
+        list.items.push({ paragraph, lists: [] });
+        i++;
+    }
+    return { list, next: i };
+}
+
+// Blocks of a text layer: { type: 'paragraph', paragraph } or { type: 'list', ordered, items }
+function toTextBlocks(text, segments) {
+    const paragraphs = splitParagraphs(text, segments);
+    const blocks = [];
+    let i = 0;
+
+    while (i < paragraphs.length) {
+        if (paragraphs[i].listType === 'NONE') {
+            blocks.push({ type: 'paragraph', paragraph: paragraphs[i] });
+            i++;
+        } else {
+            const { list, next } = readList(paragraphs, i);
+            blocks.push(list);
+            i = next;
+        }
+    }
+    return blocks;
+}
+
+module.exports = {
+    LINE_SEPARATOR,
+    toTextBlocks
+};
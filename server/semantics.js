@@ -0,0 +1,362 @@
+// Semantics - the HTML element a layer renders as, its ARIA attributes, and the
+// accessibility warnings found on the way. Elements come from an explicit hint (the
+// layer's `semantics` plugin data), then from layer naming conventions ('button/primary',
+// 'Nav', 'h2'), then from the text size hierarchy; everything else stays a <div>.
+
+// Name keywords, matched against the first segment of a layer name ('button/primary'),
+// with its spaces removed ('Text field'), and by its first and last words ('Button large',
+// 'Primary button')
+const NAME_TAGS = [
+    [/^(button|btn|cta)$/, 'button'],
+    [/^(link|anchor)$/, 'a'],
+    [/^(input|textfield|textinput|searchfield|searchbar)$/, 'input'],
+    [/^(h[1-6])$/, null],
+    [/^(nav|navbar|navigation)$/, 'nav'],
+    [/^(header)$/, 'header'],
+    [/^(footer)$/, 'footer'],
+    [/^(main)$/, 'main'],
+    [/^(aside|sidebar)$/, 'aside'],
+    [/^(section)$/, 'section'],
+    [/^(article)$/, 'article'],
+    [/^(form)$/, 'form'],
+    [/^(list|ul)$/, 'ul'],
+    [/^(ol)$/, 'ol'],
+    [/^(listitem|li)$/, 'li'],
+    [/^(label)$/, 'label'],
+    [/^(p|paragraph)$/, 'p']
+];
+
+const HEADING_TAGS = ['h1', 'h2', 'h3', 'h4', 'h5', 'h6'];
+const INTERACTIVE_TAGS = ['button', 'a', 'input'];
+// Elements a text layer can be; landmarks and lists only make sense for frames
+const TEXT_TAGS = HEADING_TAGS.concat('p', 'a', 'button', 'label', 'li', 'input');
+const CONTAINER_TAGS = ['div', 'button', 'a', 'input', 'nav', 'header', 'footer', 'main', 'aside', 'section', 'article', 'form', 'ul', 'ol', 'li', 'label'];
+
+// User agent styles the Figma styles don't already replace; the layer's own styles come after
+const RESET_STYLES = {
+    button: {
+        margin: 0, padding: 0, border: 'none', background: 'none',
+        font: 'inherit', color: 'inherit', textAlign: 'inherit', cursor: 'pointer'
+    },
+    a: { display: 'block', color: 'inherit', textDecoration: 'none' },
+    input: { margin: 0, padding: 0, border: 'none', background: 'none', font: 'inherit', color: 'inherit' },
+    ul: { margin: 0, padding: 0, listStyle: 'none' },
+    ol: { margin: 0, padding: 0, listStyle: 'none' },
+    p: { margin: 0 },
+    label: { display: 'block' },
+    ...Object.fromEntries(HEADING_TAGS.map(tag => [tag, { margin: 0 }]))
+};
+
+// Names Figma gives new layers, which say nothing about an image
+const DEFAULT_LAYER_NAME = /^(rectangle|frame|group|vector|image|ellipse|polygon|star|line|union|subtract|intersect|exclude|mask group|photo|picture|img)( \d+)?$/i;
+
+// Vector artwork that carries meaning; other SVGs are decoration
+const MEANINGFUL_ARTWORK = /logo|illustration|chart|graph|diagram|map|flag/i;
+
+// Text at least this much larger than the body text is a heading
+const HEADING_SIZE_RATIO = 1.2;
+
+const WHITE = { r: 1, g: 1, b: 1 };
+
+function nameKeywords(name) {
+    const segment = String(name || '').split('/')[0].trim().toLowerCase();
+    const words = segment.split(/[\s_-]+/);
+    return [segment.replace(/[\s_-]+/g, ''), words[0], words[words.length - 1]];
+}
+
+function tagFromName(name) {
+    for (const keyword of nameKeywords(name)) {
+        for (const [pattern, tag] of NAME_TAGS) {
+            const match = keyword.match(pattern);
+            if (match) return tag || match[1];
+        }
+    }
+    return null;
+}
+
+// Accessible name from a layer name: 'Icon button/Close' -> 'Close'
+function labelFromName(name) {
+    const segments = String(name || '').split('/').map(segment => segment.trim()).filter(Boolean);
+    return segments.length > 0 ? segments[segments.length - 1] : 'Untitled';
+}
+
+function inputType(name) {
+    const lower = String(name || '').toLowerCase();
+    if (lower.includes('password')) return 'password';
+    if (lower.includes('email')) return 'email';
+    if (lower.includes('search')) return 'search';
+    return 'text';
+}
+
+function hasText(node) {
+    if (node.visible === false) return false;
+    if (node.type === 'TEXT') return Boolean(String(node.textContent || '').trim()) || Boolean(node.componentPropertyReferences && node.componentPropertyReferences.characters);
+    return (node.children || []).some(hasText);
+}
+
+// Visible text layers of a component, every variant included
+function collectTextNodes(node, found = []) {
+    if (node.visible === false) return found;
+    if (node.type === 'TEXT') found.push(node);
+    (node.children || []).forEach(child => collectTextNodes(child, found));
+    return found;
+}
+
+// Font sizes that make headings: sizes clearly above the body text (the size most
+// characters are set in), largest first, numbered from `startLevel`
+function getHeadingLevels(root, startLevel) {
+    const characters = new Map();
+    collectTextNodes(root).forEach(node => {
+        if (!node.fontSize) return;
+        characters.set(node.fontSize, (characters.get(node.fontSize) || 0) + String(node.textContent || '').length);
+    });
+    if (characters.size < 2) return new Map();
+
+    const [bodySize] = Array.from(characters).sort((a, b) => b[1] - a[1] || a[0] - b[0])[0];
+    const headingSizes = Array.from(characters.keys())
+        .filter(size => size >= bodySize * HEADING_SIZE_RATIO)
+        .sort((a, b) => b - a);
+    return new Map(headingSizes
+        .map((size, i) => [size, startLevel + i])
+        .filter(([, level]) => level <= 6));
+}
+
+// Colors
+
+function paintColor(paint, opacity = 1) {
+    const alpha = (paint.opacity !== undefined ? paint.opacity : 1) * (paint.color.a !== undefined ? paint.color.a : 1) * opacity;
+    return { r: paint.color.r, g: paint.color.g, b: paint.color.b, a: alpha };
+}
+
+function blend(color, backdrop) {
+    return {
+        r: color.r * color.a + backdrop.r * (1 - color.a),
+        g: color.g * color.a + backdrop.g * (1 - color.a),
+        b: color.b * color.a + backdrop.b * (1 - color.a)
+    };
+}
+
+// The opaque color a layer's fills paint over `backdrop`; null when a gradient or image
+// makes it unknowable (or the backdrop already is)
+function paintFills(node, backdrop) {
+    const fills = (node.fills || []).filter(fill => fill.visible !== false);
+    return fills.reduce((color, fill) => {
+        if (!color) return null;
+        if (fill.type !== 'SOLID' || !fill.color) return null;
+        return blend(paintColor(fill, node.opacity !== undefined ? node.opacity : 1), color);
+    }, backdrop);
+}
+
+function relativeLuminance({ r, g, b }) {
+    const channel = value => value <= 0.03928 ? value / 12.92 : Math.pow((value + 0.055) / 1.055, 2.4);
+    return 0.2126 * channel(r) + 0.7152 * channel(g) + 0.0722 * channel(b);
+}
+
+function contrastRatio(a, b) {
+    const [lighter, darker] = [relativeLuminance(a), relativeLuminance(b)].sort((x, y) => y - x);
+    return (lighter + 0.05) / (darker + 0.05);
+}
+
+function toHex({ r, g, b }) {
+    return `#${[r, g, b].map(value => Math.round(value * 255).toString(16).padStart(2, '0')).join('')}`;
+}
+
+// WCAG large text: 24px, or 18.66px (14pt) bold
+function isLargeText(node) {
+    const weight = typeof node.fontWeight === 'string' ? parseFloat(node.fontWeight) : node.fontWeight;
+    return node.fontSize >= 24 || (node.fontSize >= 18.66 && weight >= 700);
+}
+
+function contains(outer, inner) {
+    return outer.x <= inner.x && outer.y <= inner.y &&
+        outer.x + outer.width >= inner.x + inner.width &&
+        outer.y + outer.height >= inner.y + inner.height;
+}
+
+// What a text layer is drawn on: its ancestors' fills, then any filled sibling below it
+// that covers it (the usual rectangle-behind-a-label construction)
+function getBackdrop(node, parent, scopeBackground) {
+    let backdrop = scopeBackground;
+    const siblings = parent && parent.children ? parent.children : [];
+    const index = siblings.indexOf(node);
+    siblings.slice(0, Math.max(index, 0)).forEach(sibling => {
+        if (backdrop && sibling.visible !== false && sibling.type !== 'TEXT' && contains(sibling, node)) {
+            const painted = paintFills(sibling, backdrop);
+            if ((sibling.fills || []).some(fill => fill.visible !== false)) backdrop = painted;
+        }
+    });
+    return backdrop;
+}
+
+// A layer's styles over the resets its element needs; resets the layer already sets,
+// directly or through a longhand (`padding` by `paddingLeft`), are left out so the two
+// never fight over a property
+function withResets(resets, styles) {
+    const keys = Object.keys(styles);
+    const applied = {};
+    Object.entries(resets).forEach(([key, value]) => {
+        const covered = keys.some(styleKey => styleKey === key || (styleKey.startsWith(key) && !styleKey.endsWith('Radius')));
+        if (!covered) applied[key] = value;
+    });
+    return { ...applied, ...styles };
+}
+
+function attribute(name, value) {
+    return { name, value };
+}
+
+// Semantics for one component. `enabled: false` keeps every layer a <div> (the report
+// is still collected); `headingStart` is the first heading level, h2 inside components
+// so a page keeps its own h1.
+function createSemantics(root, { enabled = true, component, headingStart = 1 } = {}) {
+    const headingLevels = enabled ? getHeadingLevels(root, headingStart) : new Map();
+    const warnings = new Map();
+
+    function warn(node, rule, message) {
+        const key = `${node.id || node.name}|${rule}|${message}`;
+        if (!warnings.has(key)) {
+            warnings.set(key, { component, layer: node.name, ...(node.id ? { id: node.id } : {}), rule, message });
+        }
+    }
+
+    function hintTag(node) {
+        const tag = node.semantics && node.semantics.tag ? String(node.semantics.tag).toLowerCase() : null;
+        if (!tag || tag === 'decorative') return null;
+        const allowed = node.type === 'TEXT' ? TEXT_TAGS.concat('div') : CONTAINER_TAGS;
+        if (allowed.includes(tag)) return tag;
+        warn(node, 'semantics-hint', `Unsupported semantics hint "${tag}" ignored`);
+        return null;
+    }
+
+    function inferTag(node, scope) {
+        const hinted = hintTag(node);
+        if (hinted) return { tag: hinted, hinted: true };
+        if (!enabled) return { tag: 'div', hinted: false };
+
+        const allowed = node.type === 'TEXT' ? TEXT_TAGS : CONTAINER_TAGS;
+        const named = tagFromName(node.name);
+        if (named && allowed.includes(named)) return { tag: named, hinted: false };
+
+        if (node.type === 'TEXT') {
+            // The input a field frame is made of: its placeholder text
+            if (scope.field && !scope.field.claimed) return { tag: 'input', hinted: false };
+            const level = !scope.interactive && headingLevels.get(node.fontSize);
+            if (level) return { tag: `h${level}`, hinted: false };
+        }
+        return { tag: 'div', hinted: false };
+    }
+
+    // Scope the children of an element render in
+    function childScope(node, tag, scope, field) {
+        return {
+            parentTag: tag,
+            interactive: scope.interactive || INTERACTIVE_TAGS.includes(tag),
+            field,
+            background: node.type === 'TEXT' || !scope.background ? scope.background : paintFills(node, scope.background)
+        };
+    }
+
+    function checkContrast(node, parent, scope) {
+        const fills = (node.fills || []).filter(fill => fill.visible !== false);
+        const top = fills[fills.length - 1];
+        if (!top || top.type !== 'SOLID' || !top.color || !String(node.textContent || '').trim()) return;
+
+        const backdrop = getBackdrop(node, parent, scope.background);
+        if (!backdrop) return;
+        const text = blend(paintColor(top, node.opacity !== undefined ? node.opacity : 1), backdrop);
+        const ratio = contrastRatio(text, backdrop);
+        const required = isLargeText(node) ? 3 : 4.5;
+        if (ratio < required) {
+            warn(node, 'contrast', `Contrast ${ratio.toFixed(2)}:1 of ${toHex(text)} text on ${toHex(backdrop)} is below ${required}:1`);
+        }
+    }
+
+    return {
+        // Scope of the root's children before the root element is known
+        rootScope: { parentTag: null, interactive: false, field: null, background: WHITE },
+
+        // { tag, attributes ([{ name, value }]), styles (resets to spread under the layer's
+        // styles), listItems (children need <li>), scope (for the children) }
+        element(node, parent, scope) {
+            if (node.type === 'TEXT') checkContrast(node, parent, scope);
+
+            let { tag, hinted } = inferTag(node, scope);
+            // Interactive elements can't nest, and a button's text is no <label>
+            if (scope.interactive && !hinted && (INTERACTIVE_TAGS.includes(tag) || tag === 'label')) tag = 'div';
+            // List children are items
+            if ((scope.parentTag === 'ul' || scope.parentTag === 'ol') && tag === 'div') tag = 'li';
+
+            const hint = node.semantics || {};
+            const attributes = [];
+            let field = null;
+            if (tag === 'input' && node.type !== 'TEXT') {
+                // A field frame stays a box; its placeholder text becomes the input
+                field = { type: inputType(node.name), label: hint.label || labelFromName(node.name), claimed: false };
+                tag = 'div';
+            } else if (tag === 'input') {
+                const owner = scope.field && !scope.field.claimed ? scope.field : null;
+                if (owner) owner.claimed = true;
+                attributes.push(attribute('type', owner ? owner.type : inputType(node.name)));
+                attributes.push(attribute('aria-label', hint.label || (owner ? owner.label : labelFromName(node.name))));
+            } else if (tag === 'button' || tag === 'a') {
+                if (tag === 'button') attributes.push(attribute('type', 'button'));
+                if (tag === 'a') {
+                    attributes.push(attribute('href', hint.href || '#'));
+                    if (!hint.href) warn(node, 'link-destination', 'Link has no destination; set an "href" semantics hint');
+                }
+                if (hint.label) {
+                    attributes.push(attribute('aria-label', hint.label));
+                } else if (!hasText(node)) {
+                    attributes.push(attribute('aria-label', labelFromName(node.name)));
+                    warn(node, 'accessible-name', `${tag === 'a' ? 'Link' : 'Button'} has no text; its name "${labelFromName(node.name)}" comes from the layer name`);
+                }
+            } else if (hint.label) {
+                attributes.push(attribute('aria-label', hint.label));
+            }
+            if (hint.role) attributes.push(attribute('role', hint.role));
+
+            return {
+                tag,
+                attributes,
+                styles: RESET_STYLES[tag] || {},
+                listItems: tag === 'ul' || tag === 'ol',
+                scope: childScope(node, tag, scope, field)
+            };
+        },
+
+        // Attributes for artwork rendered as an <img> (`kind` 'img') or icon component:
+        // decorative SVGs are hidden from assistive technology, images need alt text
+        artwork(node, kind) {
+            const hint = node.semantics || {};
+            if (!enabled && !hint.alt) return kind === 'img' ? [attribute('alt', node.name)] : [];
+
+            const isVector = !node.image && node.svg;
+            let alt = hint.alt || null;
+            const decorative = hint.decorative || String(hint.tag || '').toLowerCase() === 'decorative';
+            if (!alt && !decorative) {
+                if (isVector) {
+                    if (MEANINGFUL_ARTWORK.test(node.name)) alt = labelFromName(node.name);
+                } else if (DEFAULT_LAYER_NAME.test(String(node.name).trim())) {
+                    warn(node, 'image-alt', 'Image has no alt text; set an "alt" semantics hint or name the layer after what it shows');
+                } else {
+                    alt = labelFromName(node.name);
+                }
+            }
+
+            if (kind === 'img') {
+                if (alt) return [attribute('alt', alt)];
+                return [attribute('alt', '')].concat(isVector ? [attribute('aria-hidden', 'true')] : []);
+            }
+            return alt ? [attribute('role', 'img'), attribute('aria-label', alt)] : [attribute('aria-hidden', 'true')];
+        },
+
+        report() {
+            return Array.from(warnings.values());
+        }
+    };
+}
+
+module.exports = {
+    createSemantics,
+    withResets
+};
@@ -0,0 +1,323 @@
+const path = require('path');
+const resolveConfig = require('tailwindcss/resolveConfig');
+const loadConfig = require('tailwindcss/loadConfig');
+const { cssPropertyName, cssValue } = require('./css');
+
+// Tailwind's rem-based scales assume the browser default root font size
+const ROOT_FONT_SIZE = 16;
+
+// Style values that map one-to-one onto a utility class
+const KEYWORD_CLASSES = {
+    position: { relative: 'relative', absolute: 'absolute', fixed: 'fixed', sticky: 'sticky' },
+    display: { flex: 'flex', block: 'block', 'inline-block': 'inline-block', inline: 'inline', none: 'hidden' },
+    flexDirection: { row: 'flex-row', column: 'flex-col', 'row-reverse': 'flex-row-reverse', 'column-reverse': 'flex-col-reverse' },
+    justifyContent: { 'flex-start': 'justify-start', center: 'justify-center', 'flex-end': 'justify-end', 'space-between': 'justify-between' },
+    alignItems: { 'flex-start': 'items-start', center: 'items-center', 'flex-end': 'items-end', baseline: 'items-baseline', stretch: 'items-stretch' },
+    flexWrap: { wrap: 'flex-wrap', nowrap: 'flex-nowrap' },
+    flexShrink: { 0: 'shrink-0', 1: 'shrink' },
+    flexGrow: { 0: 'grow-0', 1: 'grow' },
+    flexBasis: { 0: 'basis-0', auto: 'basis-auto' },
+    alignSelf: { auto: 'self-auto', 'flex-start': 'self-start', center: 'self-center', 'flex-end': 'self-end', stretch: 'self-stretch' },
+    boxSizing: { 'border-box': 'box-border', 'content-box': 'box-content' },
+    overflow: { hidden: 'overflow-hidden', visible: 'overflow-visible', auto: 'overflow-auto' },
+    textOverflow: { ellipsis: 'text-ellipsis', clip: 'text-clip' },
+    whiteSpace: { normal: 'whitespace-normal', nowrap: 'whitespace-nowrap', pre: 'whitespace-pre', 'pre-wrap': 'whitespace-pre-wrap' },
+    textAlign: { left: 'text-left', center: 'text-center', right: 'text-right', justify: 'text-justify', justified: 'text-justify' },
+    objectFit: { contain: 'object-contain', cover: 'object-cover', fill: 'object-fill' },
+    transformOrigin: { '0 0': 'origin-top-left', center: 'origin-center' },
+    margin: { '0 auto': 'mx-auto', 0: 'm-0' }
+};
+
+const BLEND_MODES = [
+    'normal', 'multiply', 'screen', 'overlay', 'darken', 'lighten', 'color-dodge', 'color-burn',
+    'hard-light', 'soft-light', 'difference', 'exclusion', 'hue', 'saturation', 'color', 'luminosity'
+];
+
+// Length properties and the theme scale their utilities read from
+const LENGTH_UTILITIES = {
+    width: { prefix: 'w', scale: 'width' },
+    height: { prefix: 'h', scale: 'height' },
+    minWidth: { prefix: 'min-w', scale: 'minWidth' },
+    maxWidth: { prefix: 'max-w', scale: 'maxWidth' },
+    minHeight: { prefix: 'min-h', scale: 'minHeight' },
+    maxHeight: { prefix: 'max-h', scale: 'maxHeight' },
+    left: { prefix: 'left', scale: 'inset' },
+    top: { prefix: 'top', scale: 'inset' },
+    right: { prefix: 'right', scale: 'inset' },
+    bottom: { prefix: 'bottom', scale: 'inset' },
+    gap: { prefix: 'gap', scale: 'gap' },
+    rowGap: { prefix: 'gap-y', scale: 'gap' },
+    columnGap: { prefix: 'gap-x', scale: 'gap' },
+    fontSize: { prefix: 'text', scale: 'fontSize' },
+    lineHeight: { prefix: 'leading', scale: 'lineHeight' },
+    letterSpacing: { prefix: 'tracking', scale: 'letterSpacing' }
+};
+
+const SPACING_SCALES = ['width', 'height', 'minWidth', 'maxWidth', 'minHeight', 'maxHeight', 'inset', 'gap', 'padding'];
+
+// Width/height keywords with a utility of their own (w-auto, h-fit, w-full)
+const SIZE_KEYWORDS = { auto: 'auto', 'fit-content': 'fit', '100%': 'full' };
+// Color keywords the default palette has utilities for (text-inherit, bg-transparent)
+const COLOR_KEYWORDS = { inherit: 'inherit', currentcolor: 'current', transparent: 'transparent' };
+
+// Convert a theme or style length ('0.25rem', '4px', '0') to pixels; null for anything else
+function toPixels(value) {
+    const match = /^(-?\d*\.?\d+)(px|rem)?$/.exec(String(value).trim());
+    if (!match) return null;
+    const number = parseFloat(match[1]);
+    // Unitless theme values (line-height: 1.25) are ratios, not lengths
+    if (!match[2] && number !== 0) return null;
+    return match[2] === 'rem' ? number * ROOT_FONT_SIZE : number;
+}
+
+// Parse rgb()/rgba()/hex colors into channels; null for keywords like currentColor
+function parseColor(value) {
+    const text = String(value).trim().toLowerCase();
+    const rgb = /^rgba?\(\s*(\d+)[\s,]+(\d+)[\s,]+(\d+)(?:\s*[,/]\s*([\d.]+))?\s*\)$/.exec(text);
+    if (rgb) {
+        return { r: +rgb[1], g: +rgb[2], b: +rgb[3], a: rgb[4] !== undefined ? +rgb[4] : 1 };
+    }
+    const hex = /^#([0-9a-f]{3}|[0-9a-f]{6})$/.exec(text);
+    if (hex) {
+        const digits = hex[1].length === 3 ? hex[1].replace(/./g, c => c + c) : hex[1];
+        return {
+            r: parseInt(digits.slice(0, 2), 16),
+            g: parseInt(digits.slice(2, 4), 16),
+            b: parseInt(digits.slice(4, 6), 16),
+            a: 1
+        };
+    }
+    return null;
+}
+
+function toHex({ r, g, b }) {
+    return `#${[r, g, b].map(channel => channel.toString(16).padStart(2, '0')).join('')}`;
+}
+
+// Utility name for a theme key; DEFAULT keys drop the suffix (rounded, not rounded-DEFAULT)
+function themeClass(prefix, key) {
+    return key === 'DEFAULT' ? prefix : `${prefix}-${key}`;
+}
+
+// Arbitrary values cannot contain spaces: Tailwind reads underscores as spaces
+function arbitrary(value) {
+    return String(value)
+        .replace(/,\s+/g, ',')
+        .replace(/_/g, '\\_')
+        .replace(/\s+/g, '_');
+}
+
+// Reverse a theme scale into pixels -> key; keys already in the lookup win
+function invertLengths(scale, lookup = new Map()) {
+    Object.entries(scale || {}).forEach(([key, value]) => {
+        const length = toPixels(Array.isArray(value) ? value[0] : value);
+        if (length !== null && !lookup.has(length)) lookup.set(length, key);
+    });
+    return lookup;
+}
+
+// Flatten nested palettes ({ slate: { 50: '#f8fafc' } }) into hex -> class suffix
+function invertColors(colors, prefix = '', lookup = new Map()) {
+    Object.entries(colors || {}).forEach(([key, value]) => {
+        const name = key === 'DEFAULT' ? prefix : (prefix ? `${prefix}-${key}` : key);
+        if (value && typeof value === 'object') {
+            invertColors(value, name, lookup);
+            return;
+        }
+        const color = parseColor(value);
+        if (color && color.a === 1 && !lookup.has(toHex(color))) lookup.set(toHex(color), name);
+    });
+    return lookup;
+}
+
+// Build the reverse lookups for a (possibly user-extended) Tailwind theme.
+// Values the project defines itself win over Tailwind defaults with the same value,
+// so a brand color equal to slate-900 still comes out as bg-brand.
+function createTailwindTheme(config = {}) {
+    const theme = resolveConfig({ content: [], ...config }).theme;
+    const own = { ...((config.theme && config.theme.extend) || {}), ...(config.theme || {}) };
+    delete own.extend;
+
+    const lengths = scale => {
+        const lookup = invertLengths(typeof own[scale] === 'object' ? own[scale] : {});
+        // Sizing, inset, gap and padding scales are built from spacing
+        if (SPACING_SCALES.includes(scale)) {
+            invertLengths(typeof own.spacing === 'object' ? own.spacing : {}, lookup);
+        }
+        return invertLengths(theme[scale], lookup);
+    };
+
+    const scales = {};
+    new Set(Object.values(LENGTH_UTILITIES).map(utility => utility.scale)).forEach(scale => {
+        scales[scale] = lengths(scale);
+    });
+
+    return {
+        scales,
+        padding: lengths('padding'),
+        borderRadius: lengths('borderRadius'),
+        colors: invertColors(theme.colors, '', invertColors(typeof own.colors === 'object' ? own.colors : {})),
+        fontWeight: new Map(Object.entries(theme.fontWeight || {}).map(([key, value]) => [String(value), key])),
+        opacity: new Map(Object.entries(theme.opacity || {}).map(([key, value]) => [parseFloat(value), key])),
+        rotate: new Map(Object.entries(theme.rotate || {}).map(([key, value]) => [String(value), key])),
+        fontFamily: new Map(Object.entries(theme.fontFamily || {}).map(([key, value]) => {
+            const first = Array.isArray(value) ? value[0] : String(value).split(',')[0];
+            return [String(first).replace(/['"]/g, '').trim().toLowerCase(), key];
+        })),
+        // Screens by their min-width in pixels, for breakpoint variants
+        screens: new Map(Object.entries(theme.screens || {})
+            .filter(([, value]) => typeof value === 'string' && toPixels(value) !== null)
+            .map(([key, value]) => [toPixels(value), key]))
+    };
+}
+
+// Read a project's Tailwind config fresh on every call so edits are picked up. Tailwind's
+// own loader handles CommonJS, ESM (`export default`) and TypeScript configs alike.
+function loadTailwindConfig(configPath) {
+    const resolved = path.resolve(configPath);
+    delete require.cache[resolved];
+    return loadConfig(resolved);
+}
+
+function lengthClass(prefix, value, scale) {
+    if ((prefix === 'w' || prefix === 'h') && SIZE_KEYWORDS[value]) return `${prefix}-${SIZE_KEYWORDS[value]}`;
+    const pixels = toPixels(value);
+    if (pixels !== null && scale && scale.has(pixels)) return themeClass(prefix, scale.get(pixels));
+    return `${prefix}-[${arbitrary(value)}]`;
+}
+
+function colorClass(prefix, value, theme) {
+    const keyword = COLOR_KEYWORDS[String(value).toLowerCase()];
+    if (keyword) return `${prefix}-${keyword}`;
+    const color = parseColor(value);
+    if (!color) return `${prefix}-[${arbitrary(value)}]`;
+
+    const name = theme.colors.get(toHex(color));
+    const base = name ? `${prefix}-${name}` : `${prefix}-[${toHex(color)}]`;
+    if (color.a >= 1) return base;
+
+    // Opacity modifier: theme steps are whole percentages, anything else goes arbitrary
+    const percent = Math.round(color.a * 1000) / 10;
+    return Number.isInteger(percent) ? `${base}/${percent}` : `${base}/[${color.a}]`;
+}
+
+// Expand a CSS box shorthand ('8px 16px') into [top, right, bottom, left]
+function expandBox(value) {
+    const parts = String(value).trim().split(/\s+/);
+    const [top, right = top, bottom = top, left = right] = parts;
+    return [top, right, bottom, left];
+}
+
+function paddingClasses(value, theme) {
+    const [top, right, bottom, left] = expandBox(value);
+    if (top === right && top === bottom && top === left) return [lengthClass('p', top, theme.padding)];
+    if (top === bottom && left === right) {
+        return [lengthClass('px', left, theme.padding), lengthClass('py', top, theme.padding)];
+    }
+    return [
+        lengthClass('pt', top, theme.padding),
+        lengthClass('pr', right, theme.padding),
+        lengthClass('pb', bottom, theme.padding),
+        lengthClass('pl', left, theme.padding)
+    ];
+}
+
+function borderRadiusClasses(value, theme) {
+    const [topLeft, topRight, bottomRight, bottomLeft] = expandBox(value);
+    if (topLeft === topRight && topLeft === bottomRight && topLeft === bottomLeft) {
+        return [lengthClass('rounded', topLeft, theme.borderRadius)];
+    }
+    return [
+        lengthClass('rounded-tl', topLeft, theme.borderRadius),
+        lengthClass('rounded-tr', topRight, theme.borderRadius),
+        lengthClass('rounded-br', bottomRight, theme.borderRadius),
+        lengthClass('rounded-bl', bottomLeft, theme.borderRadius)
+    ];
+}
+
+// Arbitrary property: the escape hatch for anything without a dedicated utility
+function arbitraryProperty(key, value) {
+    return `[${cssPropertyName(key)}:${arbitrary(cssValue(key, value))}]`;
+}
+
+function styleToClasses(key, value, theme) {
+    const keywords = KEYWORD_CLASSES[key];
+    if (keywords && keywords[value] !== undefined) return [keywords[value]];
+
+    const length = LENGTH_UTILITIES[key];
+    if (length) {
+        // Figma's AUTO line height is CSS `normal`; Tailwind's leading-normal is 1.5
+        if (key === 'lineHeight' && value === 'normal') return ['leading-[normal]'];
+        return [lengthClass(length.prefix, value, theme.scales[length.scale])];
+    }
+
+    switch (key) {
+        case 'padding':
+            return paddingClasses(value, theme);
+        case 'borderRadius':
+            return borderRadiusClasses(value, theme);
+        case 'color':
+            return [colorClass('text', value, theme)];
+        case 'backgroundColor':
+            return [colorClass('bg', value, theme)];
+        case 'fontWeight': {
+            const name = theme.fontWeight.get(String(value));
+            return [name ? `font-${name}` : `font-[${value}]`];
+        }
+        case 'fontFamily': {
+            const family = String(value).split(',')[0].replace(/['"]/g, '').trim();
+            const name = theme.fontFamily.get(family.toLowerCase());
+            if (name) return [`font-${name}`];
+            // Keep a fallback stack whole: the family quoted, the rest as CSS writes it
+            return String(value).includes(',')
+                ? [`font-[${arbitrary(cssValue('fontFamily', value).replace(/^[^,]*/, `'${family}'`))}]`]
+                : [`font-['${arbitrary(family)}']`];
+        }
+        case 'opacity': {
+            const name = theme.opacity.get(parseFloat(value));
+            return [name !== undefined ? `opacity-${name}` : `opacity-[${value}]`];
+        }
+        case 'boxShadow':
+            return [`shadow-[${arbitrary(value)}]`];
+        case 'mixBlendMode':
+            if (BLEND_MODES.includes(value)) return [`mix-blend-${value}`];
+            break;
+        case 'transform': {
+            const rotation = /^rotate\((-?[\d.]+deg)\)$/.exec(String(value));
+            if (rotation) {
+                const name = theme.rotate.get(rotation[1]);
+                return [name !== undefined ? `rotate-${name}` : `rotate-[${rotation[1]}]`];
+            }
+            break;
+        }
+        default:
+            break;
+    }
+
+    return [arbitraryProperty(key, value)];
+}
+
+// Map a computed React style object onto Tailwind utility classes
+function stylesToTailwindClasses(styles, theme) {
+    const classes = [];
+    Object.entries(styles).forEach(([key, value]) => {
+        styleToClasses(key, value, theme).forEach(className => {
+            if (!classes.includes(className)) classes.push(className);
+        });
+    });
+    return classes;
+}
+
+// Variant prefix for styles that apply from `minWidth` up: the theme screen starting
+// there (md:) or an arbitrary min-width variant (min-[900px]:)
+function breakpointVariant(minWidth, theme) {
+    const screen = theme.screens && theme.screens.get(minWidth);
+    return screen ? `${screen}:` : `min-[${minWidth}px]:`;
+}
+
+module.exports = {
+    createTailwindTheme,
+    loadTailwindConfig,
+    stylesToTailwindClasses,
+    breakpointVariant
+};
@@ -0,0 +1,28 @@
+// Target Helpers - what every target does the same way with a neutral component
+
+// The component's stylesheets: `css` (its @font-face rules, plus its classes unless
+// they are CSS Modules) for Foo.css, and `moduleCss` in 'css-modules' mode. Inline
+// styles only leave classes behind for breakpoint overrides.
+function stylesheetContents(component) {
+    if (component.styles === 'css-modules') {
+        return { css: component.fontCSS, moduleCss: component.stylesheet + '\n' };
+    }
+    if (component.styles === 'css' || component.stylesheet) {
+        return { css: [component.fontCSS, component.stylesheet].filter(Boolean).join('\n\n') + '\n' };
+    }
+    return { css: component.fontCSS };
+}
+
+// Short description of a prop for doc comments: what a boolean shows, what a slot replaces
+function describeProp(prop) {
+    const property = String(prop.key).replace(/#[^#]*$/, '');
+    if (prop.type === 'BOOLEAN') return `Shows the layers bound to "${property}"`;
+    if (prop.type === 'INSTANCE_SWAP') return `Replaces the default "${property}" instance`;
+    if (prop.type === 'IMAGE') return `Image URL, defaults to the design's image`;
+    return '';
+}
+
+module.exports = {
+    stylesheetContents,
+    describeProp
+};
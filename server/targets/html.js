@@ -0,0 +1,187 @@
+const path = require('path');
+const { escapeText, escapeAttribute, styleDeclarations, indentLines, createTemplatePrinter } = require('./markup');
+const { stylesheetContents } = require('./common');
+
+// Static HTML Target - every component as a standalone page (Name.html next to its
+// Name.css) showing the design as it is: props take their Figma defaults, component
+// sets show their default variant, and instances of other generated components are
+// written out in place, their stylesheets linked from the page. There is no script,
+// so there are no props, slots or icon components to wire up.
+// Tailwind is not offered: a page has no build step to compile its classes.
+
+// An image or stylesheet path relative to the page; `base` is the page's directory
+// relative to the components directory ('.' for component pages)
+function resolvePath(base, relativePath) {
+    return path.posix.normalize(path.posix.join(base, relativePath));
+}
+
+// The app's public/ folder relative to the components directory
+function publicPath(context) {
+    const { componentDir, imagesDir } = context.options.project;
+    return path.relative(componentDir, path.dirname(imagesDir)).split(path.sep).join('/');
+}
+
+// Image fills and fonts are written to public/ and referenced from the site root
+// (url(/images/...)); pages point at them relative to themselves instead, so they
+// work opened from disk. `publicUrl` is public/ relative to where the styles apply.
+function relativeUrls(css, publicUrl) {
+    return css.replace(/url\((['"]?)\/(?!\/)/g, (match, quote) => `url(${quote}${publicUrl}/`);
+}
+
+// Prop values a component renders with: its defaults, then what a usage passes
+function propValues(component, passed = []) {
+    const values = {};
+    component.props.forEach(prop => {
+        if (prop.type === 'IMAGE') values[prop.name] = prop.defaultSource;
+        else if (prop.type !== 'INSTANCE_SWAP') values[prop.name] = prop.defaultValue === undefined ? '' : prop.defaultValue;
+    });
+    passed.forEach(({ name, value }) => {
+        values[name] = value;
+    });
+    return values;
+}
+
+// The root the values select: the first variant they match, else the default one
+function selectRoot(component, values) {
+    const variant = component.variants.find(({ when }) => when.every(({ prop, value }) => values[prop] === value));
+    return variant ? variant.root : component.root;
+}
+
+// A component root taking the placement style of the usage that renders it:
+// classes add up, inline declarations of the usage come last so they win
+function withPlacement(root, placement) {
+    if (!placement) return root;
+    const own = root.style || {};
+    const classNames = [own.className, placement.className].filter(Boolean);
+    const inline = own.inline || placement.inline ? { ...own.inline, ...placement.inline } : undefined;
+    return {
+        ...root,
+        style: {
+            ...(classNames.length > 0 ? { className: classNames.join(' ') } : {}),
+            ...(inline ? { inline } : {})
+        }
+    };
+}
+
+// Markup of one component rendered with `values`. `page` collects the components
+// written out in place and whether any of them uses the design tokens.
+function renderMarkup(component, values, page, base) {
+    const inlinePublicPath = resolvePath(base, page.publicPath);
+    const sources = new Map(component.assets.map(asset => [asset.identifier, asset.path]));
+    const sourceUrl = source => (source.asset ? resolvePath(base, sources.get(source.asset)) : source.url);
+
+    const printer = createTemplatePrinter({
+        text: escapeText,
+
+        prop(name) {
+            return escapeText(values[name]);
+        },
+
+        attribute(name, value) {
+            if (value === true) return name;
+            if (value && value.prop) return `${name}="${escapeAttribute(values[value.prop])}"`;
+            return `${name}="${escapeAttribute(value)}"`;
+        },
+
+        style(style) {
+            if (!style) return [];
+            const attributes = [];
+            if (style.className) attributes.push(`class="${style.className}"`);
+            if (style.inline) attributes.push(`style="${escapeAttribute(relativeUrls(styleDeclarations(style.inline), inlinePublicPath))}"`);
+            return attributes;
+        },
+
+        image(node, attributes) {
+            const source = node.srcProp ? values[node.srcProp] : node.src;
+            // The density variants only apply to the design's image
+            const srcSet = node.srcSet && source === node.src
+                ? ` srcset="${node.srcSet.map(({ src, scale }) => `${escapeAttribute(sourceUrl(src))} ${scale}x`).join(', ')}"`
+                : '';
+            return `<img src="${escapeAttribute(sourceUrl(source))}"${srcSet}${attributes} />`;
+        },
+
+        icon(node) {
+            throw new Error(`The html target has no icon components (${node.name})`);
+        },
+
+        component(node) {
+            const used = page.components.get(node.name);
+            // A component can't contain itself; leave a marker instead of recursing
+            if (!used || page.rendering.includes(node.name)) return `<!-- ${node.name} -->`;
+            page.used.add(node.name);
+            if (used.usesTokens) page.usesTokens = true;
+            page.rendering.push(node.name);
+            const usedValues = propValues(used, node.props);
+            const markup = renderMarkup(used, usedValues, page, base)(withPlacement(selectRoot(used, usedValues), node.style));
+            page.rendering.pop();
+            return markup;
+        },
+
+        conditional(prop, printed) {
+            return values[prop] ? printed : '';
+        },
+
+        slot(prop, fallback) {
+            return values[prop] ? printer.print(values[prop]) : fallback;
+        }
+    });
+    return printer.print;
+}
+
+// A full page around the markup of some components, linking every stylesheet they use
+function renderPage(title, names, context, base) {
+    const page = { components: context.components, publicPath: publicPath(context), used: new Set(), rendering: [], usesTokens: false };
+    const body = names.map(name => {
+        const component = context.components.get(name);
+        const values = propValues(component);
+        page.used.add(name);
+        if (component.usesTokens) page.usesTokens = true;
+        page.rendering.push(name);
+        const markup = renderMarkup(component, values, page, base)(selectRoot(component, values));
+        page.rendering.pop();
+        return markup;
+    });
+
+    const stylesheets = (page.usesTokens ? [resolvePath(base, '../tokens.css')] : [])
+        .concat(Array.from(page.used).map(name => resolvePath(base, `${name}.css`)));
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="utf-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1">
+    <title>${escapeText(title)}</title>
+${stylesheets.map(href => `    <link rel="stylesheet" href="${escapeAttribute(href)}">`).join('\n')}
+</head>
+<body>
+${indentLines(body.join('\n'), '    ')}
+</body>
+</html>
+`;
+}
+
+// Stylesheets sit next to their page, in the components directory
+function renderComponent(component, context) {
+    const stylesheets = stylesheetContents(component);
+    return {
+        code: renderPage(component.name, [component.name], context, '.'),
+        ...stylesheets,
+        css: stylesheets.css && relativeUrls(stylesheets.css, publicPath(context))
+    };
+}
+
+// The app page (src/index.html) shows every component of the run, one after another
+function renderApp(componentNames, context) {
+    return renderPage('Components', componentNames, context, context.componentPath);
+}
+
+module.exports = {
+    supports: {
+        styles: ['inline', 'css'],
+        language: ['javascript']
+    },
+    defaults: { componentLayout: 'single' },
+    extension: () => 'html',
+    renderComponent,
+    barrel: false,
+    app: { files: ['index.html'], render: renderApp }
+};
@@ -0,0 +1,69 @@
+const path = require('path');
+
+// Targets - the emitters that write a built component out for one framework. The
+// generator turns every top-level node into a framework-neutral component (its element
+// tree, props, variants and stylesheet, see buildComponent in index.js) and hands it to
+// the target the request names. A target is an object with:
+//
+//   extension(options)                     file extension of components ('jsx', 'vue', ...)
+//   renderComponent(component, context)    -> { code, css, moduleCss? }
+//
+// and optionally:
+//
+//   supports            allowed values per option, e.g. { styles: ['inline', 'css'] };
+//                       anything not listed is rejected with a 400
+//   defaults            option defaults of the target, e.g. { componentLayout: 'single' }
+//   importPath(base)    how components import each other (default './<base>')
+//   renderWrapper(component, context)      the createOnly file of componentLayout 'split'
+//   renderIcon({ name, markup, color }, context)   icon components of icons 'component'
+//   barrel              false when the target has no index file of components
+//   app                 { files, render(componentNames, context) }: the app file
+//                       (candidate paths relative to src/) that updateApp rewrites
+//   envDeclarations     TypeScript module declarations the components need
+//
+// `context` is { options, components, componentPath }: the run's options, every built
+// component of the run by name, and the components directory relative to src/.
+const TARGETS = {};
+
+// Make another target available by name (e.g. an in-house design system emitter)
+function registerTarget(name, target) {
+    if (!target || typeof target.extension !== 'function' || typeof target.renderComponent !== 'function') {
+        throw new Error(`Target "${name}" needs extension() and renderComponent()`);
+    }
+    TARGETS[name] = target;
+}
+
+function getTarget(name) {
+    if (!TARGETS[name]) {
+        throw new Error(`Unknown target "${name}"; available: ${Object.keys(TARGETS).join(', ')}`);
+    }
+    return TARGETS[name];
+}
+
+function getTargetNames() {
+    return Object.keys(TARGETS);
+}
+
+// Load target modules by path or package name (relative paths resolve against `baseDir`).
+// A module either calls registerTarget itself or exports a target with a `name`.
+function loadTargetModules(specifiers, baseDir = process.cwd()) {
+    specifiers.filter(Boolean).forEach(specifier => {
+        const resolved = /^\.{1,2}[\\/]/.test(specifier) ? path.resolve(baseDir, specifier) : specifier;
+        const exported = require(require.resolve(resolved, { paths: [baseDir] }));
+        if (exported && typeof exported.name === 'string' && exported.renderComponent) {
+            registerTarget(exported.name, exported);
+        }
+    });
+}
+
+registerTarget('react', require('./react'));
+registerTarget('vue', require('./vue'));
+registerTarget('svelte', require('./svelte'));
+registerTarget('html', require('./html'));
+
+module.exports = {
+    registerTarget,
+    getTarget,
+    getTargetNames,
+    loadTargetModules
+};
@@ -0,0 +1,127 @@
+const { cssPropertyName, cssValue } = require('../css');
+
+// Markup Helpers - HTML-style templates shared by the Vue, Svelte and static HTML targets
+
+const VOID_TAGS = ['br', 'img', 'input'];
+
+// Text between tags; targets with {{ }} or { } interpolation escape their braces on top
+function escapeText(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function escapeAttribute(value) {
+    return String(value).replace(/&/g, '&amp;').replace(/"/g, '&quot;');
+}
+
+// Style object -> 'position: relative; width: 120px' for a style="" attribute
+function styleDeclarations(styles) {
+    return Object.entries(styles)
+        .map(([key, value]) => `${cssPropertyName(key)}: ${cssValue(key, value)}`)
+        .join('; ');
+}
+
+// Whitespace HTML would collapse (leading, trailing or repeated); such text needs a
+// string expression to survive as designed
+function hasSignificantWhitespace(text) {
+    return /^\s|\s$|\s\s|[\t\n]/.test(text);
+}
+
+function indentLines(text, indent) {
+    return text.split('\n').map(line => (line ? indent + line : line)).join('\n');
+}
+
+// Icon markup with the <svg> size taken out, so the icon can size itself: returns the
+// design's width and height and `open(before, after)`, the markup with attributes added
+// around the <svg> tag's own. The <svg> tags sit at `indent`, their content one level deeper.
+function splitSvgSize(markup, indent = '') {
+    let width = 24;
+    let height = 24;
+    const lines = markup.split('\n').map(line => line.trimEnd()).filter(Boolean);
+    const body = lines
+        .map((line, i) => (i === 0 || i === lines.length - 1 ? `${indent}${line.trim()}` : `${indent}    ${line}`))
+        .join('\n')
+        .replace(/<svg\b([^>]*)>/, (tag, attributes) => `<svg${attributes.replace(/\s(width|height)="([^"]*)"/g, (attribute, name, value) => {
+            if (name === 'width') width = parseFloat(value) || width;
+            else height = parseFloat(value) || height;
+            return '';
+        })}>`);
+    return {
+        width,
+        height,
+        open: (before, after = '') => body.replace(/<svg\b([^>]*)>/, (tag, attributes) => `<svg ${before}${attributes}${after}>`)
+    };
+}
+
+// Template printer for an element tree. The target decides how the dynamic parts are
+// written through `syntax`:
+//   text(text)            an escaped text node
+//   prop(name)            a text prop's value
+//   attribute(name, value)        one attribute (value: string, true or { prop })
+//   style(style)                  the class/style attributes of a style descriptor (an array)
+//   image(node, attributes), icon(node, attributes)   artwork, given its printed attributes
+//   component(node, print, styleAttributes)          a usage of another component
+//   conditional(prop, printed, node)  a node shown while a boolean prop is on
+//   slot(prop, printedFallback)   an instance-swap prop's content
+// Elements print one per line; inline elements (text content) keep to one line so no
+// whitespace is added inside the text.
+function createTemplatePrinter(syntax) {
+    function attributes(list, style) {
+        const printed = list.map(({ name, value }) => syntax.attribute(name, value)).concat(syntax.style(style));
+        return printed.filter(Boolean).map(attribute => ` ${attribute}`).join('');
+    }
+
+    function inline(node) {
+        switch (node.kind) {
+            case 'text':
+                return syntax.text(node.text);
+            case 'prop':
+                return syntax.prop(node.name);
+            case 'element': {
+                const open = `<${node.tag}${attributes(node.attributes, node.style)}`;
+                if (VOID_TAGS.includes(node.tag)) return `${open} />`;
+                return `${open}>${node.children.map(inline).join('')}</${node.tag}>`;
+            }
+            default:
+                return print(node);
+        }
+    }
+
+    function print(node) {
+        switch (node.kind) {
+            case 'text':
+            case 'prop':
+                return inline(node);
+            case 'if':
+                return syntax.conditional(node.prop, print(node.node), node.node);
+            case 'slot':
+                return syntax.slot(node.prop, node.fallback ? print(node.fallback) : '');
+            case 'component':
+                return syntax.component(node, print, attributes([], node.style));
+            case 'icon':
+                return syntax.icon(node, attributes(node.attributes, node.style));
+            case 'image':
+                return syntax.image(node, attributes(node.attributes, node.style));
+            default: {
+                if (node.inline || VOID_TAGS.includes(node.tag)) return inline(node);
+                const open = `<${node.tag}${attributes(node.attributes, node.style)}>`;
+                // Children can print as nothing (a static page leaving out a hidden layer)
+                const children = node.children.map(print).filter(Boolean).map(child => indentLines(child, '    ')).join('\n');
+                if (!children) return `${open}</${node.tag}>`;
+                return `${open}\n${children}\n</${node.tag}>`;
+            }
+        }
+    }
+
+    return { print, attributes };
+}
+
+module.exports = {
+    VOID_TAGS,
+    escapeText,
+    escapeAttribute,
+    styleDeclarations,
+    hasSignificantWhitespace,
+    indentLines,
+    splitSvgSize,
+    createTemplatePrinter
+};
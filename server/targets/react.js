@@ -0,0 +1,399 @@
+const { jsString, whenExpression } = require('../componentProps');
+const { DEFAULT_JSX_SETTINGS, reactImportLines, ENV_DECLARATIONS } = require('../typescript');
+const { stylesheetContents, describeProp } = require('./common');
+const { indentLines } = require('./markup');
+
+// React Target - function components in .jsx/.tsx: styles as style={{}} objects or
+// className, props destructured with Figma's defaults (typed by a JSDoc block or an
+// exported <Name>Props interface), slots as React nodes and the icons as SVGR-style
+// components
+
+const VOID_TAGS = ['br', 'img', 'input'];
+
+// Helper to escape text content for JSX
+// Wraps text in JSX expression to safely handle special characters
+// Since we use single quotes in JSX expression {'text'}, we only need to escape single quotes and backslashes
+function escapeJSXText(text) {
+    if (!text) return '';
+    // Convert to string and escape only necessary characters for JSX expression with single quotes
+    return String(text)
+        .replace(/\\/g, '\\\\')  // Escape backslashes first
+        .replace(/'/g, "\\'")     // Escape single quotes (since we use single quotes in JSX)
+        .replace(/\n/g, '\\n')     // Escape newlines
+        .replace(/\r/g, '\\r')    // Escape carriage returns
+        .replace(/\t/g, '\\t');    // Escape tabs
+    // Note: Double quotes don't need escaping when using single quotes in JSX expression
+}
+
+// Helper to convert style object to React style string
+function styleObjectToString(styles) {
+    return Object.entries(styles)
+        .map(([k, v]) => {
+            if (typeof v === 'string') {
+                // For fontFamily, aggressively remove ALL quotes (React handles font names with spaces automatically)
+                if (k === 'fontFamily') {
+                    // Remove all single and double quotes from the entire fontFamily string
+                    // Split by comma, trim each part, remove quotes, then rejoin
+                    const cleaned = v
+                        .split(',')
+                        .map(font => font.trim().replace(/^['"]+|['"]+$/g, ''))
+                        .join(', ');
+                    // Escape any remaining single quotes (shouldn't be any after cleaning)
+                    const escaped = cleaned.replace(/'/g, "\\'");
+                    return `${k}: '${escaped}'`;
+                } else {
+                    // Escape single quotes in the string value
+                    const escaped = v.replace(/'/g, "\\'");
+                    return `${k}: '${escaped}'`;
+                }
+            } else {
+                // For numbers, booleans, etc., don't quote
+                return `${k}: ${v}`;
+            }
+        })
+        .join(', ');
+}
+
+// JSX attribute for a string value, as name="..." when no escaping is needed
+function jsxStringAttribute(name, value) {
+    const text = String(value);
+    return /^[^"{}<>\\\n]*$/.test(text) ? `${name}="${text}"` : `${name}={${jsString(text)}}`;
+}
+
+// Element markup as a JS expression, for wrapping in conditionals
+function toJSXExpression(element) {
+    return /^\{[\s\S]*\}$/.test(element) ? `(${element.slice(1, -1)})` : `(${element})`;
+}
+
+// An image source: the imported asset's identifier or a URL string
+function sourceExpression(source) {
+    return source.asset || jsString(source.url);
+}
+
+// Destructured parameter list with Figma's defaults
+function propsSignature(props) {
+    const params = props.map(prop => {
+        if (prop.type === 'INSTANCE_SWAP') return prop.name;
+        if (prop.type === 'IMAGE') return `${prop.name} = ${sourceExpression(prop.defaultSource)}`;
+        if (prop.type === 'BOOLEAN') return `${prop.name} = ${prop.defaultValue ? 'true' : 'false'}`;
+        return `${prop.name} = ${jsString(prop.defaultValue === undefined ? '' : prop.defaultValue)}`;
+    });
+    return `{ ${params.concat('className', 'style').join(', ')} }`;
+}
+
+// JSDoc block typing each prop, so editors can autocomplete variant values
+function propsDocComment(props) {
+    if (props.length === 0) return '';
+    const lines = props.map(prop => {
+        if (prop.type === 'VARIANT') {
+            const type = (prop.options || [prop.defaultValue]).map(jsString).join(' | ');
+            return ` * @param {${type}} [props.${prop.name}=${jsString(prop.defaultValue)}]`;
+        }
+        if (prop.type === 'BOOLEAN') return ` * @param {boolean} [props.${prop.name}=${prop.defaultValue ? 'true' : 'false'}] ${describeProp(prop)}`;
+        if (prop.type === 'TEXT') return ` * @param {string} [props.${prop.name}=${jsString(prop.defaultValue)}]`;
+        if (prop.type === 'IMAGE') return ` * @param {string} [props.${prop.name}] ${describeProp(prop)}`;
+        return ` * @param {React.ReactNode} [props.${prop.name}] ${describeProp(prop)}`;
+    });
+    return ['/**', ' * @param {object} props', ...lines, ' */'].join('\n');
+}
+
+// TypeScript type of a prop
+function propTypeScript(prop) {
+    if (prop.type === 'VARIANT') return (prop.options || [prop.defaultValue]).map(jsString).join(' | ');
+    if (prop.type === 'BOOLEAN') return 'boolean';
+    if (prop.type === 'INSTANCE_SWAP') return 'ReactNode';
+    return 'string';
+}
+
+// Exported `<Name>Props` interface; every prop is optional because each has a default
+function propsInterface(componentName, props) {
+    const fields = props.map(prop => {
+        const comment = describeProp(prop) ? `    /** ${describeProp(prop)} */\n` : '';
+        return `${comment}    ${prop.name}?: ${propTypeScript(prop)};`;
+    });
+    fields.push('    className?: string;', '    style?: CSSProperties;');
+    return `export interface ${componentName}Props {\n${fields.join('\n')}\n}`;
+}
+
+// JSX for the element tree of one component; `mode` is its style mode
+function createPrinter(mode) {
+    // className/style attributes for a style; passthrough roots also apply the
+    // component's own className/style props, with caller styles last so they win
+    function styleAttribute(style) {
+        if (!style) return '';
+        const { className, inline, passthrough } = style;
+        if (inline) {
+            return passthrough
+                ? `className={className} style={{${styleObjectToString(inline)}, ...style}}`
+                : `style={{${styleObjectToString(inline)}}}`;
+        }
+        if (className === undefined) return 'className={className} style={style}';
+        if (mode === 'tailwind') {
+            return passthrough
+                ? `className={[${JSON.stringify(className)}, className].filter(Boolean).join(' ')} style={style}`
+                : `className="${className}"`;
+        }
+        if (passthrough) {
+            const reference = mode === 'css-modules' ? `styles.${className}` : `'${className}'`;
+            return `className={[${reference}, className].filter(Boolean).join(' ')} style={style}`;
+        }
+        return mode === 'css-modules' ? `className={styles.${className}}` : `className="${className}"`;
+    }
+
+    function attributes(list, style) {
+        const printed = list.map(({ name, value }) => {
+            if (value === true) return name;
+            if (value && value.prop) return `${name}={${value.prop}}`;
+            return jsxStringAttribute(name, value);
+        });
+        const styleAttr = styleAttribute(style);
+        return printed.concat(styleAttr ? [styleAttr] : []).map(attribute => ` ${attribute}`).join('');
+    }
+
+    function propAttribute({ name, value }) {
+        if (value === true) return name;
+        if (value === false) return `${name}={false}`;
+        if (typeof value === 'object') return `${name}={${print(value)}}`;
+        return jsxStringAttribute(name, value);
+    }
+
+    function print(node) {
+        switch (node.kind) {
+            case 'text':
+                return `{'${escapeJSXText(node.text)}'}`;
+            case 'prop':
+                return `{${node.name}}`;
+            case 'if':
+                return `{${node.prop} && ${toJSXExpression(print(node.node))}}`;
+            case 'slot':
+                return `{${node.prop} !== undefined ? ${node.prop} : ${toJSXExpression(print(node.fallback))}}`;
+            case 'component': {
+                const props = node.props.map(prop => ` ${propAttribute(prop)}`).join('');
+                return `<${node.name}${props}${attributes([], node.style)} />`;
+            }
+            case 'icon':
+                return `<${node.name}${attributes(node.attributes, node.style)} />`;
+            case 'image': {
+                const src = node.srcProp || sourceExpression(node.src);
+                let srcSet = '';
+                if (node.srcSet) {
+                    const candidates = `\`${node.srcSet.map(({ src: candidate, scale }) => `\${${sourceExpression(candidate)}} ${scale}x`).join(', ')}\``;
+                    // The density variants only apply to the design's image
+                    srcSet = node.srcProp
+                        ? ` srcSet={${node.srcProp} === ${sourceExpression(node.src)} ? ${candidates} : undefined}`
+                        : ` srcSet={${candidates}}`;
+                }
+                return `<img src={${src}}${srcSet}${attributes(node.attributes, node.style)} />`;
+            }
+            default: {
+                const open = `<${node.tag}${attributes(node.attributes, node.style)}`;
+                if (VOID_TAGS.includes(node.tag)) return `${open} />`;
+                // Inline elements (text content) keep to one line so no whitespace is added
+                // inside the text; others print a child per line, one level deeper
+                if (node.inline) return `${open}>${node.children.map(print).join('')}</${node.tag}>`;
+                const children = node.children.map(child => indentLines(print(child), '    ')).join('\n');
+                if (!children) return `${open}></${node.tag}>`;
+                return `${open}>\n${children}\n</${node.tag}>`;
+            }
+        }
+    }
+
+    return {
+        print,
+
+        // A component root placed after `indent`: its lines after the first are indented to match
+        root(node, indent) {
+            return indentLines(print(node), indent).slice(indent.length);
+        }
+    };
+}
+
+// Every variant but the default one returns early when its variant props match
+function renderComponent(component, { options }) {
+    const { name, props } = component;
+    const typescript = options.language === 'typescript';
+    const printer = createPrinter(component.styles);
+
+    const variantBranches = component.variants.map(({ when, root }) => `    if (${whenExpression(when)}) {
+        return (
+            ${printer.root(root, '            ')}
+        );
+    }
+`);
+    const defaultElement = printer.root(component.root, '        ');
+
+    const reactTypes = typescript
+        ? ['CSSProperties'].concat(props.some(prop => prop.type === 'INSTANCE_SWAP') ? ['ReactNode'] : [])
+        : [];
+    const imports = reactImportLines(options.jsx || DEFAULT_JSX_SETTINGS, reactTypes);
+    if (component.usesTokens) {
+        imports.push(`import '../tokens.css';`);
+    }
+    imports.push(`import './${name}.css';`);
+    if (component.styles === 'css-modules') {
+        imports.push(`import styles from './${name}.module.css';`);
+    }
+    component.assets.forEach(asset => {
+        imports.push(`import ${asset.identifier} from '${asset.icon ? `./icons/${asset.icon}` : asset.path}';`);
+    });
+    component.components.forEach(used => imports.push(`import ${used} from './${used}';`));
+
+    let declarations = '';
+    let signature = '';
+    if (typescript) {
+        declarations = `${propsInterface(name, props)}\n\n`;
+        signature = `${propsSignature(props)}: ${name}Props`;
+    } else if (component.takesProps) {
+        const docComment = propsDocComment(props);
+        declarations = docComment ? `${docComment}\n` : '';
+        signature = propsSignature(props);
+    }
+    const code = `${imports.join('\n')}
+
+${declarations}const ${name} = (${signature}) => {
+${variantBranches.join('\n')}${variantBranches.length > 0 ? '\n' : ''}    return (
+        ${defaultElement}
+    );
+};
+
+export default ${name};
+`;
+
+    return { code, ...stylesheetContents(component) };
+}
+
+// User extension point for split layout: written once, then left to developers
+function renderWrapper(component, { options }) {
+    const { name } = component;
+    const imports = reactImportLines(options.jsx || DEFAULT_JSX_SETTINGS);
+    imports.push(`import ${name}Generated from './${name}.generated';`);
+
+    if (options.language === 'typescript') {
+        imports.push(`import type { ${name}Props } from './${name}.generated';`);
+        return `${imports.join('\n')}
+
+export type { ${name}Props };
+
+// Add hooks, handlers and logic here. The generator creates this file once and
+// never overwrites it; design changes land in ${name}.generated.tsx.
+const ${name} = (props: ${name}Props) => {
+    return <${name}Generated {...props} />;
+};
+
+export default ${name};
+`;
+    }
+
+    return `${imports.join('\n')}
+
+// Add hooks, handlers and logic here. The generator creates this file once and
+// never overwrites it; design changes land in ${name}.generated.jsx.
+const ${name} = (props) => {
+    return <${name}Generated {...props} />;
+};
+
+export default ${name};
+`;
+}
+
+// SVG attribute -> React prop ('fill-rule' -> 'fillRule', 'xlink:href' -> 'xlinkHref')
+function svgAttributeToProp(name) {
+    if (name === 'class') return 'className';
+    if (/^(data|aria)-/.test(name)) return name;
+    return name.replace(/[-:]([a-z])/g, (_, letter) => letter.toUpperCase());
+}
+
+// 'fill:red;stroke-width:2' -> "{{fill: 'red', strokeWidth: '2'}}"
+function styleAttributeToJSX(style) {
+    const entries = style
+        .split(';')
+        .map(declaration => declaration.split(':'))
+        .filter(([property, value]) => property && property.trim() && value !== undefined)
+        .map(([property, ...value]) => {
+            const key = property.trim().replace(/-([a-z])/g, (_, letter) => letter.toUpperCase());
+            return `${key}: '${value.join(':').trim().replace(/'/g, "\\'")}'`;
+        });
+    return `{{${entries.join(', ')}}}`;
+}
+
+// SVGR-style icon component: `size` sets both dimensions and every other prop lands
+// on the <svg>
+function renderIcon({ name, markup }, { options }) {
+    const typescript = options.language === 'typescript';
+    let width = 24;
+    let height = 24;
+    const jsxMarkup = markup.replace(/<([a-zA-Z][\w:-]*)((?:\s+[^\s=>/]+(?:\s*=\s*(?:"[^"]*"|'[^']*'))?)*)\s*(\/?)>/g, (tag, tagName, attributes, selfClosing) => {
+        const props = [];
+        const attributeRegex = /([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+        let match;
+        while ((match = attributeRegex.exec(attributes)) !== null) {
+            const attribute = match[1];
+            const value = match[2] !== undefined ? match[2] : match[3];
+            if (tagName === 'svg' && (attribute === 'width' || attribute === 'height')) {
+                if (attribute === 'width') width = parseFloat(value) || width;
+                else height = parseFloat(value) || height;
+                continue;
+            }
+            if (attribute === 'style') {
+                props.push(`style=${styleAttributeToJSX(value)}`);
+            } else {
+                props.push(`${svgAttributeToProp(attribute)}="${value}"`);
+            }
+        }
+        if (tagName === 'svg') {
+            props.unshift(`width={size || ${width}}`, `height={size || ${height}}`);
+            props.push('{...props}');
+        }
+        return `<${tagName}${props.length > 0 ? ' ' + props.join(' ') : ''}${selfClosing ? ' />' : '>'}`;
+    });
+
+    // The <svg> tags sit at the arrow body's indent, their content one level deeper
+    const lines = jsxMarkup.split('\n').map(line => line.trimEnd()).filter(Boolean);
+    const body = lines
+        .map((line, i) => (i === 0 || i === lines.length - 1 ? `    ${line.trim()}` : `        ${line}`))
+        .join('\n');
+
+    const imports = reactImportLines(options.jsx || DEFAULT_JSX_SETTINGS, typescript ? ['SVGProps'] : []).join('\n');
+    if (typescript) {
+        return `${imports}
+
+export type ${name}Props = SVGProps<SVGSVGElement> & { size?: number | string };
+
+const ${name} = ({ size, ...props }: ${name}Props) => (
+${body}
+);
+
+export default ${name};
+`;
+    }
+    return `${imports}${imports ? '\n\n' : ''}const ${name} = ({ size, ...props }) => (
+${body}
+);
+
+export default ${name};
+`;
+}
+
+function renderApp(componentNames, { options }) {
+    return `${reactImportLines(options.jsx || DEFAULT_JSX_SETTINGS).concat(`import { ${componentNames.join(', ')} } from './components';`).join('\n')}
+
+function App() {
+  return (
+    <div className="App">
+${componentNames.map(name => `      <${name} />`).join('\n')}
+    </div>
+  );
+}
+
+export default App;`;
+}
+
+module.exports = {
+    extension: options => (options.language === 'typescript' ? 'tsx' : 'jsx'),
+    importPath: base => `./${base}`,
+    renderComponent,
+    renderWrapper,
+    renderIcon,
+    app: { files: ['App.tsx', 'App.jsx', 'App.js'], render: renderApp },
+    envDeclarations: ENV_DECLARATIONS
+};
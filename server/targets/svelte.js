@@ -0,0 +1,193 @@
+const { jsString, whenExpression } = require('../componentProps');
+const { ENV_DECLARATIONS } = require('../typescript');
+const { stylesheetContents, describeProp } = require('./common');
+const { escapeText, escapeAttribute, styleDeclarations, hasSignificantWhitespace, indentLines, splitSvgSize, createTemplatePrinter } = require('./markup');
+
+// Svelte Target - Svelte 4 components: props as `export let` with Figma's defaults,
+// instance swaps as named slots with the design's instance as fallback, and the root
+// taking class/style from callers (Svelte passes neither through on its own).
+// Components are written in one file: a wrapper can't forward slots with their
+// fallbacks intact. Scoped <style> would drop rules only used on child components, so
+// styles stay in the global Name.css and there are no CSS Modules.
+
+// Braces start expressions in Svelte markup, in text and attribute values alike
+function escapeBraces(text) {
+    return text.replace(/\{/g, '&#123;').replace(/\}/g, '&#125;');
+}
+
+// Template printer for one component
+function createPrinter() {
+    function sourceExpression(source) {
+        return source.asset || jsString(source.url);
+    }
+
+    // class/style attributes; passthrough roots add the caller's class and style last
+    function styleAttributes(style) {
+        if (!style) return [];
+        const { className, inline, passthrough } = style;
+        if (inline) {
+            const declarations = escapeBraces(escapeAttribute(styleDeclarations(inline)));
+            return [passthrough ? `class={className} style="${declarations}; {style}"` : `style="${declarations}"`];
+        }
+        if (className === undefined) return ['class={className} style={style}'];
+        return [passthrough ? `class="${className} {className}" style={style}` : `class="${className}"`];
+    }
+
+    return createTemplatePrinter({
+        text(text) {
+            if (text === '') return '';
+            // A string expression keeps the whitespace
+            if (hasSignificantWhitespace(text)) return `{${jsString(text)}}`;
+            return escapeBraces(escapeText(text));
+        },
+
+        prop(name) {
+            return `{${name}}`;
+        },
+
+        attribute(name, value) {
+            if (value === true) return name;
+            if (value && value.prop) return `${name}={${value.prop}}`;
+            return `${name}="${escapeBraces(escapeAttribute(value))}"`;
+        },
+
+        style: styleAttributes,
+
+        image(node, attributes) {
+            const src = `src={${node.srcProp || sourceExpression(node.src)}}`;
+            let srcSet = '';
+            if (node.srcSet) {
+                const candidates = `\`${node.srcSet.map(({ src: candidate, scale }) => `\${${sourceExpression(candidate)}} ${scale}x`).join(', ')}\``;
+                // The density variants only apply to the design's image
+                srcSet = node.srcProp
+                    ? ` srcset={${node.srcProp} === ${sourceExpression(node.src)} ? ${candidates} : undefined}`
+                    : ` srcset={${candidates}}`;
+            }
+            return `<img ${src}${srcSet}${attributes} />`;
+        },
+
+        icon(node, attributes) {
+            return `<${node.name}${attributes} />`;
+        },
+
+        // Instance swaps pass the swapped-in instance as slot content
+        component(node, print, style) {
+            const attributes = node.props
+                .filter(({ value }) => typeof value !== 'object')
+                .map(({ name, value }) => (typeof value === 'boolean' ? ` ${name}={${value}}` : ` ${name}="${escapeBraces(escapeAttribute(value))}"`))
+                .join('') + style;
+            const slots = node.props
+                .filter(({ value }) => typeof value === 'object')
+                .map(({ name, value }) => `<svelte:fragment slot="${name}">\n${indentLines(print(value), '    ')}\n</svelte:fragment>`);
+            if (slots.length === 0) return `<${node.name}${attributes} />`;
+            return `<${node.name}${attributes}>\n${indentLines(slots.join('\n'), '    ')}\n</${node.name}>`;
+        },
+
+        conditional(prop, printed) {
+            return `{#if ${prop}}\n${indentLines(printed, '    ')}\n{/if}`;
+        },
+
+        slot(prop, fallback) {
+            if (!fallback) return `<slot name="${prop}" />`;
+            return `<slot name="${prop}">\n${indentLines(fallback, '    ')}\n</slot>`;
+        }
+    });
+}
+
+function propDefault(prop) {
+    if (prop.type === 'IMAGE') return prop.defaultSource.asset || jsString(prop.defaultSource.url);
+    if (prop.type === 'BOOLEAN') return prop.defaultValue ? 'true' : 'false';
+    return jsString(prop.defaultValue === undefined ? '' : prop.defaultValue);
+}
+
+function propTypeScript(prop) {
+    if (prop.type === 'VARIANT') return (prop.options || [prop.defaultValue]).map(jsString).join(' | ');
+    if (prop.type === 'BOOLEAN') return 'boolean';
+    return 'string';
+}
+
+// `export let` per prop, typed in TypeScript and described by a JSDoc comment otherwise
+function propDeclarations(props, typescript) {
+    return props.map(prop => {
+        const description = describeProp(prop);
+        if (typescript) {
+            const comment = description ? `    /** ${description} */\n` : '';
+            return `${comment}    export let ${prop.name}: ${propTypeScript(prop)} = ${propDefault(prop)};`;
+        }
+        return `    /** @type {${propTypeScript(prop)}}${description ? ` ${description}` : ''} */\n    export let ${prop.name} = ${propDefault(prop)};`;
+    });
+}
+
+function renderComponent(component, { options }) {
+    const { name } = component;
+    const typescript = options.language === 'typescript';
+    const printer = createPrinter();
+    // Instance swaps are slots, not props
+    const props = component.props.filter(prop => prop.type !== 'INSTANCE_SWAP');
+
+    // Every variant but the default one renders when its variant props match
+    let markup = printer.print(component.root);
+    if (component.variants.length > 0) {
+        const branches = component.variants.map(({ when, root }, i) =>
+            `{${i === 0 ? '#if' : ':else if'} ${whenExpression(when)}}\n${indentLines(printer.print(root), '    ')}`);
+        markup = `${branches.join('\n')}\n{:else}\n${indentLines(markup, '    ')}\n{/if}`;
+    }
+
+    const imports = [];
+    if (component.usesTokens) {
+        imports.push(`    import '../tokens.css';`);
+    }
+    imports.push(`    import './${name}.css';`);
+    component.assets.forEach(asset => {
+        imports.push(`    import ${asset.identifier} from '${asset.icon ? `./icons/${asset.icon}.svelte` : asset.path}';`);
+    });
+    component.components.forEach(used => imports.push(`    import ${used} from './${used}.svelte';`));
+
+    const declarations = propDeclarations(props, typescript);
+    if (component.takesProps) {
+        // `class` is a keyword, so the prop is renamed on export
+        declarations.push(`    let className = '';`, '    export { className as class };', `    export let style = '';`);
+    }
+
+    const script = [imports.join('\n')].concat(declarations.length > 0 ? [declarations.join('\n')] : []).join('\n\n');
+    const code = `<script${typescript ? ' lang="ts"' : ''}>\n${script}\n</script>\n\n${markup}\n`;
+    return { code, ...stylesheetContents(component) };
+}
+
+// Icon component: `size` sets both dimensions, other attributes land on the <svg>
+function renderIcon({ markup }, { options }) {
+    const typescript = options.language === 'typescript';
+    const svg = splitSvgSize(markup);
+    const size = typescript ? 'export let size: number | string | null = null;' : 'export let size = null;';
+
+    return `<script${typescript ? ' lang="ts"' : ''}>
+    ${size}
+</script>
+
+${svg.open(`width={size || ${svg.width}} height={size || ${svg.height}}`, ' {...$$restProps}')}
+`;
+}
+
+function renderApp(componentNames, { options, componentPath }) {
+    return `<script${options.language === 'typescript' ? ' lang="ts"' : ''}>
+    import { ${componentNames.join(', ')} } from './${componentPath}';
+</script>
+
+<div class="App">
+${componentNames.map(name => `    <${name} />`).join('\n')}
+</div>
+`;
+}
+
+module.exports = {
+    supports: {
+        styles: ['inline', 'css', 'tailwind']
+    },
+    defaults: { componentLayout: 'single' },
+    extension: () => 'svelte',
+    importPath: base => `./${base}.svelte`,
+    renderComponent,
+    renderIcon,
+    app: { files: ['App.svelte'], render: renderApp },
+    envDeclarations: ENV_DECLARATIONS
+};
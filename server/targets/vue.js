@@ -0,0 +1,255 @@
+const { jsString, whenExpression } = require('../componentProps');
+const { ENV_DECLARATIONS } = require('../typescript');
+const { stylesheetContents, describeProp } = require('./common');
+const { escapeText, escapeAttribute, styleDeclarations, hasSignificantWhitespace, indentLines, splitSvgSize, createTemplatePrinter } = require('./markup');
+
+// Vue Target - single-file components with <script setup>: props declared with
+// Figma's defaults (or a TypeScript <Name>Props interface), instance swaps as named
+// slots with the design's instance as fallback, CSS Modules as <style module>, and
+// class/style passed by callers falling through to the root element
+
+// Tags of nodes that print as one element, which can take v-if themselves
+const ELEMENT_KINDS = ['element', 'image', 'icon', 'component'];
+
+// Template printer for one component; `mode` is its style mode
+function createPrinter(mode) {
+    function sourceBinding(name, source) {
+        return source.asset ? `:${name}="${source.asset}"` : `${name}="${escapeAttribute(source.url)}"`;
+    }
+
+    return createTemplatePrinter({
+        text(text) {
+            if (text === '') return '';
+            // A string expression keeps the whitespace; its braces are escaped so none closes the {{ }}
+            if (hasSignificantWhitespace(text)) return `{{ ${jsString(text).replace(/[{}]/g, brace => (brace === '{' ? '\\x7b' : '\\x7d'))} }}`;
+            return escapeText(text).replace(/\{/g, '&#123;');
+        },
+
+        prop(name) {
+            return `{{ ${name} }}`;
+        },
+
+        attribute(name, value) {
+            if (value === true) return name;
+            if (value && value.prop) return `:${name}="${value.prop}"`;
+            return `${name}="${escapeAttribute(value)}"`;
+        },
+
+        // Callers' class and style fall through to the root, so passthrough adds nothing
+        style(style) {
+            if (!style) return [];
+            if (style.inline) return [`style="${escapeAttribute(styleDeclarations(style.inline))}"`];
+            if (style.className === undefined) return [];
+            return [mode === 'css-modules' ? `:class="$style.${style.className}"` : `class="${style.className}"`];
+        },
+
+        image(node, attributes) {
+            const src = node.srcProp ? `:src="${node.srcProp}"` : sourceBinding('src', node.src);
+            let srcSet = '';
+            if (node.srcSet) {
+                const candidates = `\`${node.srcSet.map(({ src: candidate, scale }) =>
+                    `\${${candidate.asset || jsString(candidate.url)}} ${scale}x`).join(', ')}\``;
+                // The density variants only apply to the design's image
+                srcSet = node.srcProp
+                    ? ` :srcset="${node.srcProp} === ${node.src.asset} ? ${candidates} : undefined"`
+                    : ` :srcset="${candidates}"`;
+            }
+            return `<img ${src}${srcSet}${attributes} />`;
+        },
+
+        icon(node, attributes) {
+            return `<${node.name}${attributes} />`;
+        },
+
+        // Instance swaps pass the swapped-in instance as slot content
+        component(node, print, styleAttributes) {
+            const attributes = node.props
+                .filter(({ value }) => typeof value !== 'object')
+                .map(({ name, value }) => {
+                    if (value === true) return name;
+                    if (value === false) return `:${name}="false"`;
+                    return `${name}="${escapeAttribute(value)}"`;
+                })
+                .map(attribute => ` ${attribute}`)
+                .join('') + styleAttributes;
+            const slots = node.props
+                .filter(({ value }) => typeof value === 'object')
+                .map(({ name, value }) => `<template #${name}>\n${indentLines(print(value), '    ')}\n</template>`);
+            if (slots.length === 0) return `<${node.name}${attributes} />`;
+            return `<${node.name}${attributes}>\n${indentLines(slots.join('\n'), '    ')}\n</${node.name}>`;
+        },
+
+        conditional(prop, printed, node) {
+            if (ELEMENT_KINDS.includes(node.kind)) return printed.replace(/^<([\w-]+)/, `<$1 v-if="${prop}"`);
+            return `<template v-if="${prop}">\n${indentLines(printed, '    ')}\n</template>`;
+        },
+
+        slot(prop, fallback) {
+            if (!fallback) return `<slot name="${prop}" />`;
+            return `<slot name="${prop}">\n${indentLines(fallback, '    ')}\n</slot>`;
+        }
+    });
+}
+
+// Adds a directive to the root tag of a printed root
+function withDirective(printed, directive) {
+    return printed.replace(/^<([\w-]+)/, `<$1 ${directive}`);
+}
+
+// An image source as a JS expression: the imported asset or a URL string
+function sourceExpression(source) {
+    return source.asset || jsString(source.url);
+}
+
+function propDefault(prop) {
+    if (prop.type === 'IMAGE') return sourceExpression(prop.defaultSource);
+    if (prop.type === 'BOOLEAN') return prop.defaultValue ? 'true' : 'false';
+    return jsString(prop.defaultValue === undefined ? '' : prop.defaultValue);
+}
+
+// Runtime prop declarations; variants check their value against the Figma options
+function propsDeclaration(props) {
+    const fields = props.map(prop => {
+        const comment = describeProp(prop) ? `    /** ${describeProp(prop)} */\n` : '';
+        const type = prop.type === 'BOOLEAN' ? 'Boolean' : 'String';
+        const validator = prop.type === 'VARIANT'
+            ? `, validator: value => [${(prop.options || [prop.defaultValue]).map(jsString).join(', ')}].includes(value)`
+            : '';
+        return `${comment}    ${prop.name}: { type: ${type}, default: ${propDefault(prop)}${validator} }`;
+    });
+    return `defineProps({\n${fields.join(',\n')}\n});`;
+}
+
+function propTypeScript(prop) {
+    if (prop.type === 'VARIANT') return (prop.options || [prop.defaultValue]).map(jsString).join(' | ');
+    if (prop.type === 'BOOLEAN') return 'boolean';
+    return 'string';
+}
+
+// Exported `<Name>Props` interface; every prop is optional because each has a default
+function propsInterface(componentName, props) {
+    const fields = props.map(prop => {
+        const comment = describeProp(prop) ? `    /** ${describeProp(prop)} */\n` : '';
+        return `${comment}    ${prop.name}?: ${propTypeScript(prop)};`;
+    });
+    return `export interface ${componentName}Props {\n${fields.join('\n')}\n}`;
+}
+
+function renderComponent(component, { options }) {
+    const { name } = component;
+    const typescript = options.language === 'typescript';
+    const printer = createPrinter(component.styles);
+    // Instance swaps are slots, not props
+    const props = component.props.filter(prop => prop.type !== 'INSTANCE_SWAP');
+
+    // Every variant but the default one renders when its variant props match
+    const roots = component.variants.map(({ when, root }, i) =>
+        withDirective(printer.print(root), `${i === 0 ? 'v-if' : 'v-else-if'}="${whenExpression(when).replace(/"/g, '&quot;')}"`));
+    const defaultRoot = printer.print(component.root);
+    roots.push(component.variants.length > 0 ? withDirective(defaultRoot, 'v-else') : defaultRoot);
+
+    const imports = [];
+    if (component.usesTokens) {
+        imports.push(`import '../tokens.css';`);
+    }
+    imports.push(`import './${name}.css';`);
+    component.assets.forEach(asset => {
+        imports.push(`import ${asset.identifier} from '${asset.icon ? `./icons/${asset.icon}.vue` : asset.path}';`);
+    });
+    component.components.forEach(used => imports.push(`import ${used} from './${used}.vue';`));
+
+    const blocks = [];
+    let declaration = '';
+    if (typescript && props.length > 0) {
+        blocks.push(`<script lang="ts">\n${propsInterface(name, props)}\n</script>`);
+        const defaults = props.map(prop => `    ${prop.name}: ${propDefault(prop)}`).join(',\n');
+        declaration = `withDefaults(defineProps<${name}Props>(), {\n${defaults}\n});`;
+    } else if (props.length > 0) {
+        declaration = propsDeclaration(props);
+    }
+    blocks.push(`<script setup${typescript ? ' lang="ts"' : ''}>\n${imports.join('\n')}${declaration ? `\n\n${declaration}` : ''}\n</script>`);
+    blocks.push(`<template>\n${indentLines(roots.join('\n'), '    ')}\n</template>`);
+
+    const { css, moduleCss } = stylesheetContents(component);
+    // Vue scopes the CSS Modules of a <style module> block itself
+    if (moduleCss !== undefined) {
+        blocks.push(`<style module>\n${moduleCss}</style>`);
+    }
+    return { code: blocks.join('\n\n') + '\n', css };
+}
+
+// User extension point for split layout: written once, then left to developers.
+// Props and class/style fall through to the generated component; slots are forwarded.
+function renderWrapper(component, { options }) {
+    const { name } = component;
+    const typescript = options.language === 'typescript';
+    const lang = typescript ? ' lang="ts"' : '';
+    const hasProps = component.props.some(prop => prop.type !== 'INSTANCE_SWAP');
+    const typeExport = typescript && hasProps
+        ? `<script lang="ts">\nexport type { ${name}Props } from './${name}.generated.vue';\n</script>\n\n`
+        : '';
+
+    return `${typeExport}<script setup${lang}>
+import ${name}Generated from './${name}.generated.vue';
+
+// Add hooks, handlers and logic here. The generator creates this file once and
+// never overwrites it; design changes land in ${name}.generated.vue.
+</script>
+
+<template>
+    <${name}Generated>
+        <template v-for="(_, slot) in $slots" #[slot]="scope">
+            <slot :name="slot" v-bind="scope || {}" />
+        </template>
+    </${name}Generated>
+</template>
+`;
+}
+
+// Icon component: `size` sets both dimensions, other attributes fall through to the <svg>
+function renderIcon({ markup }, { options }) {
+    const lang = options.language === 'typescript' ? ' lang="ts"' : '';
+    const svg = splitSvgSize(markup, '    ');
+    const props = lang
+        ? `defineProps<{ size?: number | string }>();`
+        : `defineProps({\n    size: { type: [Number, String], default: null }\n});`;
+
+    return `<script setup${lang}>
+${props}
+</script>
+
+<template>
+${svg.open(`:width="size || ${svg.width}" :height="size || ${svg.height}"`)}
+</template>
+`;
+}
+
+function renderApp(componentNames, { options, componentPath }) {
+    const lang = options.language === 'typescript' ? ' lang="ts"' : '';
+    return `<script setup${lang}>
+import { ${componentNames.join(', ')} } from './${componentPath}';
+</script>
+
+<template>
+    <div class="App">
+${componentNames.map(name => `        <${name} />`).join('\n')}
+    </div>
+</template>
+`;
+}
+
+module.exports = {
+    extension: () => 'vue',
+    importPath: base => `./${base}.vue`,
+    renderComponent,
+    renderWrapper,
+    renderIcon,
+    app: { files: ['App.vue'], render: renderApp },
+    envDeclarations: `${ENV_DECLARATIONS}
+declare module '*.vue' {
+    import type { DefineComponent } from 'vue';
+    const component: DefineComponent<object, object, unknown>;
+    export default component;
+}
+`
+};
@@ -0,0 +1,55 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { generate, fileContent, frame } = require('./helpers');
+
+// Assets: SVG and PNG artwork as hashed files, and SVGs as icon components
+
+const ARROW_SVG = '<svg width="24" height="24" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg"><path d="M0 0h24v24H0z" fill="#FF0000"/></svg>';
+// One transparent pixel
+const PNG = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII=';
+
+function arrow(id, x = 0) {
+    return { id, name: 'Arrow Right', type: 'VECTOR', x, width: 24, height: 24, svg: ARROW_SVG };
+}
+
+const CARD = frame('Card', {
+    children: [
+        arrow('3:1'),
+        arrow('3:2', 30),
+        { id: '3:3', name: 'Photo', type: 'RECTANGLE', width: 10, height: 10, image: PNG, imageScales: [{ scale: 2, image: PNG }] }
+    ]
+});
+
+function run(icons) {
+    return generate([CARD], { styles: 'css', componentLayout: 'single', tokens: false, icons });
+}
+
+function assetPaths(result) {
+    return result.changes.map(change => change.path).filter(changePath => changePath.startsWith('src/assets/'));
+}
+
+test('writes identical artwork once and imports it into an <img>', async () => {
+    const result = await run('img');
+    assert.deepStrictEqual(assetPaths(result), ['src/assets/arrow-right-5da99914.svg', 'src/assets/photo-63ef318d.png']);
+    const code = fileContent(result, 'Card.jsx');
+    assert.match(code, /import imgArrowRight from '\.\.\/assets\/arrow-right-5da99914\.svg';/);
+    assert.strictEqual(code.match(/<img src={imgArrowRight}/g).length, 2);
+});
+
+test('gives PNGs exported at several densities a srcSet', async () => {
+    const code = fileContent(await run('img'), 'Card.jsx');
+    assert.match(code, /<img src={imgPhoto} srcSet={`\${imgPhoto} 1x, \${imgPhoto} 2x`}/);
+});
+
+test('icons: "component" writes SVGs as icon components drawing with currentColor', async () => {
+    const result = await run('component');
+    assert.deepStrictEqual(assetPaths(result), ['src/assets/photo-63ef318d.png']);
+    const code = fileContent(result, 'Card.jsx');
+    assert.match(code, /import ArrowRightIcon from '\.\/icons\/ArrowRightIcon';/);
+    assert.match(code, /<ArrowRightIcon aria-hidden="true" className="card__arrow-right" \/>/);
+
+    const icon = fileContent(result, 'icons/ArrowRightIcon.jsx');
+    assert.match(icon, /const ArrowRightIcon = \({ size, \.\.\.props }\) => \(/);
+    assert.match(icon, /<svg width={size \|\| 24} height={size \|\| 24} viewBox="0 0 24 24"/);
+    assert.match(icon, /<path d="M0 0h24v24H0z" fill="currentColor" \/>/);
+});
@@ -0,0 +1,68 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const { withApp, frame, text } = require('./helpers');
+
+// CLI: figma-gen generate from a saved payload, --check for CI and the config file
+
+const CLI = path.join(__dirname, '..', 'cli.js');
+
+const PAYLOAD = JSON.stringify({
+    version: 2,
+    data: [frame('Card', { children: [text('Title')] })],
+    options: { styles: 'css', componentLayout: 'single', tokens: false, fontSource: 'none' }
+});
+
+function figmaGen(cwd, args, input) {
+    const run = spawnSync(process.execPath, [CLI, ...args], { cwd, input, encoding: 'utf8', timeout: 30000 });
+    return { code: run.status, stdout: run.stdout, stderr: run.stderr };
+}
+
+function exists(appDir, file) {
+    return fs.existsSync(path.join(appDir, file));
+}
+
+test('generates into the working directory from a payload file', () => withApp({ 'payload.json': PAYLOAD }, appDir => {
+    const { code, stdout } = figmaGen(appDir, ['generate', 'payload.json']);
+    assert.strictEqual(code, 0);
+    assert.match(stdout, /^created {3}src\/components\/Card\.jsx$/m);
+    assert.match(stdout, /4 file\(s\) written, 1 component\(s\)/);
+    assert.ok(exists(appDir, 'src/components/Card.css'));
+}));
+
+test('--check exits 1 without writing when the output would change', () => withApp({ 'payload.json': PAYLOAD }, appDir => {
+    const { code, stdout } = figmaGen(appDir, ['generate', 'payload.json', '--check']);
+    assert.strictEqual(code, 1);
+    assert.match(stdout, /4 file\(s\) out of date/);
+    assert.ok(!exists(appDir, 'src/components/Card.jsx'));
+}));
+
+test('--check exits 0 once the generated files are up to date', () => withApp({ 'payload.json': PAYLOAD }, appDir => {
+    figmaGen(appDir, ['generate', 'payload.json']);
+    const { code, stdout } = figmaGen(appDir, ['generate', 'payload.json', '--check']);
+    assert.strictEqual(code, 0);
+    assert.strictEqual(stdout, 'Generated files are up to date\n');
+    // A flag that changes the output makes it out of date again
+    assert.strictEqual(figmaGen(appDir, ['generate', 'payload.json', '--check', '--styles', 'inline']).code, 1);
+}));
+
+test('reads the payload from stdin and options from the config file', () => withApp({
+    'figma-gen.config.json': JSON.stringify({ out: 'ui', styles: 'css-modules' })
+}, appDir => {
+    const { code } = figmaGen(appDir, ['generate'], PAYLOAD);
+    assert.strictEqual(code, 0);
+    assert.ok(exists(appDir, 'ui/Card.jsx'));
+    assert.ok(exists(appDir, 'ui/Card.module.css'));
+}));
+
+test('exits 2 on bad input', () => withApp({ 'payload.json': PAYLOAD }, appDir => {
+    const unknown = figmaGen(appDir, ['generate', 'payload.json', '--colour', 'red']);
+    assert.strictEqual(unknown.code, 2);
+    assert.match(unknown.stderr, /figma-gen: Unknown option --colour/);
+    const invalid = figmaGen(appDir, ['generate', 'payload.json', '--styles', 'sass']);
+    assert.strictEqual(invalid.code, 2);
+    assert.match(invalid.stderr, /figma-gen: options\.styles /);
+    assert.strictEqual(figmaGen(appDir, ['generate', 'missing.json']).code, 2);
+}));
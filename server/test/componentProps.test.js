@@ -0,0 +1,81 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { generate, fileContent, frame, text } = require('./helpers');
+
+// Component sets: Figma properties as props, variants as branches, instances as usages
+
+const DEFINITIONS = {
+    'Size': { type: 'VARIANT', defaultValue: 'md', variantOptions: ['md', 'lg'] },
+    'Label#1:1': { type: 'TEXT', defaultValue: 'Click' },
+    'Show icon#1:0': { type: 'BOOLEAN', defaultValue: false }
+};
+
+function variant(id, size, width) {
+    return {
+        id,
+        name: `Size=${size}`,
+        type: 'COMPONENT',
+        width,
+        height: 40,
+        variantProperties: { Size: size },
+        children: [
+            text('Label', 'Click', { id: `${id}:1`, componentPropertyReferences: { characters: 'Label#1:1' } }),
+            frame('Icon', { id: `${id}:2`, width: 16, height: 16, componentPropertyReferences: { visible: 'Show icon#1:0' } })
+        ]
+    };
+}
+
+const BUTTON = {
+    id: '1:10',
+    name: 'Button',
+    type: 'COMPONENT_SET',
+    width: 300,
+    height: 40,
+    componentPropertyDefinitions: DEFINITIONS,
+    children: [variant('1:20', 'md', 100), variant('1:21', 'lg', 140)]
+};
+
+const PAGE = frame('Page', {
+    id: '5:1',
+    children: [{
+        id: '5:2',
+        name: 'Button',
+        type: 'INSTANCE',
+        width: 140,
+        height: 40,
+        mainComponent: { id: '1:21', name: 'Size=lg', componentSetId: '1:10', componentSetName: 'Button' },
+        variantProperties: { Size: 'lg' },
+        componentProperties: {
+            'Size': { type: 'VARIANT', value: 'lg' },
+            'Label#1:1': { type: 'TEXT', value: 'Buy' },
+            'Show icon#1:0': { type: 'BOOLEAN', value: true }
+        }
+    }]
+});
+
+const CSS = { styles: 'css', componentLayout: 'single', tokens: false };
+
+test('component properties become props with their Figma defaults', async () => {
+    const code = fileContent(await generate([BUTTON], CSS), 'Button.jsx');
+    assert.match(code, /const Button = \({ size = 'md', label = 'Click', showIcon = false, className, style }\) => {/);
+    assert.match(code, /@param {'md' \| 'lg'} \[props\.size='md'\]/);
+    assert.match(code, /@param {boolean} \[props\.showIcon=false\] Shows the layers bound to "Show icon"/);
+});
+
+test('variants render by their variant props, the default one last', async () => {
+    const code = fileContent(await generate([BUTTON], CSS), 'Button.jsx');
+    assert.match(code, /if \(size === 'lg'\) {\n\s+return \(\n\s+<button type="button" className={\['button__lg', className\]/);
+    assert.match(code, /\n {4}return \(\n\s+<button type="button" className={\['button', className\]/);
+});
+
+test('layers bound to properties show the prop', async () => {
+    const code = fileContent(await generate([BUTTON], CSS), 'Button.jsx');
+    assert.match(code, /<div className="button__label">{label}<\/div>/);
+    assert.match(code, /{showIcon && \(<div className="button__icon"><\/div>\)}/);
+});
+
+test('instances of a generated set render as usages with their property values', async () => {
+    const code = fileContent(await generate([BUTTON, PAGE], CSS), 'Page.jsx');
+    assert.match(code, /import Button from '\.\/Button';/);
+    assert.match(code, /<Button size="lg" label="Buy" showIcon style={{position: 'absolute', left: '0px', top: '0px'}} \/>/);
+});
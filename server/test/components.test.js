@@ -0,0 +1,38 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { generate, fileContent, frame } = require('./helpers');
+
+// Components: one per selected node, with unique names
+
+const CSS = { styles: 'css', componentLayout: 'single', tokens: false };
+
+test('generates one component per node, resolving name collisions in payload order', async () => {
+    const result = await generate([
+        frame('Card'),
+        frame('card', { id: '1:2' }),
+        frame('!!!', { id: '1:3' }),
+        frame('Card 2', { id: '1:4' })
+    ], CSS);
+
+    // "Card 2" is free, so the duplicate "card" takes the next suffix
+    assert.deepStrictEqual(result.components.map(({ name, figmaName }) => [figmaName, name]), [
+        ['Card', 'Card'],
+        ['card', 'Card3'],
+        ['!!!', 'Frame'],
+        ['Card 2', 'Card2']
+    ]);
+    assert.deepStrictEqual(result.components[1].files, ['src/components/Card3.jsx', 'src/components/Card3.css']);
+    assert.strictEqual(fileContent(result, 'components/index.js'), [
+        "export { default as Card } from './Card';",
+        "export { default as Card3 } from './Card3';",
+        "export { default as Frame } from './Frame';",
+        "export { default as Card2 } from './Card2';",
+        ''
+    ].join('\n'));
+    assert.match(fileContent(result, 'src/App.js'), /import { Card, Card3, Frame, Card2 } from '\.\/components';/);
+});
+
+test('names a single component after options.componentName', async () => {
+    const result = await generate([frame('Frame 12')], { ...CSS, componentName: 'pricing card' });
+    assert.deepStrictEqual(result.components.map(({ name }) => name), ['PricingCard']);
+});
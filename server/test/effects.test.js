@@ -0,0 +1,74 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { generate, fileContent, cssRule, frame, text } = require('./helpers');
+
+// Effects, strokes, corners and opacity
+
+const CSS = { styles: 'css', componentLayout: 'single', tokens: false };
+const BLACK = { r: 0, g: 0, b: 0 };
+
+function shadow(type, x, y, radius, fields = {}) {
+    return { type, offset: { x, y }, radius, color: { ...BLACK, a: 0.25 }, ...fields };
+}
+
+function layer(fields) {
+    return frame('Layer', { id: '1:2', ...fields });
+}
+
+// Styles of `node` (named Layer) inside a card
+async function layerRule(node) {
+    const css = fileContent(await generate([frame('Card', { children: [node] })], CSS), 'Card.css');
+    return cssRule(css, '.card__layer');
+}
+
+test('lists shadows top-down, with strokes above them', async () => {
+    const rule = await layerRule(layer({
+        strokes: [{ type: 'SOLID', color: BLACK, weight: 2 }],
+        strokeAlign: 'OUTSIDE',
+        // Figma lists effects bottom-up
+        effects: [
+            shadow('DROP_SHADOW', 0, 4, 8, { spread: 2 }),
+            shadow('INNER_SHADOW', 1, 1, 0),
+            shadow('DROP_SHADOW', 0, 0, 1, { visible: false })
+        ]
+    }));
+    assert.strictEqual(rule['box-shadow'], '0 0 0 2px rgb(0, 0, 0), inset 1px 1px 0px 0px rgba(0, 0, 0, 0.25), 0px 4px 8px 2px rgba(0, 0, 0, 0.25)');
+});
+
+test('draws strokes by their alignment without affecting layout', async () => {
+    const stroke = [{ type: 'SOLID', color: BLACK, weight: 2 }];
+    assert.strictEqual((await layerRule(layer({ strokes: stroke })))['box-shadow'], 'inset 0 0 0 2px rgb(0, 0, 0)');
+
+    const centered = await layerRule(layer({ strokes: stroke, strokeAlign: 'CENTER' }));
+    assert.strictEqual(centered.outline, '2px solid rgb(0, 0, 0)');
+    assert.strictEqual(centered['outline-offset'], '-1px');
+
+    assert.strictEqual((await layerRule(layer({ strokes: stroke, dashPattern: [4, 2] }))).outline, '2px dashed rgb(0, 0, 0)');
+    const bottomOnly = await layerRule(layer({ strokes: stroke, strokeWeights: { top: 0, right: 0, bottom: 1, left: 0 } }));
+    assert.strictEqual(bottomOnly['box-shadow'], 'inset 0 -1px 0 0 rgb(0, 0, 0)');
+});
+
+test('writes corner radii, opacity, blend modes and blurs', async () => {
+    const rule = await layerRule(layer({
+        cornerRadii: { topLeft: 8, topRight: 8, bottomRight: 0, bottomLeft: 0 },
+        opacity: 0.5,
+        blendMode: 'MULTIPLY',
+        effects: [{ type: 'LAYER_BLUR', radius: 8 }, { type: 'BACKGROUND_BLUR', radius: 20 }]
+    }));
+    assert.strictEqual(rule['border-radius'], '8px 8px 0px 0px');
+    assert.strictEqual(rule.opacity, '0.5');
+    assert.strictEqual(rule['mix-blend-mode'], 'multiply');
+    assert.strictEqual(rule.filter, 'blur(4px)');
+    assert.strictEqual(rule['backdrop-filter'], 'blur(10px)');
+    assert.strictEqual((await layerRule(layer({ cornerRadius: 12 })))['border-radius'], '12px');
+});
+
+test('text gets glyph shadows and strokes', async () => {
+    const rule = await layerRule(text('Layer', 'Hello', {
+        strokes: [{ type: 'SOLID', color: BLACK, weight: 1 }],
+        effects: [shadow('DROP_SHADOW', 0, 2, 4), shadow('INNER_SHADOW', 1, 1, 0)]
+    }));
+    assert.strictEqual(rule['text-shadow'], '0px 2px 4px rgba(0, 0, 0, 0.25)');
+    assert.strictEqual(rule['-webkit-text-stroke'], '1px rgb(0, 0, 0)');
+    assert.strictEqual(rule['box-shadow'], undefined);
+});
@@ -0,0 +1,134 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+// The font cache directory is read when the server module loads
+const cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'figma-gen-fonts-'));
+process.env.FONT_CACHE_DIR = cacheDir;
+
+const { isSystemFont } = require('../fonts');
+const { createTailwindTheme, stylesToTailwindClasses } = require('../tailwind');
+const { generate, fileContent, frame, text } = require('./helpers');
+
+// Fonts: Google downloads through a local stand-in, the cache, and runs without either
+
+const FONT_FILE = Buffer.from('not really a font');
+const requests = [];
+let server;
+let cssUrl;
+
+before(async () => {
+    server = http.createServer((req, res) => {
+        requests.push(req.url);
+        const url = new URL(req.url, cssUrl);
+        if (url.pathname === '/css2') {
+            const family = url.searchParams.get('family').split(':')[0];
+            res.writeHead(200, { 'Content-Type': 'text/css' });
+            res.end(`@font-face {\n  font-family: '${family}';\n  font-style: normal;\n  font-weight: 400;\n  src: url(/files/${family}-400.woff2) format('woff2');\n}\n`);
+            return;
+        }
+        res.writeHead(200, { 'Content-Type': 'font/woff2' });
+        res.end(FONT_FILE);
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    cssUrl = `http://127.0.0.1:${server.address().port}/css2`;
+    process.env.GOOGLE_FONTS_CSS_URL = cssUrl;
+});
+
+after(() => {
+    server.close();
+    fs.rmSync(cacheDir, { recursive: true, force: true });
+});
+
+// A card with one line of text in `family`
+function card(family) {
+    return frame('Card', { children: [text('Title', 'Hello', { fontFamily: family, fontName: { family, style: 'Regular' } })] });
+}
+
+// The Google source pointed at a port nothing listens on
+async function offlineCssUrl() {
+    const closed = http.createServer();
+    await new Promise(resolve => closed.listen(0, '127.0.0.1', resolve));
+    const url = `http://127.0.0.1:${closed.address().port}/css2`;
+    await new Promise(resolve => closed.close(resolve));
+    return url;
+}
+
+const GOOGLE = { fontSource: 'google', styles: 'css', tokens: false, componentLayout: 'single' };
+
+test('downloads Google fonts into public/fonts with @font-face rules', async () => {
+    requests.length = 0;
+    const result = await generate([card('Inter')], GOOGLE);
+
+    assert.deepStrictEqual(result.fonts.map(({ family, status, cached }) => ({ family, status, cached })), [
+        { family: 'Inter', status: 'ok', cached: false }
+    ]);
+    assert.deepStrictEqual(requests.map(url => url.split('?')[0]), ['/css2', '/files/Inter-400.woff2']);
+    assert.ok(result.changes.some(change => /^public\/fonts\/inter-[0-9a-f]{12}\.woff2$/.test(change.path)));
+
+    const css = fileContent(result, 'Card.css');
+    assert.match(css, /@font-face {\n {4}font-family: 'Inter';\n {4}font-style: normal;\n {4}font-weight: 400;/);
+    assert.match(css, /src: url\('\/fonts\/inter-[0-9a-f]{12}\.woff2'\) format\('woff2'\);/);
+    assert.match(css, /font-family: Inter;/);
+});
+
+test('reuses cached fonts without fetching them again', async () => {
+    await generate([card('Lora')], GOOGLE);
+    requests.length = 0;
+    const result = await generate([card('Lora')], GOOGLE);
+
+    assert.deepStrictEqual(requests, []);
+    assert.strictEqual(result.fonts[0].status, 'ok');
+    assert.strictEqual(result.fonts[0].cached, true);
+    assert.match(fileContent(result, 'Card.css'), /font-family: 'Lora';/);
+});
+
+test('matches system fonts by their exact name', async () => {
+    assert.strictEqual(isSystemFont('arial'), true);
+    assert.strictEqual(isSystemFont(' Segoe UI '), true);
+    assert.strictEqual(isSystemFont('Arial Rounded MT'), false);
+    assert.strictEqual(isSystemFont('Roboto Slab'), false);
+    assert.strictEqual(isSystemFont('Roboto Slab', ['Roboto']), false);
+
+    requests.length = 0;
+    const result = await generate([card('Arial')], GOOGLE);
+    assert.deepStrictEqual(result.fonts, []);
+    assert.deepStrictEqual(requests, []);
+});
+
+test('falls back to a system stack and warns when a font cannot be loaded', async () => {
+    // A family the cache has never seen
+    process.env.GOOGLE_FONTS_CSS_URL = await offlineCssUrl();
+    try {
+        const result = await generate([card('Merriweather')], GOOGLE);
+        const [font] = result.fonts;
+        assert.strictEqual(font.status, 'missing');
+        assert.match(font.error, /ECONNREFUSED/);
+        assert.strictEqual(font.warning, "No Merriweather files were found; text falls back to system-ui, -apple-system, 'Segoe UI', Roboto, sans-serif");
+
+        const css = fileContent(result, 'Card.css');
+        assert.doesNotMatch(css, /@font-face/);
+        assert.match(css, /font-family: Merriweather, system-ui, -apple-system, 'Segoe UI', Roboto, sans-serif;/);
+    } finally {
+        process.env.GOOGLE_FONTS_CSS_URL = cssUrl;
+    }
+});
+
+test('names the design token of a fallback stack after its family', async () => {
+    process.env.GOOGLE_FONTS_CSS_URL = await offlineCssUrl();
+    try {
+        const result = await generate([card('Merriweather')], { ...GOOGLE, tokens: true });
+        assert.match(fileContent(result, 'tokens.css'), /--font-family-merriweather: Merriweather, system-ui, -apple-system, 'Segoe UI', Roboto, sans-serif;/);
+        assert.match(fileContent(result, 'Card.css'), /font-family: var\(--font-family-merriweather\);/);
+    } finally {
+        process.env.GOOGLE_FONTS_CSS_URL = cssUrl;
+    }
+});
+
+test('keeps the fallback stack in Tailwind classes', () => {
+    const classes = stylesToTailwindClasses({ fontFamily: "Merriweather, system-ui, 'Segoe UI', sans-serif" }, createTailwindTheme());
+    assert.deepStrictEqual(classes, ["font-['Merriweather',system-ui,'Segoe_UI',sans-serif]"]);
+});
@@ -0,0 +1,79 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const ts = require('typescript');
+const { generate, fileContent, text } = require('./helpers');
+
+// Generated Output - the code every target writes must parse, whatever the designers
+// named their layers and properties
+
+// Layers and properties named after reserved words, which would otherwise become
+// `{ continue = 'Continue' }` or `export let default`
+const DIALOG = {
+    id: '1:1',
+    name: 'Dialog',
+    type: 'COMPONENT',
+    width: 320,
+    height: 120,
+    componentPropertyDefinitions: {
+        'Default#1:0': { type: 'BOOLEAN', defaultValue: true },
+        'New#1:1': { type: 'TEXT', defaultValue: 'New' }
+    },
+    children: ['Continue', 'Delete', 'New', 'Default', 'Class', 'this'].map(name => text(name))
+};
+
+// Parse errors of a script, with Svelte and Vue files parsed by their <script> blocks
+function parseErrors(filePath, content) {
+    const extension = path.extname(filePath);
+    const scripts = extension === '.svelte' || extension === '.vue'
+        ? Array.from(content.matchAll(/<script\b[^>]*>([\s\S]*?)<\/script>/g), match => match[1])
+        : [content];
+    const kind = extension === '.jsx' ? ts.ScriptKind.JSX : ts.ScriptKind.TSX;
+    return scripts.flatMap(script => {
+        const source = ts.createSourceFile(filePath, script, ts.ScriptTarget.Latest, false, kind);
+        return source.parseDiagnostics.map(diagnostic => ts.flattenDiagnosticMessageText(diagnostic.messageText, '\n'));
+    });
+}
+
+const TARGETS = [
+    { target: 'react' },
+    { target: 'react', language: 'typescript' },
+    { target: 'vue' },
+    { target: 'vue', language: 'typescript' },
+    { target: 'svelte' }
+];
+
+TARGETS.forEach(targetOptions => {
+    test(`${Object.values(targetOptions).join(' ')} components with reserved-word props parse`, async () => {
+        const result = await generate([DIALOG], { ...targetOptions, layerProps: true });
+        const scripts = result.changes.filter(change => /\.(jsx|tsx|vue|svelte)$/.test(change.path));
+        assert.ok(scripts.length > 0);
+        scripts.forEach(change => {
+            assert.deepStrictEqual(parseErrors(change.path, change.content), [], `${change.path}:\n${change.content}`);
+        });
+    });
+});
+
+test('TypeScript components export a typed props interface', async () => {
+    const result = await generate([DIALOG], { language: 'typescript', layerProps: true });
+    const code = fileContent(result, 'Dialog.generated.tsx');
+    assert.match(code, /^import type { CSSProperties } from 'react';/);
+    assert.strictEqual(code.match(/export interface DialogProps {[^}]*}/)[0], [
+        'export interface DialogProps {',
+        '    /** Shows the layers bound to "Default" */',
+        '    defaultProp?: boolean;',
+        '    newProp?: string;',
+        '    continueText?: string;',
+        '    deleteText?: string;',
+        '    newText?: string;',
+        '    defaultText?: string;',
+        '    classText?: string;',
+        '    thisText?: string;',
+        '    className?: string;',
+        '    style?: CSSProperties;',
+        '}'
+    ].join('\n'));
+    assert.match(code, /}: DialogProps\) => {/);
+    // The developer-owned wrapper passes the same props on
+    assert.match(fileContent(result, 'components/Dialog.tsx'), /const Dialog = \(props: DialogProps\) => {/);
+});
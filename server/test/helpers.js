@@ -0,0 +1,72 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createProjectPaths, parseGeneratePayload, runGeneration } = require('../index');
+
+// Test Helpers - runs of the generator against a throwaway app directory
+
+// A fresh app directory with `files` ({ 'tailwind.config.js': '...' }), removed after `run`
+async function withApp(files, run) {
+    const appDir = fs.mkdtempSync(path.join(os.tmpdir(), 'figma-gen-'));
+    try {
+        Object.entries(files).forEach(([file, content]) => {
+            fs.mkdirSync(path.dirname(path.join(appDir, file)), { recursive: true });
+            fs.writeFileSync(path.join(appDir, file), content);
+        });
+        return await run(appDir);
+    } finally {
+        fs.rmSync(appDir, { recursive: true, force: true });
+    }
+}
+
+// Generate `data` (nodes) into `appDir` the way /api/generate does; a dry run without
+// fonts unless the options say otherwise
+async function generate(data, options = {}, appDir) {
+    const run = async dir => {
+        const parsed = parseGeneratePayload({
+            version: 2,
+            data,
+            options: { dryRun: true, fontSource: 'none', ...options }
+        });
+        return runGeneration(parsed.data, parsed.options, createProjectPaths(dir));
+    };
+    return appDir ? run(appDir) : withApp({}, run);
+}
+
+// Content of the planned file whose project path ends with `suffix` (a dry run's changes)
+function fileContent(result, suffix) {
+    const change = result.changes.find(candidate => candidate.path.endsWith(suffix));
+    if (!change) {
+        throw new Error(`No planned file ends with ${suffix}: ${result.changes.map(candidate => candidate.path).join(', ')}`);
+    }
+    return change.content;
+}
+
+// Declarations of the `selector` rule of a stylesheet, as { 'flex-direction': 'row', ... }
+function cssRule(css, selector) {
+    const escaped = selector.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const match = new RegExp(`(?:^|\\n)${escaped} \\{\\n([^}]*)\\}`).exec(css);
+    if (!match) throw new Error(`No ${selector} rule in:\n${css}`);
+    return Object.fromEntries(match[1].trim().split('\n').map(line => {
+        const [property, value] = line.trim().replace(/;$/, '').split(/: (.*)/);
+        return [property, value];
+    }));
+}
+
+// A node with the fields the schema requires
+function frame(name, fields = {}) {
+    return { id: fields.id || `1:${name}`, name, type: 'FRAME', width: 100, height: 100, ...fields };
+}
+
+function text(name, characters = name, fields = {}) {
+    return { id: `2:${name}`, name, type: 'TEXT', width: 80, height: 20, textContent: characters, fontSize: 16, ...fields };
+}
+
+module.exports = {
+    withApp,
+    generate,
+    fileContent,
+    cssRule,
+    frame,
+    text
+};
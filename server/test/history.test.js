@@ -0,0 +1,101 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { createHistoryStore, diffOutputs } = require('../history');
+const { diffNodeTrees, summarizeLayers } = require('../treeDiff');
+const { withApp, frame, text } = require('./helpers');
+
+// History: recorded runs, and what changed between two of them
+
+const BLUE = { type: 'SOLID', color: { r: 0.145, g: 0.388, b: 0.922 } };
+
+function card({ padding = 12, label = 'Buy', fills = [BLUE], extra = [] } = {}) {
+    return frame('Card', {
+        children: [
+            frame('Button', {
+                id: '1:2',
+                paddingTop: padding,
+                paddingRight: padding,
+                paddingBottom: padding,
+                paddingLeft: padding,
+                fills,
+                children: [text('Label', label, { id: '1:3' })]
+            }),
+            ...extra
+        ]
+    });
+}
+
+function record(store, data, files) {
+    return store.add({
+        payload: { version: 2, data, source: { fileKey: 'abc', nodeIds: ['1:Card'] } },
+        options: { styles: 'css' },
+        result: { components: [{ name: 'Card', figmaName: 'Card' }], files: Object.keys(files) },
+        files: Object.entries(files).map(([filePath, content]) => ({ path: filePath, content }))
+    });
+}
+
+test('summarizes design changes per layer', () => {
+    const before = [card()];
+    const after = [card({ padding: 16, label: 'Buy now', extra: [text('Note', 'Free shipping', { id: '1:4' })] })];
+    assert.deepStrictEqual(summarizeLayers(diffNodeTrees(before, after)), [
+        'Card: added "Note"',
+        'Card / Button: padding 12→16',
+        'Card / Button / Label: text "Buy"→"Buy now"'
+    ]);
+});
+
+test('reports layers matched by name, added and removed frames', () => {
+    const reimported = [{ ...card(), id: '9:9' }];
+    assert.deepStrictEqual(diffNodeTrees([card()], reimported), []);
+    assert.deepStrictEqual(summarizeLayers(diffNodeTrees([card()], [card(), frame('Footer')])), ['Footer: added']);
+    assert.deepStrictEqual(summarizeLayers(diffNodeTrees([card(), frame('Footer')], [card()])), ['Footer: removed']);
+});
+
+test('describes fills as colors', () => {
+    const darker = { type: 'SOLID', color: { r: 0.114, g: 0.306, b: 0.847 } };
+    assert.deepStrictEqual(summarizeLayers(diffNodeTrees([card()], [card({ fills: [darker] })])), [
+        'Card / Button: fill #2563eb→#1d4ed8'
+    ]);
+});
+
+test('records runs with their payload and output, newest first', () => withApp({}, async appDir => {
+    const store = createHistoryStore(path.join(appDir, '.history'));
+    const first = await record(store, [card()], { 'src/components/Card.jsx': 'v1' });
+    const second = await record(store, [card({ padding: 16 })], { 'src/components/Card.jsx': 'v2', 'src/assets/logo.png': Buffer.from('png') });
+
+    assert.match(first.id, /^\d{8}T\d{9}Z-[0-9a-f]{6}$/);
+    assert.deepStrictEqual(first.nodeIds, ['1:Card']);
+    assert.deepStrictEqual(first.source, { fileKey: 'abc', nodeIds: ['1:Card'] });
+    assert.deepStrictEqual((await store.list()).map(entry => entry.id), [second.id, first.id]);
+
+    const entry = await store.get(second.id);
+    assert.strictEqual(entry.payload.data[0].children[0].paddingTop, 16);
+    assert.deepStrictEqual(entry.output.files, { 'src/components/Card.jsx': 'v2' });
+    assert.match(entry.output.binary['src/assets/logo.png'], /^[0-9a-f]{64}$/);
+    assert.strictEqual(await store.get('missing'), null);
+    assert.strictEqual(await store.get('../etc'), null);
+}));
+
+test('keeps only the newest entries', () => withApp({}, async appDir => {
+    const store = createHistoryStore(path.join(appDir, '.history'), 2);
+    const ids = [];
+    for (const version of ['v1', 'v2', 'v3']) {
+        ids.push((await record(store, [card()], { 'src/components/Card.jsx': version })).id);
+    }
+    assert.deepStrictEqual((await store.list()).map(entry => entry.id), [ids[2], ids[1]]);
+}));
+
+test('diffs the code of two runs file by file', () => {
+    const from = { files: { 'a.jsx': 'one\n', 'b.css': 'x\n' }, binary: { 'logo.png': '1' } };
+    const to = { files: { 'a.jsx': 'two\n', 'c.css': 'y\n' }, binary: { 'logo.png': '2' } };
+    const changes = diffOutputs(from, to);
+    assert.deepStrictEqual(changes.map(({ path: filePath, status }) => [filePath, status]), [
+        ['a.jsx', 'changed'],
+        ['b.css', 'removed'],
+        ['c.css', 'added'],
+        ['logo.png', 'changed']
+    ]);
+    assert.match(changes[0].diff, /^-one\n\+two$/m);
+    assert.strictEqual(changes[3].diff, undefined);
+});
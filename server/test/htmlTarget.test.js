@@ -0,0 +1,38 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { withApp, generate, fileContent, frame, text } = require('./helpers');
+
+// Static HTML: pages that work without a build step or a server
+
+// One transparent pixel
+const PNG = 'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII=';
+
+const PHOTO = frame('Photo', {
+    fills: [{ type: 'IMAGE', imageHash: 'photo', imageBase64: PNG, scaleMode: 'FILL' }],
+    children: [text('Caption', 'Caption', { fontFamily: 'Inter', fontName: { family: 'Inter', style: 'Regular' } })]
+});
+
+const HTML = { target: 'html', updateApp: true };
+
+test('rejects Tailwind, which a page has no build step to compile', async () => {
+    await assert.rejects(
+        generate([PHOTO], { ...HTML, styles: 'tailwind' }),
+        error => error.status === 400 && /options\.styles must be one of: inline, css for the html target/.test(error.message)
+    );
+});
+
+test('stylesheets reference images and fonts relative to the page', () => withApp({
+    'fonts/Inter-Regular.woff2': 'not really a font'
+}, async appDir => {
+    const result = await generate([PHOTO], { ...HTML, styles: 'css', fontSource: 'local', fontDirectory: 'fonts' }, appDir);
+    const css = fileContent(result, 'Photo.css');
+    assert.match(css, /background-image: url\(\.\.\/\.\.\/public\/images\/photo\.png\);/);
+    assert.match(css, /src: url\('\.\.\/\.\.\/public\/fonts\/inter-[0-9a-f]{12}\.woff2'\) format\('woff2'\);/);
+    assert.doesNotMatch(css, /url\('?\/(images|fonts)\//);
+}));
+
+test('inline styles reference images relative to each page', async () => {
+    const result = await generate([PHOTO], { ...HTML, styles: 'inline' });
+    assert.match(fileContent(result, 'components/Photo.html'), /style="[^"]*url\(\.\.\/\.\.\/public\/images\/photo\.png\)/);
+    assert.match(fileContent(result, 'src/index.html'), /style="[^"]*url\(\.\.\/public\/images\/photo\.png\)/);
+});
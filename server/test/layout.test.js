@@ -0,0 +1,96 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { generate, fileContent, cssRule, frame } = require('./helpers');
+
+// Layout: Auto Layout frames as flexbox, everything else placed by its constraints
+
+const CSS = { styles: 'css', componentLayout: 'single', tokens: false };
+
+const TOOLBAR = frame('Toolbar', {
+    width: 300,
+    height: 60,
+    layoutMode: 'HORIZONTAL',
+    primaryAxisAlignItems: 'SPACE_BETWEEN',
+    counterAxisAlignItems: 'CENTER',
+    paddingTop: 8,
+    paddingRight: 16,
+    paddingBottom: 8,
+    paddingLeft: 16,
+    gap: 12,
+    children: [
+        frame('Logo', { id: '1:2', x: 16, y: 10, width: 40, height: 40 }),
+        frame('Search', { id: '1:3', x: 68, y: 10, width: 100, height: 40, layoutSizingHorizontal: 'FILL' }),
+        frame('Badge', {
+            id: '1:4', x: 280, y: -6, width: 12, height: 12,
+            layoutPositioning: 'ABSOLUTE',
+            constraints: { horizontal: 'MAX', vertical: 'MIN' }
+        })
+    ]
+});
+
+test('Auto Layout frames become flex containers', async () => {
+    const css = fileContent(await generate([TOOLBAR], CSS), 'Toolbar.css');
+    assert.deepStrictEqual(cssRule(css, '.toolbar'), {
+        position: 'relative',
+        width: '300px',
+        height: '60px',
+        overflow: 'hidden',
+        margin: '0 auto',
+        display: 'flex',
+        'flex-direction': 'row',
+        // Figma ignores the item spacing with "Space between"
+        'justify-content': 'space-between',
+        'align-items': 'center',
+        padding: '8px 16px 8px 16px',
+        'box-sizing': 'border-box'
+    });
+});
+
+test('Auto Layout children flow, fill the parent or keep their absolute position', async () => {
+    const css = fileContent(await generate([TOOLBAR], CSS), 'Toolbar.css');
+    assert.deepStrictEqual(cssRule(css, '.toolbar__logo'), { position: 'relative', 'flex-shrink': '0', width: '40px', height: '40px' });
+    assert.deepStrictEqual(cssRule(css, '.toolbar__search'), {
+        position: 'relative',
+        'flex-shrink': '0',
+        'flex-grow': '1',
+        'flex-basis': '0',
+        'min-width': '0',
+        height: '40px'
+    });
+    assert.deepStrictEqual(cssRule(css, '.toolbar__badge'), { position: 'absolute', right: '8px', top: '-6px', width: '12px', height: '12px' });
+});
+
+test('wrapping Auto Layout spaces items and tracks separately', async () => {
+    const grid = frame('Grid', {
+        layoutMode: 'HORIZONTAL',
+        layoutWrap: 'WRAP',
+        gap: 8,
+        counterAxisSpacing: 24,
+        children: [frame('Tile', { id: '1:2', width: 40, height: 40 })]
+    });
+    const rule = cssRule(fileContent(await generate([grid], CSS), 'Grid.css'), '.grid');
+    assert.strictEqual(rule['flex-wrap'], 'wrap');
+    assert.strictEqual(rule['column-gap'], '8px');
+    assert.strictEqual(rule['row-gap'], '24px');
+    assert.strictEqual(rule.gap, undefined);
+});
+
+test('layers of plain frames are positioned by their constraints', async () => {
+    const canvas = frame('Canvas', {
+        width: 200,
+        height: 100,
+        children: [
+            frame('Dot', { id: '1:2', x: 20, y: 30, width: 10, height: 10, constraints: { horizontal: 'CENTER', vertical: 'SCALE' } }),
+            frame('Bar', { id: '1:3', x: 10, y: 80, width: 180, height: 10, constraints: { horizontal: 'LEFT_RIGHT', vertical: 'BOTTOM' } })
+        ]
+    });
+    const css = fileContent(await generate([canvas], CSS), 'Canvas.css');
+    assert.deepStrictEqual(cssRule(css, '.canvas__dot'), {
+        position: 'absolute',
+        left: 'calc(50% - 80px)',
+        top: '30%',
+        width: '10px',
+        height: '10%'
+    });
+    assert.deepStrictEqual(cssRule(css, '.canvas__bar'), { position: 'absolute', left: '10px', right: '10px', bottom: '10px', height: '10px' });
+});
@@ -0,0 +1,65 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { generate, fileContent, cssRule, frame, text } = require('./helpers');
+
+// Paints: gradients, image fills and stacked fills as CSS backgrounds
+
+const CSS = { styles: 'css', componentLayout: 'single', tokens: false };
+const IDENTITY = [[1, 0, 0], [0, 1, 0]];
+const RED_TO_BLUE = [
+    { position: 0, color: { r: 1, g: 0, b: 0, a: 1 } },
+    { position: 1, color: { r: 0, g: 0, b: 1, a: 1 } }
+];
+// One transparent pixel
+const PNG = 'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII=';
+
+function gradient(type, fields = {}) {
+    return { type, gradientStops: RED_TO_BLUE, gradientTransform: IDENTITY, ...fields };
+}
+
+test('stacks visible fills top-down over a solid base color', async () => {
+    const hero = frame('Hero', {
+        width: 200,
+        height: 100,
+        // Figma lists fills bottom-up
+        fills: [
+            { type: 'SOLID', color: { r: 1, g: 1, b: 1 } },
+            { type: 'IMAGE', imageHash: 'abc', imageBase64: PNG, scaleMode: 'FIT' },
+            gradient('GRADIENT_LINEAR', { opacity: 0.5 }),
+            { type: 'SOLID', visible: false, color: { r: 0, g: 1, b: 0 } }
+        ]
+    });
+    const result = await generate([hero], CSS);
+    const rule = cssRule(fileContent(result, 'Hero.css'), '.hero');
+    assert.strictEqual(rule['background-color'], 'rgb(255, 255, 255)');
+    assert.strictEqual(rule['background-image'], 'linear-gradient(90deg, rgba(255, 0, 0, 0.5) 0%, rgba(0, 0, 255, 0.5) 100%), url(/images/abc.png)');
+    assert.strictEqual(rule['background-size'], 'auto, contain');
+    assert.strictEqual(rule['background-repeat'], 'repeat, no-repeat');
+    assert.deepStrictEqual(result.images, ['public/images/abc.png']);
+});
+
+test('writes radial and angular gradients from their handles', async () => {
+    const swatches = frame('Swatches', {
+        children: [
+            frame('Glow', { id: '1:2', fills: [gradient('GRADIENT_RADIAL')] }),
+            frame('Wheel', { id: '1:3', fills: [gradient('GRADIENT_ANGULAR')] })
+        ]
+    });
+    const css = fileContent(await generate([swatches], CSS), 'Swatches.css');
+    assert.strictEqual(cssRule(css, '.swatches__glow')['background-image'],
+        'radial-gradient(50% 50% at 50% 50%, rgb(255, 0, 0) 0%, rgb(0, 0, 255) 100%)');
+    assert.strictEqual(cssRule(css, '.swatches__wheel')['background-image'],
+        'conic-gradient(from 90deg at 50% 50%, rgb(255, 0, 0) 0%, rgb(0, 0, 255) 100%)');
+});
+
+test('paints gradient text through its glyphs', async () => {
+    // A handle rotated a quarter turn runs the gradient top to bottom
+    const card = frame('Card', {
+        children: [text('Title', 'Title', { fills: [gradient('GRADIENT_LINEAR', { gradientTransform: [[0, 1, 0], [-1, 0, 1]] })] })]
+    });
+    const rule = cssRule(fileContent(await generate([card], CSS), 'Card.css'), '.card__title');
+    assert.strictEqual(rule['background-image'], 'linear-gradient(180deg, rgb(255, 0, 0) 0%, rgb(0, 0, 255) 100%)');
+    assert.strictEqual(rule['background-clip'], 'text');
+    assert.strictEqual(rule['-webkit-text-fill-color'], 'transparent');
+    assert.strictEqual(rule.color, 'transparent');
+});
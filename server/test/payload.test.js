@@ -0,0 +1,78 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { parseGeneratePayload } = require('../index');
+const { frame } = require('./helpers');
+
+// Payloads: what /api/generate accepts, and how it reports what it doesn't
+
+// The 400 a payload is rejected with, as the API answers it
+function rejection(body) {
+    try {
+        parseGeneratePayload(body);
+    } catch (error) {
+        return { status: error.status, error: error.message, errors: error.errors };
+    }
+    assert.fail('The payload was accepted');
+}
+
+test('reports schema problems by JSON path', () => {
+    const { status, errors } = rejection({ version: 2, data: [{ ...frame('Card'), width: 'wide' }] });
+    assert.strictEqual(status, 400);
+    assert.deepStrictEqual(errors.map(({ path }) => path), ['$.data[0].width']);
+});
+
+test('reports option problems by JSON path too', () => {
+    assert.deepStrictEqual(rejection({ version: 2, data: [frame('Card')], options: { styles: 'sass' } }), {
+        status: 400,
+        error: 'options.styles must be one of: inline, css, css-modules, tailwind',
+        errors: [{ path: '$.options.styles', message: 'must be one of: inline, css, css-modules, tailwind' }]
+    });
+    assert.deepStrictEqual(rejection({ version: 2, data: [frame('Card')], options: { fontSource: 'local' } }).errors, [
+        { path: '$.options.fontDirectory', message: 'is required for the local font source' }
+    ]);
+});
+
+test('reports options a target cannot write at their path', () => {
+    assert.deepStrictEqual(rejection({ version: 2, data: [frame('Card')], options: { target: 'svelte', componentLayout: 'split' } }).errors, [
+        { path: '$.options.componentLayout', message: 'must be "single" for the svelte target, which has no split layout' }
+    ]);
+});
+
+test('rejects bodies the generator could not read with a 400 instead of crashing', () => {
+    assert.deepStrictEqual(rejection([]).errors, [{ path: '$', message: 'must have at least 1 item' }]);
+    assert.deepStrictEqual(rejection('Card').errors.map(({ path }) => path), ['$']);
+    assert.deepStrictEqual(rejection({ version: 2, data: [frame('Card', { children: 'none' })] }).errors, [
+        { path: '$.data[0].children', message: 'must be an array, got a string' }
+    ]);
+});
+
+test('migrates unversioned payloads, bare arrays and { data, options } alike', () => {
+    const card = frame('Card');
+    assert.deepStrictEqual(parseGeneratePayload([card]).data, [card]);
+    const wrapped = parseGeneratePayload({ data: [card], options: { styles: 'css' } });
+    assert.deepStrictEqual(wrapped.data, [card]);
+    assert.strictEqual(wrapped.options.styles, 'css');
+});
+
+test('version 1 vectors carry their SVG as markup after migration', () => {
+    const svg = '<svg xmlns="http://www.w3.org/2000/svg"/>';
+    const vector = { id: '3:1', name: 'Arrow', type: 'VECTOR', width: 24, height: 24, svgBase64: `data:image/svg+xml;base64,${Buffer.from(svg).toString('base64')}` };
+    const { data } = parseGeneratePayload([frame('Card', { children: [vector] })]);
+    const { svgBase64, ...rest } = vector;
+    assert.deepStrictEqual(data[0].children, [{ ...rest, svg }]);
+});
+
+test('rejects payloads newer than the server', () => {
+    assert.deepStrictEqual(rejection({ version: 3, data: [frame('Card')] }), {
+        status: 400,
+        error: 'Invalid payload: $.version is 3, newer than this server understands (up to 2); update the server',
+        errors: [{ path: '$.version', message: 'is 3, newer than this server understands (up to 2); update the server' }]
+    });
+});
+
+test('publishes the schema of the current version', () => {
+    const schema = require('../schema/payload.schema.json');
+    assert.strictEqual(schema.properties.version.const, 2);
+    assert.deepStrictEqual(schema.required, ['version', 'data']);
+    assert.deepStrictEqual(schema.$defs.node.required, ['name', 'type', 'width', 'height']);
+});
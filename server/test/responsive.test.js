@@ -0,0 +1,73 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { generate, fileContent, cssRule, frame, text } = require('./helpers');
+
+// Responsive output: breakpoint frames merged into one component with media queries
+
+const CSS = { styles: 'css', componentLayout: 'single', tokens: false };
+
+const MOBILE = frame('Home / mobile', {
+    id: '1:1',
+    width: 375,
+    height: 600,
+    children: [
+        text('Title', 'Hi', { id: '2:1', x: 16, y: 16, fontSize: 24 }),
+        frame('Sidebar', { id: '1:9', y: 100, minWidth: 80, maxWidth: 200 })
+    ]
+});
+
+const DESKTOP = frame('Home / desktop', {
+    id: '1:2',
+    width: 1280,
+    height: 800,
+    children: [
+        text('Title', 'Hi', { id: '2:2', x: 64, y: 32, fontSize: 48 }),
+        frame('Chip', { id: '1:7', layoutMode: 'HORIZONTAL', layoutSizingHorizontal: 'HUG', height: 20 })
+    ]
+});
+
+// Declarations of `selector` inside the `@media (min-width: <minWidth>px)` block that follows its rule
+function mediaRule(css, minWidth, selector) {
+    const escaped = selector.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const match = new RegExp(`@media \\(min-width: ${minWidth}px\\) \\{\\n {4}${escaped} \\{\\n([^}]*)\\}`).exec(css);
+    if (!match) throw new Error(`No ${selector} rule at ${minWidth}px in:\n${css}`);
+    return cssRule(`${selector} {\n${match[1].replace(/^ {4}/gm, '')}}`, selector);
+}
+
+test('merges breakpoint frames of a screen into one full-width component', async () => {
+    const result = await generate([MOBILE, DESKTOP], CSS);
+    assert.deepStrictEqual(result.components.map(component => [component.name, component.breakpoints]), [['Home', ['mobile', 'desktop']]]);
+    assert.ok(!result.changes.some(change => /Home(Mobile|Desktop)/.test(change.path)));
+    const css = fileContent(result, 'Home.css');
+    assert.strictEqual(cssRule(css, '.home').width, '100%');
+    assert.deepStrictEqual(mediaRule(css, 1024, '.home'), { height: '800px' });
+});
+
+test('wider frames override only what differs from the narrowest', async () => {
+    const css = fileContent(await generate([MOBILE, DESKTOP], CSS), 'Home.css');
+    assert.strictEqual(cssRule(css, '.home__title')['font-size'], '24px');
+    assert.deepStrictEqual(mediaRule(css, 1024, '.home__title'), { left: '64px', top: '32px', 'font-size': '48px', 'line-height': '58px' });
+});
+
+test('layers missing from a frame are hidden at its breakpoint', async () => {
+    const css = fileContent(await generate([MOBILE, DESKTOP], CSS), 'Home.css');
+    assert.strictEqual(cssRule(css, '.home__sidebar').display, undefined);
+    assert.deepStrictEqual(mediaRule(css, 1024, '.home__sidebar'), { display: 'none' });
+    assert.strictEqual(cssRule(css, '.home__chip').display, 'none');
+    assert.deepStrictEqual(mediaRule(css, 1024, '.home__chip'), { display: 'revert' });
+});
+
+test('frames named after a width or a custom breakpoint use it as the min-width', async () => {
+    const wide = { ...DESKTOP, name: 'Home / 900' };
+    assert.ok(mediaRule(fileContent(await generate([MOBILE, wide], CSS), 'Home.css'), 900, '.home__title'));
+    const custom = await generate([MOBILE, DESKTOP], { ...CSS, breakpoints: { mobile: 0, desktop: 1280 } });
+    assert.ok(mediaRule(fileContent(custom, 'Home.css'), 1280, '.home__title'));
+});
+
+test('hug sizing drops the fixed size and min/max sizes carry over', async () => {
+    const css = fileContent(await generate([MOBILE, DESKTOP], CSS), 'Home.css');
+    assert.strictEqual(cssRule(css, '.home__chip').width, 'auto');
+    const sidebar = cssRule(css, '.home__sidebar');
+    assert.strictEqual(sidebar['min-width'], '80px');
+    assert.strictEqual(sidebar['max-width'], '200px');
+});
@@ -0,0 +1,70 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { generate, fileContent, cssRule, frame, text } = require('./helpers');
+
+// Rich text: styled runs, links and lists inside one text layer
+
+const BLACK = [{ type: 'SOLID', color: { r: 0, g: 0, b: 0 } }];
+const RED = [{ type: 'SOLID', color: { r: 1, g: 0, b: 0 } }];
+
+function segment(characters, fields = {}) {
+    return {
+        characters,
+        fontName: { family: 'Inter', style: 'Regular' },
+        fontSize: 16,
+        fills: BLACK,
+        listOptions: { type: 'NONE' },
+        indentation: 0,
+        ...fields
+    };
+}
+
+const NOTE = frame('Note', {
+    children: [
+        text('Intro', 'Read the docs now', {
+            fontFamily: 'Inter',
+            fills: BLACK,
+            textSegments: [
+                segment('Read the '),
+                segment('docs', {
+                    fontName: { family: 'Inter', style: 'Bold' },
+                    fontWeight: 700,
+                    textDecoration: 'UNDERLINE',
+                    hyperlink: { type: 'URL', value: 'https://example.com' }
+                }),
+                segment(' now', { fills: RED })
+            ]
+        }),
+        text('Steps', 'One\nTwo', {
+            id: '2:9',
+            fontFamily: 'Inter',
+            fills: BLACK,
+            textSegments: [segment('One\nTwo', { listOptions: { type: 'ORDERED' }, indentation: 1 })]
+        })
+    ]
+});
+
+async function run() {
+    const result = await generate([NOTE], { styles: 'css', componentLayout: 'single', tokens: false });
+    return { code: fileContent(result, 'Note.jsx'), css: fileContent(result, 'Note.css') };
+}
+
+test('runs styled like their layer stay plain text, others become spans', async () => {
+    const { code, css } = await run();
+    assert.match(code, /<div className="note__intro">{'Read the '}<a /);
+    assert.match(code, /<span className="note__intro-span">{' now'}<\/span><\/div>/);
+    // Only what differs from the layer
+    assert.deepStrictEqual(cssRule(css, '.note__intro-span'), { color: 'rgb(255, 0, 0)' });
+});
+
+test('hyperlinks become anchors styled like their run', async () => {
+    const { code, css } = await run();
+    assert.match(code, /<a href="https:\/\/example\.com" className="note__intro-link">{'docs'}<\/a>/);
+    assert.deepStrictEqual(cssRule(css, '.note__intro-link'), { color: 'inherit', 'text-decoration': 'underline', 'font-weight': '700' });
+});
+
+test('list segments become list elements, one item per line', async () => {
+    const { code, css } = await run();
+    assert.match(code, /<ol className="note__steps-list"><li>{'One'}<\/li><li>{'Two'}<\/li><\/ol>/);
+    assert.deepStrictEqual(cssRule(css, '.note__steps-list'), { margin: '0', 'padding-left': '1.5em' });
+});
@@ -0,0 +1,64 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { generate, fileContent, frame, text } = require('./helpers');
+
+// Semantics: elements inferred from layers or hints, and the accessibility report
+
+const PNG = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII=';
+
+function fill(r, g, b) {
+    return [{ type: 'SOLID', color: { r, g, b } }];
+}
+
+const CARD = frame('Card', {
+    width: 300,
+    height: 300,
+    fills: fill(1, 1, 1),
+    children: [
+        text('Title', 'Pricing', { fontSize: 32, fills: fill(0, 0, 0) }),
+        text('Body', 'Faint text', { id: '2:b', fills: fill(0.8, 0.8, 0.8) }),
+        // 3.4:1 is enough for large text
+        text('Lead', 'Large text', { id: '2:c', fontSize: 24, fills: fill(0.55, 0.55, 0.55) }),
+        frame('Button/Primary', { id: '1:b', fills: fill(0, 0.4, 1), children: [text('Label', 'Buy', { fills: fill(1, 1, 1) })] }),
+        frame('Close Button', { id: '1:c' }),
+        { id: '3:3', name: 'Rectangle 4', type: 'RECTANGLE', width: 10, height: 10, image: PNG },
+        frame('Link', { id: '1:l', children: [text('More', 'More')] }),
+        frame('Menu', { id: '1:m', semantics: { tag: 'nav', label: 'Main' } })
+    ]
+});
+
+function run() {
+    return generate([CARD], { styles: 'css', componentLayout: 'single', tokens: false });
+}
+
+test('infers headings, buttons, images and links from the layers', async () => {
+    const code = fileContent(await run(), 'Card.jsx');
+    assert.match(code, /<h1 className="card__title">{'Pricing'}<\/h1>/);
+    assert.match(code, /<h2 className="card__lead">{'Large text'}<\/h2>/);
+    assert.match(code, /<button type="button" className="card__button-primary">/);
+    assert.match(code, /<button type="button" aria-label="Close Button" className="card__close-button"><\/button>/);
+    assert.match(code, /<img src={imgRectangle4} alt="" className="card__rectangle-4" \/>/);
+    assert.match(code, /<a href="#" className="card__link">/);
+});
+
+test('semantics hints set the tag and label', async () => {
+    const code = fileContent(await run(), 'Card.jsx');
+    assert.match(code, /<nav aria-label="Main" className="card__menu"><\/nav>/);
+});
+
+test('reports low contrast, missing names, alt text and link destinations', async () => {
+    const { accessibility } = await run();
+    assert.deepStrictEqual(accessibility.map(entry => [entry.layer, entry.rule]), [
+        ['Body', 'contrast'],
+        ['Close Button', 'accessible-name'],
+        ['Rectangle 4', 'image-alt'],
+        ['Link', 'link-destination']
+    ]);
+    assert.deepStrictEqual(accessibility[0], {
+        component: 'Card',
+        layer: 'Body',
+        id: '2:b',
+        rule: 'contrast',
+        message: 'Contrast 1.61:1 of #cccccc text on #ffffff is below 4.5:1'
+    });
+});
@@ -0,0 +1,44 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { generate, fileContent, cssRule, frame, text } = require('./helpers');
+
+// Style modes: inline style objects, a plain stylesheet or CSS Modules
+
+const CARD = frame('Card', {
+    fills: [{ type: 'SOLID', color: { r: 1, g: 0, b: 0 } }],
+    children: [text('Title', 'Title'), text('Body', 'Body')]
+});
+
+function run(styles) {
+    return generate([CARD], { styles, componentLayout: 'single', tokens: false });
+}
+
+test('"inline" writes style objects on the elements', async () => {
+    const code = fileContent(await run('inline'), 'Card.jsx');
+    assert.match(code, /<div style={{position: 'relative', width: '100px', height: '100px', backgroundColor: 'rgb\(255, 0, 0\)'/);
+    assert.doesNotMatch(code, /className/);
+});
+
+test('"css" writes classes scoped under the component name', async () => {
+    const result = await run('css');
+    const code = fileContent(result, 'Card.jsx');
+    assert.match(code, /import '\.\/Card\.css';/);
+    assert.match(code, /<div className="card">/);
+    // Layers with the same declarations share one class, named after the first
+    assert.strictEqual(code.match(/className="card__title"/g).length, 2);
+    const css = fileContent(result, 'Card.css');
+    assert.strictEqual(cssRule(css, '.card')['background-color'], 'rgb(255, 0, 0)');
+    assert.strictEqual(cssRule(css, '.card__title')['font-size'], '16px');
+    assert.doesNotMatch(code, /style={{/);
+});
+
+test('"css-modules" writes a module stylesheet read as styles.name', async () => {
+    const result = await run('css-modules');
+    const code = fileContent(result, 'Card.jsx');
+    assert.match(code, /import styles from '\.\/Card\.module\.css';/);
+    assert.match(code, /<div className={styles\.root}>/);
+    assert.match(code, /<div className={styles\.title}>/);
+    const css = fileContent(result, 'Card.module.css');
+    assert.strictEqual(cssRule(css, '.root')['background-color'], 'rgb(255, 0, 0)');
+    assert.strictEqual(cssRule(css, '.title').position, 'absolute');
+});
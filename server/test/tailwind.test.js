@@ -0,0 +1,51 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createTailwindTheme, stylesToTailwindClasses } = require('../tailwind');
+const { withApp, generate, fileContent, frame } = require('./helpers');
+
+// Tailwind output: utilities from the default theme or the project's own config
+
+const RED_BOX = frame('Box', { fills: [{ type: 'SOLID', color: { r: 1, g: 0, b: 0 } }] });
+const TAILWIND = { styles: 'tailwind', tokens: false, componentLayout: 'single' };
+
+test('maps styles onto theme utilities, arbitrary values and keywords', () => {
+    const classes = stylesToTailwindClasses({
+        padding: '16px',
+        width: '123px',
+        lineHeight: 'normal',
+        color: 'inherit',
+        backgroundColor: 'transparent'
+    }, createTailwindTheme());
+    assert.deepStrictEqual(classes, ['p-4', 'w-[123px]', 'leading-[normal]', 'text-inherit', 'bg-transparent']);
+});
+
+const CONFIGS = {
+    'tailwind.config.js': 'module.exports = { theme: { extend: { colors: { brand: "#ff0000" } } } };\n',
+    'tailwind.config.cjs': 'module.exports = { theme: { extend: { colors: { brand: "#ff0000" } } } };\n',
+    'tailwind.config.mjs': 'export default { theme: { extend: { colors: { brand: "#ff0000" } } } };\n',
+    'tailwind.config.ts': [
+        "import type { Config } from 'tailwindcss';",
+        'const config: Config = { content: [], theme: { extend: { colors: { brand: "#ff0000" } } } };',
+        'export default config;',
+        ''
+    ].join('\n')
+};
+
+Object.entries(CONFIGS).forEach(([file, content]) => {
+    test(`uses the project theme from ${file}`, () => withApp({ [file]: content }, async appDir => {
+        const result = await generate([RED_BOX], TAILWIND, appDir);
+        assert.match(fileContent(result, 'Box.jsx'), /\bbg-brand\b/);
+    }));
+});
+
+test('unwraps an ESM export default in tailwind.config.js', () => withApp({
+    'package.json': '{ "type": "module" }\n',
+    'tailwind.config.js': 'export default { theme: { extend: { colors: { brand: "#ff0000" } } } };\n'
+}, async appDir => {
+    const result = await generate([RED_BOX], TAILWIND, appDir);
+    assert.match(fileContent(result, 'Box.jsx'), /\bbg-brand\b/);
+}));
+
+test('reports a broken config as a 400', () => withApp({ 'tailwind.config.js': 'module.exports = {;\n' }, async appDir => {
+    await assert.rejects(generate([RED_BOX], TAILWIND, appDir), error => error.status === 400 && /Could not load Tailwind config/.test(error.message));
+}));
@@ -0,0 +1,78 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { withApp, generate, fileContent, cssRule, frame, text } = require('./helpers');
+
+// Design tokens: shared values exported to tokens.json / tokens.css and used as variables
+
+const TOKENS = { styles: 'css', componentLayout: 'single', tokens: true };
+const GRAY = { type: 'SOLID', color: { r: 0.2, g: 0.2, b: 0.2 } };
+
+const CARD = frame('Card', {
+    fills: [{ type: 'SOLID', color: { r: 1, g: 0, b: 0 }, variable: 'Colors/Brand/Primary' }],
+    cornerRadius: 8,
+    effects: [{ type: 'DROP_SHADOW', offset: { x: 0, y: 2 }, radius: 4, color: { r: 0, g: 0, b: 0, a: 0.25 } }],
+    styleNames: { effect: 'Elevation/Card' },
+    children: [
+        text('Title', 'Title', { fills: [GRAY], fontSize: 24, styleNames: { text: 'Heading/Large' } }),
+        text('Body', 'Body', { fills: [GRAY] })
+    ]
+});
+
+test('names tokens after Figma variables and styles, else after their values', async () => {
+    const css = fileContent(await generate([CARD], TOKENS), 'src/tokens.css');
+    assert.strictEqual(css, [
+        ':root {',
+        '    --color-1: rgba(0, 0, 0, 0.25);',
+        '    --color-2: rgb(51, 51, 51);',
+        '    --color-brand-primary: rgb(255, 0, 0);',
+        '    --font-size-16: 16px;',
+        '    --font-size-heading-large: 24px;',
+        '    --font-weight-400: 400;',
+        '    --line-height-19: 19px;',
+        '    --line-height-heading-large: 29px;',
+        '    --radius-8: 8px;',
+        '    --shadow-elevation-card: 0px 2px 4px 0px var(--color-1);',
+        '}',
+        ''
+    ].join('\n'));
+});
+
+test('exports W3C design tokens with the CSS value under $extensions', async () => {
+    const tokens = JSON.parse(fileContent(await generate([CARD], TOKENS), 'src/tokens.json'));
+    assert.deepStrictEqual(tokens.color.brand.primary, {
+        $type: 'color',
+        $value: '#ff0000',
+        $extensions: { 'figma-generator': { css: 'rgb(255, 0, 0)' } }
+    });
+    assert.deepStrictEqual(tokens.shadow.elevation.card.$value, [
+        { color: '#00000040', offsetX: '0px', offsetY: '2px', blur: '4px', spread: '0px' }
+    ]);
+    assert.strictEqual(tokens.fontWeight['400'].$value, 400);
+});
+
+test('components use the variables instead of the literals', async () => {
+    const result = await generate([CARD], TOKENS);
+    assert.match(fileContent(result, 'Card.jsx'), /import '\.\.\/tokens\.css';/);
+    const css = fileContent(result, 'Card.css');
+    const card = cssRule(css, '.card');
+    assert.strictEqual(card['background-color'], 'var(--color-brand-primary)');
+    assert.strictEqual(card['box-shadow'], 'var(--shadow-elevation-card)');
+    assert.strictEqual(card['border-radius'], 'var(--radius-8)');
+    assert.strictEqual(cssRule(css, '.card__title')['font-size'], 'var(--font-size-heading-large)');
+});
+
+test('keeps the names an earlier tokens.json gave to the same values', () => withApp({
+    'src/tokens.json': JSON.stringify({
+        color: { text: { muted: { $type: 'color', $value: '#333333', $extensions: { 'figma-generator': { css: 'rgb(51, 51, 51)' } } } } }
+    })
+}, async appDir => {
+    const result = await generate([CARD], TOKENS, appDir);
+    assert.match(fileContent(result, 'src/tokens.css'), /--color-text-muted: rgb\(51, 51, 51\);/);
+    assert.strictEqual(cssRule(fileContent(result, 'Card.css'), '.card__title').color, 'var(--color-text-muted)');
+}));
+
+test('tokens: false keeps literal values', async () => {
+    const result = await generate([CARD], { ...TOKENS, tokens: false });
+    assert.ok(!result.changes.some(change => change.path.startsWith('src/tokens.')));
+    assert.strictEqual(cssRule(fileContent(result, 'Card.css'), '.card')['background-color'], 'rgb(255, 0, 0)');
+});
@@ -0,0 +1,96 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { withApp, generate, frame } = require('./helpers');
+
+// Writes: what a run does to files that already exist in the app
+
+const CARD = frame('Card', { fills: [{ type: 'SOLID', color: { r: 1, g: 1, b: 1 } }] });
+
+function statusOf(result, suffix) {
+    return result.changes.find(change => change.path.endsWith(suffix)).status;
+}
+
+const SINGLE = { componentLayout: 'single', styles: 'css', tokens: false };
+
+test('a dry run writes nothing and previews each file with a diff', () => withApp({}, async appDir => {
+    const result = await generate([CARD], SINGLE, appDir);
+    assert.strictEqual(result.dryRun, true);
+    assert.strictEqual(statusOf(result, 'Card.jsx'), 'created');
+    assert.match(result.changes.find(change => change.path === 'src/components/Card.jsx').diff, /^\+\+\+ b\/src\/components\/Card\.jsx/m);
+    assert.deepStrictEqual(fs.readdirSync(appDir), []);
+}));
+
+test('a second run of the same design leaves every file unchanged', () => withApp({}, async appDir => {
+    await generate([CARD], { ...SINGLE, dryRun: false }, appDir);
+    const second = await generate([CARD], SINGLE, appDir);
+    assert.deepStrictEqual(second.changes.filter(change => change.status !== 'unchanged').map(change => change.path), []);
+    assert.deepStrictEqual(second.files, []);
+}));
+
+// A run, a hand edit to the component, then a run of a changed design with `onConflict`
+async function regenerateEdited(appDir, onConflict) {
+    const componentPath = path.join(appDir, 'src/components/Card.jsx');
+    await generate([CARD], { ...SINGLE, dryRun: false }, appDir);
+    const edited = fs.readFileSync(componentPath, 'utf8') + '// tweaked by hand\n';
+    fs.writeFileSync(componentPath, edited);
+    const result = await generate([{ ...CARD, width: 120 }], { ...SINGLE, dryRun: false, onConflict }, appDir);
+    return { result, edited, onDisk: fs.readFileSync(componentPath, 'utf8') };
+}
+
+test('onConflict "refuse" leaves hand-edited files alone', () => withApp({}, async appDir => {
+    const { result, edited, onDisk } = await regenerateEdited(appDir, 'refuse');
+    assert.strictEqual(statusOf(result, 'Card.jsx'), 'conflict');
+    assert.strictEqual(onDisk, edited);
+    assert.deepStrictEqual(result.conflicts, [
+        { path: 'src/components/Card.jsx', resolution: 'refused', reason: 'hand-edited since the last generation' }
+    ]);
+    // Files nobody edited are still updated
+    assert.strictEqual(statusOf(result, 'Card.css'), 'updated');
+}));
+
+test('onConflict "backup" keeps a copy of the hand-edited file before rewriting it', () => withApp({}, async appDir => {
+    const { result, edited, onDisk } = await regenerateEdited(appDir, 'backup');
+    assert.strictEqual(statusOf(result, 'Card.jsx'), 'updated');
+    assert.doesNotMatch(onDisk, /tweaked by hand/);
+    const [conflict] = result.conflicts;
+    assert.strictEqual(conflict.resolution, 'backed-up');
+    assert.match(conflict.backup, /^src\/components\/Card\.jsx\..+\.bak$/);
+    assert.strictEqual(fs.readFileSync(path.join(appDir, conflict.backup), 'utf8'), edited);
+}));
+
+test('onConflict "overwrite" rewrites hand-edited files without a backup', () => withApp({}, async appDir => {
+    const { result, onDisk } = await regenerateEdited(appDir, 'overwrite');
+    assert.doesNotMatch(onDisk, /tweaked by hand/);
+    assert.deepStrictEqual(result.conflicts.map(({ resolution, backup }) => ({ resolution, backup })), [
+        { resolution: 'overwritten', backup: undefined }
+    ]);
+    assert.deepStrictEqual(fs.readdirSync(path.join(appDir, 'src/components')).filter(file => file.endsWith('.bak')), []);
+}));
+
+test('split layout creates the wrapper once and never rewrites it', () => withApp({}, async appDir => {
+    const wrapperPath = path.join(appDir, 'src/components/Card.jsx');
+    const first = await generate([CARD], { dryRun: false, jsxRuntime: 'classic' }, appDir);
+    assert.strictEqual(statusOf(first, 'Card.jsx'), 'created');
+    const written = fs.readFileSync(wrapperPath, 'utf8');
+    assert.match(written, /import React from 'react';/);
+
+    // The planned wrapper changes (no React import), but the file on disk is still the
+    // generator's own: it stays as it is
+    const second = await generate([CARD], { dryRun: false, jsxRuntime: 'automatic' }, appDir);
+    assert.strictEqual(statusOf(second, 'Card.jsx'), 'kept');
+    assert.deepStrictEqual(second.conflicts, []);
+    assert.strictEqual(fs.readFileSync(wrapperPath, 'utf8'), written);
+    assert.strictEqual(statusOf(second, 'Card.generated.jsx'), 'updated');
+}));
+
+test('split layout flags a kept wrapper that no longer imports the generated base', () => withApp({
+    'src/components/Card.jsx': 'const Card = () => null;\nexport default Card;\n'
+}, async appDir => {
+    const result = await generate([CARD], {}, appDir);
+    assert.strictEqual(statusOf(result, 'Card.jsx'), 'kept');
+    assert.deepStrictEqual(result.conflicts.map(({ path: conflictPath, resolution }) => ({ path: conflictPath, resolution })), [
+        { path: 'src/components/Card.jsx', resolution: 'kept' }
+    ]);
+}));
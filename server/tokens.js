@@ -0,0 +1,242 @@
+// Design Tokens - distinct style values collected across a payload, named after the
+// designers' Figma styles/variables where known, exported as W3C design tokens JSON
+// and CSS custom properties, and substituted back into generated styles as var(--...)
+
+const { cssValue } = require('./css');
+
+// Token groups in output order: JSON group key, W3C $type and CSS variable prefix
+const TOKEN_GROUPS = {
+    color: { type: 'color', prefix: 'color' },
+    fontFamily: { type: 'fontFamily', prefix: 'font-family' },
+    fontSize: { type: 'dimension', prefix: 'font-size' },
+    fontWeight: { type: 'fontWeight', prefix: 'font-weight' },
+    lineHeight: { type: 'dimension', prefix: 'line-height' },
+    letterSpacing: { type: 'dimension', prefix: 'letter-spacing' },
+    radius: { type: 'dimension', prefix: 'radius' },
+    shadow: { type: 'shadow', prefix: 'shadow' }
+};
+
+// Style properties whose whole value is a single token of a group
+const PROPERTY_GROUPS = {
+    fontFamily: 'fontFamily',
+    fontSize: 'fontSize',
+    fontWeight: 'fontWeight',
+    lineHeight: 'lineHeight',
+    letterSpacing: 'letterSpacing'
+};
+
+// Where the generator keeps the CSS literal a token stands for
+const EXTENSION_KEY = 'figma-generator';
+
+// Colors appear inside composite values (gradients, shadows), so match them anywhere
+const COLOR_LITERAL_REGEX = /rgba?\([^)]*\)/g;
+
+// 'rgb(255, 0, 0)' / 'rgba(255, 0, 0, 0.5)' -> '#ff0000' / '#ff000080'
+function cssColorToHex(literal) {
+    const match = /^rgba?\(([^)]*)\)$/.exec(String(literal).trim());
+    if (!match) return String(literal);
+    const [r, g, b, a = 1] = match[1].split(',').map(part => parseFloat(part));
+    const hex = value => Math.round(value).toString(16).padStart(2, '0');
+    return `#${hex(r)}${hex(g)}${hex(b)}${a < 1 ? hex(a * 255) : ''}`;
+}
+
+// W3C $value for a CSS literal when the caller has no structured value
+function defaultTokenValue(group, literal) {
+    if (group === 'color') return cssColorToHex(literal);
+    if (group === 'fontWeight') return Number(literal);
+    return literal;
+}
+
+// 'Brand/Primary 500' -> ['brand', 'primary-500']; a leading segment repeating the
+// group ('Colors/Brand', 'Radius/Card') is dropped so variables don't read --color-colors-brand
+function toTokenPath(group, name) {
+    const path = String(name)
+        .split('/')
+        .map(segment => segment.trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, ''))
+        .filter(Boolean);
+    const groupWords = [TOKEN_GROUPS[group].prefix, `${TOKEN_GROUPS[group].prefix}s`];
+    return path.length > 1 && groupWords.includes(path[0]) ? path.slice(1) : path;
+}
+
+// Value-derived name for unnamed scalar tokens: '16px' -> '16', '0.5px' -> '0-5', 'Open Sans' -> 'open-sans'
+function valueToTokenName(literal) {
+    return String(literal)
+        .replace(/px$/, '')
+        .replace(/%$/, '-pct')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '');
+}
+
+function createTokenSet(existing = {}) {
+    // group -> Map(literal -> token), token = { path, value, literal, designerPath }
+    const groups = {};
+    const usedNames = {};
+    Object.keys(TOKEN_GROUPS).forEach(group => {
+        groups[group] = new Map();
+        usedNames[group] = new Set();
+    });
+
+    function claimPath(group, path) {
+        const base = path.join('/');
+        let name = base;
+        for (let suffix = 2; usedNames[group].has(name); suffix++) {
+            name = `${base}-${suffix}`;
+        }
+        usedNames[group].add(name);
+        return name.split('/');
+    }
+
+    function autoPath(group, literal) {
+        // Colors and shadows have no readable value-derived name, so number them
+        if (group === 'color' || group === 'shadow') {
+            let index = 1;
+            while (usedNames[group].has(String(index))) index++;
+            return [String(index)];
+        }
+        // A family with its fallback stack is named after the family alone
+        if (group === 'fontFamily') literal = String(literal).split(',')[0];
+        return [valueToTokenName(literal) || 'value'];
+    }
+
+    // Name tokens once every value is known: designer names claim theirs before
+    // auto names are handed out, so numbering follows first appearance
+    function assignNames() {
+        Object.keys(groups).forEach(group => {
+            const unnamed = Array.from(groups[group].values()).filter(token => !token.path);
+            unnamed.filter(token => token.designerPath).forEach(token => {
+                token.path = claimPath(group, token.designerPath);
+            });
+            unnamed.filter(token => !token.designerPath).forEach(token => {
+                token.path = claimPath(group, autoPath(group, token.literal));
+            });
+        });
+    }
+
+    const tokenSet = {
+        // Record a value; the first designer-provided name for a value wins
+        add(group, literal, designerName, value = defaultTokenValue(group, literal)) {
+            if (!TOKEN_GROUPS[group] || literal === undefined || literal === null || literal === '') return;
+            const key = String(literal);
+            const designerPath = designerName ? toTokenPath(group, designerName) : [];
+            const token = groups[group].get(key);
+
+            if (!token) {
+                groups[group].set(key, { path: null, value, literal: key, designerPath: designerPath.length > 0 ? designerPath : null });
+            } else if (!token.path && !token.designerPath && designerPath.length > 0) {
+                token.designerPath = designerPath;
+            }
+        },
+
+        cssVariable(group, literal) {
+            assignNames();
+            const token = groups[group] && groups[group].get(String(literal));
+            return token ? `var(--${[TOKEN_GROUPS[group].prefix, ...token.path].join('-')})` : null;
+        },
+
+        // Replace literal values in a style object with references to their tokens
+        apply(styles) {
+            const result = {};
+            Object.entries(styles).forEach(([key, value]) => {
+                const group = PROPERTY_GROUPS[key];
+                const whole = group && this.cssVariable(group, value);
+                if (whole) {
+                    result[key] = whole;
+                    return;
+                }
+                if (typeof value !== 'string') {
+                    result[key] = value;
+                    return;
+                }
+
+                let replaced = value;
+                if (key === 'borderRadius') {
+                    replaced = replaced.split(' ').map(part => this.cssVariable('radius', part) || part).join(' ');
+                }
+                if (key === 'boxShadow') {
+                    // Effect shadows are tokenized as a whole list, which may trail stroke shadows
+                    groups.shadow.forEach((token, literal) => {
+                        if (replaced.endsWith(literal)) {
+                            replaced = replaced.slice(0, replaced.length - literal.length) + this.cssVariable('shadow', literal);
+                        }
+                    });
+                }
+                replaced = replaced.replace(COLOR_LITERAL_REGEX, literal => this.cssVariable('color', literal) || literal);
+                result[key] = replaced;
+            });
+            return result;
+        },
+
+        // W3C design tokens format: nested groups of { $type, $value }
+        toJSON() {
+            assignNames();
+            const json = {};
+            Object.entries(TOKEN_GROUPS).forEach(([group, { type }]) => {
+                groups[group].forEach(token => {
+                    let target = json[group] = json[group] || {};
+                    token.path.slice(0, -1).forEach(segment => {
+                        target = target[segment] = target[segment] || {};
+                    });
+                    target[token.path[token.path.length - 1]] = {
+                        $type: type,
+                        $value: token.value,
+                        $extensions: { [EXTENSION_KEY]: { css: token.literal } }
+                    };
+                });
+            });
+            return json;
+        },
+
+        // Tokens in tokens.json's order: later runs read that file back (which lists
+        // integer-like names such as 16 first), so rerunning writes the same stylesheet
+        toCSS() {
+            const json = tokenSet.toJSON();
+            const lines = [];
+            Object.entries(TOKEN_GROUPS).forEach(([group, { prefix }]) => {
+                (function walk(node, path) {
+                    Object.entries(node || {}).forEach(([key, child]) => {
+                        if (child.$value === undefined) {
+                            walk(child, path.concat(key));
+                            return;
+                        }
+                        const literal = child.$extensions[EXTENSION_KEY].css;
+                        // Shadows reference the color tokens they are drawn with
+                        const value = group === 'shadow'
+                            ? literal.replace(COLOR_LITERAL_REGEX, color => tokenSet.cssVariable('color', color) || color)
+                            : cssValue(group, literal);
+                        lines.push(`    --${[prefix, ...path, key].join('-')}: ${value};`);
+                    });
+                })(json[group], []);
+            });
+            return `:root {\n${lines.join('\n')}\n}\n`;
+        }
+    };
+
+    // Seed with the tokens of earlier runs so existing names stay stable
+    Object.keys(TOKEN_GROUPS).forEach(group => {
+        (function walk(node, path) {
+            Object.entries(node || {}).forEach(([key, child]) => {
+                if (!child || typeof child !== 'object' || key.startsWith('$')) return;
+                const extension = child.$extensions && child.$extensions[EXTENSION_KEY];
+                if (child.$value !== undefined && extension && extension.css) {
+                    const tokenPath = path.concat(key);
+                    usedNames[group].add(tokenPath.join('/'));
+                    groups[group].set(String(extension.css), {
+                        path: tokenPath,
+                        value: child.$value,
+                        literal: String(extension.css)
+                    });
+                } else {
+                    walk(child, path.concat(key));
+                }
+            });
+        })(existing[group], []);
+    });
+
+    return tokenSet;
+}
+
+module.exports = {
+    createTokenSet,
+    cssColorToHex
+};
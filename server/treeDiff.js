@@ -0,0 +1,271 @@
+// Tree Diff - what a designer changed between two payloads, as readable changes per layer:
+// "Card / Button: padding 12→16, fill #2563eb→#1d4ed8, text "Buy"→"Buy now"". Layers are
+// matched by Figma id, then by name among their siblings; each matched pair is compared
+// property by property and layers only one side has are reported as added or removed.
+
+const ARROW = '→';
+const MAX_TEXT = 40;
+
+// Compared one by one: node field -> label
+const SCALAR_FIELDS = {
+    gap: 'gap',
+    counterAxisSpacing: 'row gap',
+    cornerRadius: 'radius',
+    opacity: 'opacity',
+    rotation: 'rotation',
+    fontFamily: 'font',
+    fontSize: 'font size',
+    fontWeight: 'font weight',
+    textAlign: 'text align',
+    textCase: 'text case',
+    textDecoration: 'text decoration',
+    layoutMode: 'layout',
+    layoutWrap: 'wrap',
+    primaryAxisAlignItems: 'main axis alignment',
+    counterAxisAlignItems: 'cross axis alignment',
+    layoutPositioning: 'positioning',
+    layoutSizingHorizontal: 'horizontal sizing',
+    layoutSizingVertical: 'vertical sizing',
+    minWidth: 'min width',
+    maxWidth: 'max width',
+    minHeight: 'min height',
+    maxHeight: 'max height',
+    blendMode: 'blend mode',
+    strokeAlign: 'stroke align'
+};
+
+function formatNumber(value) {
+    return String(Math.round(value * 100) / 100);
+}
+
+function formatValue(value) {
+    if (value === undefined || value === null) return 'none';
+    if (typeof value === 'number') return formatNumber(value);
+    if (typeof value === 'string') return value;
+    return JSON.stringify(value);
+}
+
+function quote(text) {
+    const value = String(text);
+    return JSON.stringify(value.length > MAX_TEXT ? `${value.slice(0, MAX_TEXT - 1)}…` : value);
+}
+
+function change(label, from, to) {
+    return `${label} ${from}${ARROW}${to}`;
+}
+
+function toHex({ r, g, b }, alpha = 1) {
+    const hex = value => Math.round(value * 255).toString(16).padStart(2, '0');
+    return `#${hex(r)}${hex(g)}${hex(b)}${alpha < 1 ? hex(alpha) : ''}`;
+}
+
+function describePaint(paint) {
+    if (paint.visible === false) return null;
+    const opacity = paint.opacity === undefined ? 1 : paint.opacity;
+    if (paint.type === 'SOLID' && paint.color) return toHex(paint.color, opacity * (paint.color.a === undefined ? 1 : paint.color.a));
+    if (paint.type === 'IMAGE') return `image${paint.imageHash ? ` ${paint.imageHash.slice(0, 8)}` : ''}`;
+    if (paint.type.startsWith('GRADIENT_')) {
+        const stops = (paint.gradientStops || []).map(stop => toHex(stop.color, stop.color.a)).join(' ');
+        return `${paint.type.slice('GRADIENT_'.length).toLowerCase()} gradient${stops ? ` ${stops}` : ''}`;
+    }
+    return paint.type.toLowerCase();
+}
+
+function describePaints(paints) {
+    const described = (paints || []).map(describePaint).filter(Boolean);
+    return described.length > 0 ? described.join(', ') : 'none';
+}
+
+function describeEffect(effect) {
+    if (effect.visible === false) return null;
+    const parts = [effect.type.toLowerCase().replace(/_/g, ' ')];
+    if (effect.offset) parts.push(`${formatNumber(effect.offset.x)} ${formatNumber(effect.offset.y)}`);
+    if (effect.radius !== undefined) parts.push(formatNumber(effect.radius));
+    if (effect.spread) parts.push(formatNumber(effect.spread));
+    if (effect.color) parts.push(toHex(effect.color, effect.color.a));
+    return parts.join(' ');
+}
+
+// Top/right/bottom/left as CSS shorthand: '12', '8 16', '4 8 4 8'
+function describeSides(top = 0, right = 0, bottom = 0, left = 0) {
+    const [t, r, b, l] = [top, right, bottom, left].map(formatNumber);
+    if (t === r && t === b && t === l) return t;
+    if (t === b && r === l) return `${t} ${r}`;
+    return `${t} ${r} ${b} ${l}`;
+}
+
+function describeMeasure(measure) {
+    if (!measure) return 'none';
+    if (measure.unit === 'AUTO') return 'auto';
+    return `${formatNumber(measure.value)}${measure.unit === 'PERCENT' ? '%' : ''}`;
+}
+
+// Instance property names carry the property id ('Label#12:3')
+function propertyName(key) {
+    return key.replace(/#[^#]*$/, '');
+}
+
+function compareFields(before, after, fields, changes) {
+    Object.entries(fields).forEach(([field, label]) => {
+        const from = formatValue(before[field]);
+        const to = formatValue(after[field]);
+        if (from !== to) changes.push(change(label, from, to));
+    });
+}
+
+// Property changes of one matched layer (children aside)
+function compareNode(before, after, isTopLevel) {
+    const changes = [];
+    if (before.name !== after.name) changes.push(`renamed ${quote(before.name)}${ARROW}${quote(after.name)}`);
+    if ((before.visible !== false) !== (after.visible !== false)) changes.push(after.visible === false ? 'hidden' : 'shown');
+
+    const size = node => `${formatNumber(node.width)}×${formatNumber(node.height)}`;
+    if (size(before) !== size(after)) changes.push(change('size', size(before), size(after)));
+    // Where a top-level frame sits on the canvas doesn't show in the code
+    if (!isTopLevel) {
+        const position = node => `(${formatNumber(node.x || 0)}, ${formatNumber(node.y || 0)})`;
+        if (position(before) !== position(after)) changes.push(change('position', position(before), position(after)));
+    }
+
+    const padding = node => describeSides(node.paddingTop, node.paddingRight, node.paddingBottom, node.paddingLeft);
+    if (padding(before) !== padding(after)) changes.push(change('padding', padding(before), padding(after)));
+
+    compareFields(before, after, SCALAR_FIELDS, changes);
+
+    const radii = node => (node.cornerRadii
+        ? describeSides(node.cornerRadii.topLeft, node.cornerRadii.topRight, node.cornerRadii.bottomRight, node.cornerRadii.bottomLeft)
+        : 'none');
+    if (radii(before) !== radii(after)) changes.push(change('corner radii', radii(before), radii(after)));
+
+    ['lineHeight', 'letterSpacing'].forEach(field => {
+        const label = field === 'lineHeight' ? 'line height' : 'letter spacing';
+        const from = describeMeasure(before[field]);
+        const to = describeMeasure(after[field]);
+        if (from !== to) changes.push(change(label, from, to));
+    });
+
+    const fills = [describePaints(before.fills), describePaints(after.fills)];
+    if (fills[0] !== fills[1]) changes.push(change((before.fills || []).length > 1 || (after.fills || []).length > 1 ? 'fills' : 'fill', ...fills));
+    const strokes = [describePaints(before.strokes), describePaints(after.strokes)];
+    if (strokes[0] !== strokes[1]) changes.push(change('stroke', ...strokes));
+    const strokeWidth = node => formatValue(((node.strokes || [])[0] || {}).weight);
+    if (strokeWidth(before) !== strokeWidth(after)) changes.push(change('stroke width', strokeWidth(before), strokeWidth(after)));
+    const effects = node => (node.effects || []).map(describeEffect).filter(Boolean).join(', ') || 'none';
+    if (effects(before) !== effects(after)) changes.push(change('effects', effects(before), effects(after)));
+
+    if ((before.textContent || '') !== (after.textContent || '')) {
+        changes.push(`text ${quote(before.textContent || '')}${ARROW}${quote(after.textContent || '')}`);
+    } else if (JSON.stringify(before.textSegments || []) !== JSON.stringify(after.textSegments || [])) {
+        changes.push('text styling changed');
+    }
+    if (before.svg !== after.svg) changes.push('artwork changed');
+    if (before.image !== after.image) changes.push('image changed');
+
+    const mainComponent = node => (node.mainComponent ? node.mainComponent.name : null);
+    if (before.mainComponent && after.mainComponent && before.mainComponent.id !== after.mainComponent.id) {
+        changes.push(`swapped ${quote(mainComponent(before))}${ARROW}${quote(mainComponent(after))}`);
+    }
+
+    // Variant and property values of instances and variants
+    const values = node => {
+        const result = { ...node.variantProperties };
+        Object.entries(node.componentProperties || {}).forEach(([key, { value }]) => {
+            result[propertyName(key)] = value;
+        });
+        return result;
+    };
+    const beforeValues = values(before);
+    const afterValues = values(after);
+    new Set([...Object.keys(beforeValues), ...Object.keys(afterValues)]).forEach(name => {
+        const from = formatValue(beforeValues[name]);
+        const to = formatValue(afterValues[name]);
+        if (from !== to) changes.push(change(name, from, to));
+    });
+
+    // Props of component sets and components
+    const beforeProps = before.componentPropertyDefinitions || {};
+    const afterProps = after.componentPropertyDefinitions || {};
+    new Set([...Object.keys(beforeProps), ...Object.keys(afterProps)]).forEach(key => {
+        const name = propertyName(key);
+        if (!beforeProps[key]) changes.push(`prop ${name} added`);
+        else if (!afterProps[key]) changes.push(`prop ${name} removed`);
+        else {
+            const from = formatValue(beforeProps[key].defaultValue);
+            const to = formatValue(afterProps[key].defaultValue);
+            if (from !== to) changes.push(change(`prop ${name} default`, from, to));
+            if (JSON.stringify(beforeProps[key].variantOptions) !== JSON.stringify(afterProps[key].variantOptions)) {
+                changes.push(change(`prop ${name} options`, (beforeProps[key].variantOptions || []).join('|'), (afterProps[key].variantOptions || []).join('|')));
+            }
+        }
+    });
+
+    if (JSON.stringify(before.semantics || null) !== JSON.stringify(after.semantics || null)) changes.push('semantics changed');
+    return changes;
+}
+
+// Pairs of [before, after] nodes: by id where both sides have one, then by name in order.
+// Unmatched nodes pair with undefined.
+function matchNodes(beforeNodes, afterNodes) {
+    const pairs = [];
+    const unmatchedAfter = new Set(afterNodes);
+    const afterById = new Map(afterNodes.filter(node => node.id).map(node => [node.id, node]));
+    const pending = [];
+
+    beforeNodes.forEach(node => {
+        const match = node.id && afterById.get(node.id);
+        if (match && unmatchedAfter.has(match)) {
+            unmatchedAfter.delete(match);
+            pairs.push([node, match]);
+        } else {
+            pending.push(node);
+        }
+    });
+    pending.forEach(node => {
+        const match = afterNodes.find(candidate => unmatchedAfter.has(candidate) && candidate.name === node.name);
+        if (match) unmatchedAfter.delete(match);
+        pairs.push([node, match]);
+    });
+    afterNodes.filter(node => unmatchedAfter.has(node)).forEach(node => pairs.push([undefined, node]));
+    return pairs;
+}
+
+function diffLayer(before, after, layerPath, layers, isTopLevel) {
+    const layer = { path: layerPath, ...(after.id ? { id: after.id } : {}), changes: compareNode(before, after, isTopLevel) };
+    layers.push(layer);
+
+    const afterChildren = after.children || [];
+    const pairs = matchNodes(before.children || [], afterChildren);
+    pairs.forEach(([from, to]) => {
+        if (!to) layer.changes.push(`removed ${quote(from.name)}`);
+        else if (!from) layer.changes.push(`added ${quote(to.name)}`);
+    });
+    const matched = pairs.filter(([from, to]) => from && to);
+    const order = matched.map(([, to]) => afterChildren.indexOf(to));
+    if (order.some((index, i) => i > 0 && index < order[i - 1])) layer.changes.push('children reordered');
+
+    matched.forEach(([from, to]) => diffLayer(from, to, `${layerPath} / ${to.name}`, layers, false));
+    // Kept in place until now so parents come before their children
+    if (layer.changes.length === 0) layers.splice(layers.indexOf(layer), 1);
+}
+
+// Layers that changed between two payloads' nodes, in tree order:
+// [{ path: 'Card / Button', id, changes: ['padding 12→16', 'text changed'] }]
+function diffNodeTrees(beforeData, afterData) {
+    const layers = [];
+    matchNodes(beforeData, afterData).forEach(([before, after]) => {
+        if (!after) layers.push({ path: before.name, ...(before.id ? { id: before.id } : {}), changes: ['removed'] });
+        else if (!before) layers.push({ path: after.name, ...(after.id ? { id: after.id } : {}), changes: ['added'] });
+        else diffLayer(before, after, after.name, layers, true);
+    });
+    return layers;
+}
+
+// One line per changed layer: 'Card / Button: padding 12→16, text "Buy"→"Buy now"'
+function summarizeLayers(layers) {
+    return layers.map(layer => `${layer.path}: ${layer.changes.join(', ')}`);
+}
+
+module.exports = {
+    diffNodeTrees,
+    summarizeLayers
+};
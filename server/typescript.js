@@ -0,0 +1,85 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+// TypeScript - the project conventions generated .tsx files follow: which JSX runtime
+// the project compiles with (and so whether React must be imported), and how React
+// can be imported
+
+// What generated files have always used: `import React from 'react'` in every file
+const DEFAULT_JSX_SETTINGS = { runtime: 'classic', reactImport: 'default' };
+
+// tsconfig.json allows comments and trailing commas
+function parseJSONC(text) {
+    const withoutComments = text.replace(/("(?:[^"\\]|\\.)*")|\/\/[^\n]*|\/\*[\s\S]*?\*\//g, (match, string) => string || '');
+    return JSON.parse(withoutComments.replace(/,(\s*[}\]])/g, '$1'));
+}
+
+// compilerOptions of a tsconfig, following relative `extends` chains
+async function loadTsConfig(configPath, seen = new Set()) {
+    if (seen.has(configPath)) return {};
+    seen.add(configPath);
+
+    const config = parseJSONC(await fs.readFile(configPath, 'utf8'));
+    let compilerOptions = {};
+    if (typeof config.extends === 'string' && config.extends.startsWith('.')) {
+        const basePath = path.resolve(path.dirname(configPath), config.extends);
+        compilerOptions = await loadTsConfig(basePath.endsWith('.json') ? basePath : `${basePath}.json`, seen);
+    }
+    return { ...compilerOptions, ...(config.compilerOptions || {}) };
+}
+
+// JSX settings for generated files: `runtime` is 'automatic' (no React import needed,
+// as with "jsx": "react-jsx") or 'classic'; `reactImport` is 'default' when the project
+// allows `import React from 'react'`, else 'namespace' (`import * as React`)
+function resolveJsxSettings(compilerOptions, runtime = 'auto', typescript = false) {
+    const options = compilerOptions || {};
+    const jsx = String(options.jsx || '').toLowerCase();
+    let resolvedRuntime = runtime;
+    if (runtime === 'auto') {
+        if (jsx === 'react') resolvedRuntime = 'classic';
+        else if (jsx === 'react-jsx' || jsx === 'react-jsxdev') resolvedRuntime = 'automatic';
+        // New TypeScript projects (Vite, Next, CRA) all compile with the automatic runtime
+        else resolvedRuntime = typescript ? 'automatic' : 'classic';
+    }
+    const defaultImport = !compilerOptions || Boolean(options.esModuleInterop || options.allowSyntheticDefaultImports);
+    return { runtime: resolvedRuntime, reactImport: defaultImport ? 'default' : 'namespace' };
+}
+
+// Import lines for React itself and for the React types a file uses
+function reactImportLines(jsxSettings, types = []) {
+    const lines = [];
+    if (jsxSettings.runtime === 'classic') {
+        lines.push(jsxSettings.reactImport === 'default' ? `import React from 'react';` : `import * as React from 'react';`);
+    }
+    if (types.length > 0) {
+        lines.push(`import type { ${types.join(', ')} } from 'react';`);
+    }
+    return lines;
+}
+
+// Module types for the stylesheets and assets generated components import, for
+// projects whose tooling does not declare them already
+const ENV_DECLARATIONS = `// Written by the Figma generator: module types for the files generated components import
+declare module '*.module.css' {
+    const classes: { readonly [key: string]: string };
+    export default classes;
+}
+
+declare module '*.svg' {
+    const src: string;
+    export default src;
+}
+
+declare module '*.png' {
+    const src: string;
+    export default src;
+}
+`;
+
+module.exports = {
+    DEFAULT_JSX_SETTINGS,
+    loadTsConfig,
+    resolveJsxSettings,
+    reactImportLines,
+    ENV_DECLARATIONS
+};